@@ -0,0 +1,1487 @@
+// app.js
+// The thumbnail API as an Express app. `createApp(config)` builds a fresh app
+// with its own storage, caches, job queue and sweeper; server.js listens on
+// it and tests can drive it in-process. See lib/config.js for the options.
+const express = require('express');
+const multer = require('multer');
+const cors = require('cors');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { pipeline } = require('stream/promises');
+const { v4: uuidv4 } = require('uuid');
+const { resolveRenditions } = require('./lib/renditions');
+const { generateRenditions } = require('./lib/pipeline');
+const { createStorage } = require('./lib/storage');
+const { FORMATS } = require('./lib/format');
+const { cacheKey, createResultCache } = require('./lib/cache');
+const { hashFile } = require('./lib/hash');
+const { createJobQueue, isFinished } = require('./lib/jobs');
+const { HttpError, errorCode } = require('./lib/errors');
+const { extractArchive, buildResultArchive } = require('./lib/batch');
+const { downloadImage } = require('./lib/download');
+const { createImageMagick } = require('./lib/imagemagick');
+const { extractMetadata } = require('./lib/metadata');
+const { copyrightOf, filterMetadata, parseMetadataPolicy } = require('./lib/privacy');
+const { findSrgbProfile, parseNormalizeOptions, planCorrections } = require('./lib/normalize');
+const { checkFrame, parseFrameOptions } = require('./lib/frames');
+const { createFfmpeg } = require('./lib/ffmpeg');
+const { sniffFile } = require('./lib/sniff');
+const { createSourceValidator, parseFormatList, uploadError } = require('./lib/upload');
+const { canonicalTransformParams, parseTransformParams, signedPath, verifySignature } = require('./lib/signed-url');
+const { createSweeper } = require('./lib/retention');
+const { parseOverlayOptions } = require('./lib/overlay');
+const { parseOperations } = require('./lib/operations');
+const { createPlaceholder } = require('./lib/placeholder');
+const { createSimilarityIndex, perceptualHash } = require('./lib/similarity');
+const { buildResponsiveMarkup, parseResponsiveOptions, responsiveRenditions } = require('./lib/responsive');
+const { createWebhookSender, parseCallbackUrl } = require('./lib/webhooks');
+const { createApiKeyStore } = require('./lib/api-keys');
+const { createQuotaTracker } = require('./lib/quota');
+const { createLogger } = require('./lib/logger');
+const { createMetrics } = require('./lib/metrics');
+const { resolveConfig } = require('./lib/config');
+
+function createApp(options = {}) {
+  const config = resolveConfig(options);
+  const app = express();
+
+  // JSON log lines; each request logs through a child carrying its id
+  const logger = createLogger(config.log);
+
+  // Prometheus metrics served on /metrics. Routes are the matched route
+  // patterns, or "other" for requests answered before routing, such as
+  // unknown paths and requests without a valid API key.
+  const metrics = createMetrics();
+  const httpRequests = metrics.counter(
+    'thumbnail_http_requests_total',
+    'HTTP requests by method, route and status',
+    ['method', 'route', 'status']
+  );
+  const httpDuration = metrics.histogram(
+    'thumbnail_http_request_duration_seconds',
+    'Time to answer HTTP requests',
+    ['method', 'route']
+  );
+  const stageDuration = metrics.histogram(
+    'thumbnail_stage_duration_seconds',
+    'Time spent downloading sources and running identify, convert and ffmpeg',
+    ['stage', 'outcome']
+  );
+  const bytesReceived = metrics.counter(
+    'thumbnail_received_bytes_total',
+    'Bytes received in request bodies and imageUrl downloads',
+    ['source']
+  );
+  const bytesSent = metrics.counter('thumbnail_sent_bytes_total', 'Bytes sent in response bodies');
+  const errorsReported = metrics.counter(
+    'thumbnail_errors_total',
+    'Errors reported to clients in responses, failed jobs and batch manifests, by code',
+    ['code']
+  );
+  metrics.gauge('thumbnail_jobs', 'Jobs waiting for or holding a worker', () => {
+    const { queued, running } = jobQueue.stats();
+    return [{ labels: { state: 'queued' }, value: queued }, { labels: { state: 'running' }, value: running }];
+  });
+  metrics.gauge('thumbnail_result_cache_entries', 'Results in the result cache', () => resultCache.stats().entries);
+  metrics.gauge('thumbnail_result_cache_bytes', 'Bytes of stored renditions held by the result cache', () => resultCache.stats().bytes);
+  metrics.gauge('process_resident_memory_bytes', 'Resident memory size in bytes', () => process.memoryUsage().rss);
+
+  // Record one run of a processing stage: download, identify, convert or ffmpeg
+  function recordStage(stage, seconds, error) {
+    stageDuration.observe({ stage, outcome: error ? 'error' : 'ok' }, seconds);
+  }
+
+  // Every ImageMagick call goes through this runner: no shell, validated
+  // arguments, resource limits and a hard timeout
+  const magick = createImageMagick({ ...config.imagemagick, onRun: recordStage });
+
+  // Video uploads are reduced to a poster frame with ffmpeg
+  const ffmpeg = createFfmpeg({
+    ...config.ffmpeg,
+    onRun: (seconds, error) => recordStage('ffmpeg', seconds, error),
+  });
+
+  // Embedded ICC profiles are converted to this sRGB profile
+  const SRGB_PROFILE = config.srgbProfile || findSrgbProfile();
+  if (!SRGB_PROFILE) {
+    logger.warn('No sRGB ICC profile found; set SRGB_PROFILE_PATH to convert embedded profiles');
+  }
+
+  // Generated renditions are kept here and served from /thumbnails/:id
+  const thumbnailStorage = createStorage({
+    driver: config.storageDriver,
+    root: config.storageDir,
+  });
+
+  // Source images uploaded to /sources, rendered on demand by /img URLs
+  const sourceStorage = createStorage({
+    driver: config.storageDriver,
+    root: config.sourceStorageDir || path.join(config.storageDir, 'sources'),
+  });
+
+  // Fingerprints of processed sources by result id (the id in thumbnailUrl),
+  // for duplicate flags and /similar
+  const similarityIndex = createSimilarityIndex({
+    file: config.similarityIndexFile || path.join(config.storageDir, 'similarity-index.jsonl'),
+    ...config.similarity,
+    logger,
+  });
+
+  // Signs /img URLs. Without a configured secret, URLs stop working on restart.
+  const IMAGE_URL_SECRET = config.imageUrlSecret || crypto.randomBytes(32).toString('hex');
+  if (!config.imageUrlSecret) {
+    logger.warn('IMAGE_URL_SECRET is not set; signed /img URLs will change on every restart');
+  }
+  // Transforms POST /sources signs, so callers cannot mint URLs for arbitrary
+  // sizes and formats. An entry that would not render fails startup rather
+  // than every request for it.
+  const IMAGE_TRANSFORMS = config.imageTransforms.map(params => {
+    try {
+      transformRenditions(params);
+      return canonicalTransformParams(params);
+    } catch (error) {
+      throw new Error(`Invalid imageTransforms entry "${params}": ${error.message}`);
+    }
+  });
+
+  // Duplicates listed in a thumbnail response
+  const MAX_DUPLICATES = 10;
+
+  // Stored renditions never change for a given id
+  const THUMBNAIL_CACHE_CONTROL = 'public, max-age=31536000, immutable';
+
+  // Results of previous requests, keyed on source bytes and parameters.
+  // Evicted entries leave their stored renditions alone: /thumbnails URLs are
+  // served as immutable, so only the retention sweeper removes them.
+  const resultCache = createResultCache(config.cache);
+
+  // Every thumbnail request runs as a job, whether the client waits for it on
+  // /thumbnail or polls /jobs, so only `concurrency` run ImageMagick at once
+  const jobQueue = createJobQueue(config.jobs);
+
+  // Signs the tokens that open a job's event stream, since EventSource cannot
+  // send an X-API-Key. Jobs live in memory, so a per-process secret will do.
+  const JOB_TOKEN_SECRET = crypto.randomBytes(32);
+  const JOB_TOKEN_TTL_SECONDS = 15 * 60;
+  const JOB_EVENTS_PATH = /^\/jobs\/([^/]+)\/events$/;
+
+  // POSTs finished jobs to the callbackUrl they were submitted with. Without a
+  // secret to sign payloads, requests cannot set a callbackUrl.
+  const webhooks = createWebhookSender({
+    secret: config.webhookSecret,
+    deadLetterFile: config.webhookDeadLetterFile || path.join(config.storageDir, 'webhook-dead-letters.jsonl'),
+    ...config.webhooks,
+    logger,
+  });
+
+  // Limits for imageUrl downloads
+  const DOWNLOAD_LIMITS = config.download;
+
+  // Upper bounds for a single /batch request
+  const BATCH_MAX_FILES = config.batch.maxFiles;
+  const BATCH_MAX_ARCHIVE_BYTES = config.batch.maxArchiveBytes;
+  const BATCH_MAX_UPLOAD_BYTES = config.batch.maxUploadBytes;
+
+  // Every source (upload, download, archive entry or video poster) is checked
+  // against these limits before ImageMagick decodes it
+  const { allowedFormats, ...uploadLimits } = config.upload;
+  const sourceValidator = createSourceValidator({
+    magick,
+    ...uploadLimits,
+    ...(allowedFormats && { allowedFormats: parseFormatList(allowedFormats) }),
+  });
+
+  // Uploads, downloads and video posters live here only while a job runs
+  const UPLOAD_DIR = config.uploadDir;
+
+  // Removes files left behind by crashes or restarts and keeps stored
+  // renditions within their age and size limits. Sources are kept until
+  // retention.sourceMaxAgeMs is set, since signed /img URLs point at them.
+  const sweeper = createSweeper({
+    directories: [
+      { name: 'uploads', path: UPLOAD_DIR, maxAgeMs: config.retention.uploadMaxAgeMs },
+    ],
+    stores: [
+      {
+        name: 'thumbnails',
+        storage: thumbnailStorage,
+        maxAgeMs: config.retention.thumbnailMaxAgeMs,
+        maxBytes: config.retention.thumbnailMaxBytes,
+      },
+      { name: 'sources', storage: sourceStorage, maxAgeMs: config.retention.sourceMaxAgeMs },
+    ],
+    intervalMs: config.retention.sweepIntervalMs,
+    logger,
+  });
+
+  // Bearer token for the /admin endpoints; they are disabled without one
+  const ADMIN_TOKEN = config.adminToken;
+
+  // Named logos for overlays, as absolute paths for ImageMagick
+  const OVERLAY_LOGOS = {};
+  Object.entries(config.overlayLogos).forEach(([name, logoPath]) => {
+    OVERLAY_LOGOS[name] = path.resolve(logoPath);
+    if (!fs.existsSync(OVERLAY_LOGOS[name])) {
+      logger.warn(`Overlay logo "${name}" not found`, { path: OVERLAY_LOGOS[name] });
+    }
+  });
+
+  // API keys from the config file and the admin API, and their usage this
+  // minute and day
+  const apiKeys = createApiKeyStore({
+    file: config.apiKeyFile,
+    keys: config.apiKeys,
+    defaults: { requestsPerMinute: config.auth.requestsPerMinute, dailyBytes: config.auth.dailyBytes },
+  });
+  const quotas = createQuotaTracker();
+  if (config.auth.required && apiKeys.size() === 0) {
+    logger.warn('No API keys are configured; create one with POST /admin/api-keys or set API_KEYS');
+  }
+
+  const originAllowed = (origins, origin) => origins.includes('*') || origins.includes(origin);
+
+  // Request ids sent by clients or proxies are kept when they look sane
+  const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+
+  // Probe and scrape endpoints, logged at debug level so they do not drown
+  // out real traffic
+  const PROBE_PATHS = ['/healthz', '/readyz', '/metrics'];
+
+  app.use(trackRequest);
+
+  // Answer CORS requests from origins allowed server-wide or by any API key;
+  // requireApiKey then holds each request to the origins of its own key
+  app.use(cors({
+    origin: (origin, callback) => callback(null, !origin
+      || originAllowed(config.corsOrigins, origin)
+      || apiKeys.list().some(key => originAllowed(key.corsOrigins, origin))),
+    exposedHeaders: ['X-Request-Id'],
+  }));
+  app.use(requireApiKey);
+  app.use(express.json({ verify: (req, res, body) => countReceivedBytes(req, body.length) }));
+
+  // Set up storage for uploaded files
+  const storage = multer.diskStorage({
+    destination: (req, file, cb) => {
+      cb(null, uploadDirectory());
+    },
+    filename: (req, file, cb) => {
+      // Generate unique filename; the client's name is never used on disk
+      cb(null, uuidv4());
+    }
+  });
+
+  const upload = multer({
+    storage,
+    limits: { fileSize: sourceValidator.limits.maxBytes, files: 2 },
+  });
+
+  // /thumbnail and /jobs take the source image and an optional overlay logo
+  const thumbnailUpload = upload.fields([
+    { name: 'image', maxCount: 1 },
+    { name: 'overlayImage', maxCount: 1 },
+  ]);
+
+  // /batch takes many files and an archive, which may be larger than one image;
+  // images are held to the usual limit by the validator
+  const batchUpload = multer({
+    storage,
+    limits: { fileSize: Math.max(sourceValidator.limits.maxBytes, BATCH_MAX_UPLOAD_BYTES), files: BATCH_MAX_FILES + 1 },
+  });
+
+  // Run a multer `middleware`, then check every uploaded file before the route
+  // sees it. Files are renamed after their real type. Any violation removes all
+  // files of the request and answers with its error. Files in `archiveFields`
+  // must be ZIP archives; files in `deferredFields` are left to the job that
+  // renders them, so one bad file fails only itself.
+  function receiveUploads(middleware, { archiveFields = [], deferredFields = [] } = {}) {
+    return (req, res, next) => {
+      middleware(req, res, async error => {
+        const files = [].concat(req.file || [], ...Object.values(req.files || {}));
+        countReceivedBytes(req, files.reduce((total, file) => total + file.size, 0));
+        try {
+          if (error) {
+            throw error instanceof multer.MulterError
+              ? uploadError(error, { maxBytes: sourceValidator.limits.maxBytes })
+              : error;
+          }
+          for (const file of files) {
+            if (deferredFields.includes(file.fieldname)) {
+              continue;
+            }
+            let type;
+            if (archiveFields.includes(file.fieldname)) {
+              type = await sniffFile(file.path);
+              if (!type || !type.archive) {
+                throw new HttpError(415, 'UNSUPPORTED_MEDIA_TYPE', `${file.fieldname} must be a ZIP archive`);
+              }
+            } else {
+              type = await sourceValidator.validate(file.path);
+            }
+            const typedPath = `${file.path}.${type.extension}`;
+            await fs.promises.rename(file.path, typedPath);
+            file.path = typedPath;
+            file.type = type;
+          }
+          next();
+        } catch (validationError) {
+          await Promise.all(files.map(file => fs.promises.unlink(file.path).catch(() => {})));
+          sendError(res, validationError);
+        }
+      });
+    };
+  }
+
+  // Helper function to read a stored rendition back into memory
+  function readStoredThumbnail(id) {
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      thumbnailStorage.createReadStream(id)
+        .on('data', chunk => chunks.push(chunk))
+        .on('end', () => resolve(Buffer.concat(chunks)))
+        .on('error', reject);
+    });
+  }
+
+  // Similarity matches whose renditions are still stored; the others are
+  // dropped from the index
+  async function storedMatches(matches) {
+    const records = await Promise.all(matches.map(match => thumbnailStorage.stat(match.id)));
+    return matches.filter((match, index) => {
+      if (!records[index]) {
+        similarityIndex.remove(match.id);
+      }
+      return Boolean(records[index]);
+    });
+  }
+
+  // Flag earlier results of the same or a similar source, then index this
+  // one. A repeated request answered from the cache finds its own result.
+  async function flagDuplicates(result) {
+    const duplicates = await storedMatches(similarityIndex.duplicates(result.fingerprint));
+    similarityIndex.add(result.renditions[0].id, result.fingerprint);
+    return { ...result, duplicates: duplicates.slice(0, MAX_DUPLICATES) };
+  }
+
+  // Generate the renditions for an image and move them into storage. Identical
+  // source bytes with identical parameters are answered from the result cache.
+  // `metadataPolicy` applies to the renditions and to the returned metadata,
+  // `normalize` holds the orientation and colour profile opt-outs and `frames`
+  // the frame selection for multi-frame sources. With `findDuplicates` the
+  // result is checked against and added to the similarity index. `log` is the
+  // logger of the request the image belongs to.
+  async function processImage(imagePath, renditions, {
+    accept,
+    metadataPolicy,
+    normalize,
+    frames,
+    overlay = null,
+    operations = [],
+    findDuplicates = true,
+    signal,
+    progress = () => {},
+    log = logger,
+  }) {
+    progress('hashing', 0.1);
+    const sourceHash = await hashFile(imagePath);
+    // Overlay files are keyed on their bytes, not their temporary paths
+    const overlayKey = overlay && overlay.image ? { ...overlay, image: await hashFile(overlay.image) } : overlay;
+    const key = cacheKey(sourceHash, renditions, {
+      accept,
+      metadataPolicy,
+      normalize,
+      frames,
+      overlay: overlayKey,
+      operations,
+    });
+    
+    const cached = resultCache.get(key);
+    if (cached) {
+      const records = await Promise.all(cached.renditions.map(rendition => thumbnailStorage.stat(rendition.id)));
+      if (records.every(Boolean)) {
+        const hit = { ...cached, cacheStatus: 'HIT' };
+        return findDuplicates ? flagDuplicates(hit) : hit;
+      }
+      // Stored files are gone; drop the entry and render again
+      resultCache.delete(key);
+    }
+    
+    // Get metadata and the fingerprint for duplicate detection
+    progress('metadata', 0.2);
+    const metadata = await extractMetadata(magick, imagePath, { signal });
+    const fingerprint = { sha256: sourceHash, dhash: await perceptualHash(magick, imagePath, { signal }) };
+    const { autoOrient, colorProfile, corrections } = planCorrections(normalize, metadata, { srgbProfile: SRGB_PROFILE });
+    checkFrame(frames.frame, metadata.image.frames);
+    // Single-frame sources make still renditions even when animation was asked for
+    const animate = frames.animate && metadata.image.frames > 1;
+    
+    // Generate every rendition from a single decode of the source
+    progress('rendering', 0.4);
+    const outputs = await generateRenditions(imagePath, renditions, {
+      magick,
+      accept,
+      signal,
+      metadataPolicy,
+      copyright: copyrightOf(metadata),
+      autoOrient,
+      colorProfile,
+      frame: frames.frame,
+      animate,
+      overlay,
+      operations,
+      logger: log,
+    });
+    
+    // Placeholders for lazy loading, from the first rendition, then move
+    // each rendition into storage
+    progress('storing', 0.8);
+    const stored = [];
+    let placeholder;
+    try {
+      placeholder = await createPlaceholder(magick, outputs[0].path, {
+        width: outputs[0].width,
+        height: outputs[0].height,
+        signal,
+      });
+      for (const output of outputs) {
+        const id = `${uuidv4()}.${FORMATS[output.format].extension}`;
+        await thumbnailStorage.put(id, output.path, { contentType: output.mimeType });
+        stored.push({
+          id,
+          name: output.name,
+          width: output.width,
+          height: output.height,
+          bytes: output.bytes,
+          format: output.format,
+          mimeType: output.mimeType,
+          animated: output.animated,
+        });
+      }
+    } catch (error) {
+      // Renditions that did not make it into storage
+      await Promise.all(outputs.map(output => fs.promises.unlink(output.path).catch(() => {})));
+      throw error;
+    }
+    
+    const result = {
+      metadata: filterMetadata(metadata, metadataPolicy),
+      corrections,
+      operations,
+      placeholder,
+      fingerprint,
+      renditions: stored,
+    };
+    resultCache.set(key, result);
+    const miss = { ...result, cacheStatus: 'MISS' };
+    return findDuplicates ? flagDuplicates(miss) : miss;
+  }
+
+  // Helper function to get the uploads directory, creating it if needed
+  function uploadDirectory() {
+    if (!fs.existsSync(UPLOAD_DIR)) {
+      fs.mkdirSync(UPLOAD_DIR, { recursive: true });
+    }
+    return UPLOAD_DIR;
+  }
+
+  // Reject requests without the admin bearer token
+  function requireAdmin(req, res, next) {
+    if (!ADMIN_TOKEN) {
+      return sendError(res, new HttpError(403, 'ADMIN_DISABLED', 'Set ADMIN_TOKEN to enable the admin endpoints'));
+    }
+    const match = (req.get('Authorization') || '').match(/^Bearer (.+)$/);
+    if (!match) {
+      return sendError(res, new HttpError(401, 'UNAUTHORIZED', 'An admin bearer token is required'));
+    }
+    const expected = Buffer.from(ADMIN_TOKEN);
+    const actual = Buffer.from(match[1]);
+    if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+      return sendError(res, new HttpError(403, 'FORBIDDEN', 'Invalid admin token'));
+    }
+    next();
+  }
+
+  // Routes that take no API key: stored renditions and signed /img URLs are
+  // linked from web pages, /admin has its own token, and probes and metric
+  // scrapers cannot send one
+  function isPublicRoute(req) {
+    if (req.path.startsWith('/admin/') || PROBE_PATHS.includes(req.path)) {
+      return true;
+    }
+    return ['GET', 'HEAD'].includes(req.method)
+      && (req.path.startsWith('/thumbnails/') || req.path.startsWith('/img/'));
+  }
+
+  // Give every request an id, sent back in X-Request-Id and added to its log
+  // lines, then log and count the request once its response is done
+  function trackRequest(req, res, next) {
+    const presented = req.get('X-Request-Id');
+    req.id = presented && REQUEST_ID_PATTERN.test(presented) ? presented : uuidv4();
+    req.log = logger.child({ requestId: req.id });
+    res.set('X-Request-Id', req.id);
+
+    const startedAt = Date.now();
+    res.on('close', () => {
+      const seconds = (Date.now() - startedAt) / 1000;
+      const route = req.route ? `${req.baseUrl}${req.route.path}` : 'other';
+      const requestBytes = Number(req.get('Content-Length')) || 0;
+      const responseBytes = Number(res.get('Content-Length')) || 0;
+      httpRequests.inc({ method: req.method, route, status: res.statusCode });
+      httpDuration.observe({ method: req.method, route }, seconds);
+      bytesReceived.inc({ source: 'request' }, requestBytes);
+      bytesSent.inc({}, responseBytes);
+
+      let level = res.statusCode >= 500 ? 'error' : 'info';
+      if (PROBE_PATHS.includes(req.path) && res.statusCode < 500) {
+        level = 'debug';
+      }
+      req.log[level]('request finished', {
+        method: req.method,
+        path: req.path,
+        route,
+        status: res.statusCode,
+        // The client went away before the response was sent
+        aborted: res.writableFinished ? undefined : true,
+        durationMs: Math.round(seconds * 1000),
+        requestBytes,
+        responseBytes,
+        apiKeyId: req.apiKey && req.apiKey.id,
+        remoteAddress: req.ip,
+      });
+    });
+    next();
+  }
+
+  // Count an error reported to a client by its code
+  function countError(error, fallback = 'INTERNAL_ERROR') {
+    errorsReported.inc({ code: errorCode(error, fallback) });
+  }
+
+  // Count bytes a request brought in against the daily quota of its API key
+  function countReceivedBytes(req, bytes) {
+    if (req.apiKey && bytes > 0) {
+      quotas.addBytes(req.apiKey, bytes);
+    }
+  }
+
+  // Download an imageUrl, timed as the download stage and counted in the
+  // received bytes, and against the daily quota of `apiKey` if given
+  async function download(url, filePath, { signal, apiKey = null } = {}) {
+    const startedAt = Date.now();
+    try {
+      const type = await downloadImage(url, filePath, { signal, ...DOWNLOAD_LIMITS });
+      recordStage('download', (Date.now() - startedAt) / 1000, null);
+      bytesReceived.inc({ source: 'download' }, type.bytes);
+      if (apiKey) {
+        quotas.addBytes(apiKey, type.bytes);
+      }
+      return type;
+    } catch (error) {
+      recordStage('download', (Date.now() - startedAt) / 1000, error);
+      throw error;
+    }
+  }
+
+  // Checks behind /readyz: both ImageMagick tools run and the uploads
+  // directory takes writes. Each check is { ok, ... } or { ok: false, error }.
+  async function readinessChecks() {
+    const check = async work => {
+      try {
+        return { ok: true, ...(await work()) };
+      } catch (error) {
+        return { ok: false, error: error.message };
+      }
+    };
+    const [convert, identify, uploads] = await Promise.all([
+      check(async () => ({ version: await magick.version('convert') })),
+      check(async () => ({ version: await magick.version('identify') })),
+      check(async () => {
+        const probePath = path.join(uploadDirectory(), `.readyz-${uuidv4()}`);
+        await fs.promises.writeFile(probePath, '');
+        await fs.promises.unlink(probePath);
+        return {};
+      }),
+    ]);
+    return { convert, identify, uploads };
+  }
+
+  // Draft RateLimit-* headers for the per-minute limit, plus the daily byte
+  // quota
+  function setQuotaHeaders(res, status) {
+    if (status.limit) {
+      res.set({
+        'RateLimit-Policy': `${status.limit};w=60`,
+        'RateLimit-Limit': String(status.limit),
+        'RateLimit-Remaining': String(status.remaining),
+        'RateLimit-Reset': String(status.resetSeconds),
+      });
+    }
+    if (status.bytesLimit) {
+      res.set({
+        'X-Daily-Bytes-Limit': String(status.bytesLimit),
+        'X-Daily-Bytes-Remaining': String(status.bytesRemaining),
+      });
+    }
+  }
+
+  // Authenticate the X-API-Key header and count the request against the key's
+  // limits. A declared Content-Length that would not fit the byte quota is
+  // refused up front; the bytes actually received are counted as uploads,
+  // JSON bodies and downloads arrive (countReceivedBytes, download), and
+  // response bytes once sent. When keys are not required, requests without one pass
+  // unchecked.
+  function requireApiKey(req, res, next) {
+    if (req.method === 'OPTIONS' || isPublicRoute(req)) {
+      return next();
+    }
+    // The token was handed to the job's owner, and stands in for its key
+    if (hasJobEventsToken(req)) {
+      req.jobToken = true;
+      return next();
+    }
+    const presented = req.get('X-API-Key');
+    if (!presented && !config.auth.required) {
+      return next();
+    }
+    const key = apiKeys.authenticate(presented);
+    if (!key) {
+      return sendError(res, presented
+        ? new HttpError(401, 'INVALID_API_KEY', 'The API key is not valid')
+        : new HttpError(401, 'API_KEY_REQUIRED', 'Send an API key in the X-API-Key header'));
+    }
+
+    const origin = req.get('Origin');
+    if (origin && !originAllowed(key.corsOrigins.length > 0 ? key.corsOrigins : config.corsOrigins, origin)) {
+      res.removeHeader('Access-Control-Allow-Origin');
+      return sendError(res, new HttpError(403, 'ORIGIN_NOT_ALLOWED', `Origin ${origin} may not use this API key`));
+    }
+
+    const status = quotas.hit(key, { bytes: Number(req.get('Content-Length')) || 0 });
+    setQuotaHeaders(res, status);
+    if (status.exceeded === 'requests') {
+      res.set('Retry-After', String(status.resetSeconds));
+      return sendError(res, new HttpError(429, 'RATE_LIMITED', `Rate limit of ${key.requestsPerMinute} requests per minute exceeded`));
+    }
+    if (status.exceeded === 'bytes') {
+      res.set('Retry-After', String(status.bytesResetSeconds));
+      return sendError(res, new HttpError(429, 'QUOTA_EXCEEDED', `Daily quota of ${key.dailyBytes} bytes exceeded`));
+    }
+
+    res.on('finish', () => quotas.addBytes(key, Number(res.get('Content-Length')) || 0));
+    req.apiKey = key;
+    next();
+  }
+
+  // Build the job task for one source image. URL sources are downloaded inside
+  // the task so they also wait for a free worker. Videos are replaced by their
+  // poster frame. With `removeSource` the local file is deleted once the task
+  // is done with it, and with `removeOverlay` the uploaded overlay image.
+  // Downloads count against the daily quota of `apiKey`. `log` is the logger
+  // of the request that created the task.
+  function createThumbnailTask({
+    renditions,
+    metadataPolicy,
+    normalize,
+    frames,
+    overlay = null,
+    operations = [],
+    findDuplicates = true,
+    responsive = null,
+    imageUrl,
+    imagePath: localPath,
+    accept,
+    removeSource = false,
+    removeOverlay = false,
+    apiKey = null,
+    log = logger,
+  }) {
+    const task = async ({ signal, progress }) => {
+      let imagePath = localPath;
+      let downloadedPath = null;
+      let posterPath = null;
+      
+      try {
+        // Handle image from URL or file upload
+        if (imageUrl) {
+          progress('downloading', 0);
+          const downloadPath = path.join(uploadDirectory(), `${uuidv4()}-url-image`);
+          const type = await download(imageUrl, downloadPath, { signal, apiKey });
+          
+          // Name the file after what the server actually sent
+          downloadedPath = `${downloadPath}.${type.extension}`;
+          await fs.promises.rename(downloadPath, downloadedPath);
+          imagePath = downloadedPath;
+        }
+        
+        // Check the source before decoding it, and render videos from a single frame
+        const type = await sourceValidator.validate(imagePath, { signal });
+        if (type.video) {
+          progress('extracting', 0.05);
+          posterPath = path.join(uploadDirectory(), `${uuidv4()}-poster.png`);
+          await ffmpeg.posterFrame(imagePath, posterPath, { timestamp: frames.timestamp, signal });
+          await sourceValidator.validate(posterPath, { signal });
+        }
+        
+        const result = await processImage(posterPath || imagePath, renditions, {
+          accept,
+          metadataPolicy,
+          normalize,
+          frames,
+          overlay,
+          operations,
+          findDuplicates,
+          signal,
+          progress,
+          log,
+        });
+        return {
+          ...result,
+          // Markup options for a responsive set, applied when it is presented
+          responsive,
+          // Responses for `auto` formats depend on the Accept header
+          varyAccept: renditions.some(rendition => rendition.format === 'auto'),
+        };
+      } finally {
+        // Clean up temporary files. An upload sent along with an imageUrl is
+        // still the task's to remove.
+        if (removeSource && localPath) {
+          fs.promises.unlink(localPath).catch(() => {});
+        }
+        if (downloadedPath) {
+          fs.promises.unlink(downloadedPath).catch(() => {});
+        }
+        if (posterPath) {
+          fs.promises.unlink(posterPath).catch(() => {});
+        }
+        if (removeOverlay) {
+          fs.promises.unlink(overlay.image).catch(() => {});
+        }
+      }
+    };
+
+    // A job cancelled before it starts still owns its source and overlay files
+    task.discard = () => {
+      if (removeSource && localPath) {
+        fs.promises.unlink(localPath).catch(() => {});
+      }
+      if (removeOverlay) {
+        fs.promises.unlink(overlay.image).catch(() => {});
+      }
+    };
+    return task;
+  }
+
+  // Remove the files uploaded with a request that never became a job
+  function removeUploads(req) {
+    const files = [].concat(req.file || [], ...Object.values(req.files || {}));
+    return Promise.all(files.map(file => fs.promises.unlink(file.path).catch(() => {})));
+  }
+
+  // Job task for a /thumbnail or /jobs request
+  function thumbnailTaskFromRequest(req) {
+    // Resolve the requested renditions (responsive set, explicit list, preset,
+    // or width/height)
+    const responsive = parseResponsiveOptions(req.body);
+    const renditions = resolveRenditions(req.body, {
+      defaultSize: config.defaultSize,
+      variants: responsive && responsiveRenditions(responsive),
+    });
+    const metadataPolicy = parseMetadataPolicy(req.body);
+    const normalize = parseNormalizeOptions(req.body);
+    const frames = parseFrameOptions(req.body);
+    const imageUrl = req.body.imageUrl;
+    const files = req.files || {};
+    const imagePath = files.image && files.image[0].path;
+    const overlayFile = files.overlayImage && files.overlayImage[0];
+
+    if (!imageUrl && !imagePath) {
+      throw new HttpError(400, 'MISSING_SOURCE', 'Missing imageUrl or image file');
+    }
+    if (overlayFile && overlayFile.type.video) {
+      throw new HttpError(415, 'UNSUPPORTED_MEDIA_TYPE', 'overlayImage must be an image');
+    }
+    const overlay = parseOverlayOptions(req.body, {
+      overlayImage: overlayFile && overlayFile.path,
+      logos: OVERLAY_LOGOS,
+    });
+    const operations = parseOperations(req.body);
+
+    return createThumbnailTask({
+      renditions,
+      metadataPolicy,
+      normalize,
+      frames,
+      overlay,
+      operations,
+      responsive,
+      imageUrl,
+      imagePath,
+      accept: req.get('Accept'),
+      // Uploads are only needed until the job is done with them
+      removeSource: Boolean(imagePath),
+      removeOverlay: Boolean(overlayFile),
+      apiKey: req.apiKey,
+      log: req.log,
+    });
+  }
+
+  // Response body for a finished thumbnail result. Renditions are linked by
+  // URL, or with `inline` returned as data URLs as older clients expect.
+  async function presentResult(result, { baseUrl, inline = false }) {
+    const renditions = await Promise.all(result.renditions.map(async rendition => ({
+      ...rendition,
+      url: inline
+        ? `data:${rendition.mimeType};base64,${(await readStoredThumbnail(rendition.id)).toString('base64')}`
+        : `${baseUrl}/thumbnails/${rendition.id}`,
+    })));
+    
+    return {
+      thumbnailUrl: renditions[0].url,
+      ...result.placeholder,
+      metadata: result.metadata,
+      corrections: result.corrections,
+      operations: result.operations,
+      perceptualHash: result.fingerprint.dhash,
+      duplicates: (result.duplicates || []).map(match => presentMatch(match, baseUrl)),
+      renditions,
+      ...(result.responsive && { responsive: buildResponsiveMarkup(result.responsive, renditions) }),
+    };
+  }
+
+  // A similarity match linked to the first rendition of its result
+  function presentMatch(match, baseUrl) {
+    return { ...match, thumbnailUrl: `${baseUrl}/thumbnails/${match.id}` };
+  }
+
+  // Job snapshot with its result rendered for the client
+  async function presentJob(job, baseUrl) {
+    return {
+      ...job,
+      result: job.result ? await presentResult(job.result, { baseUrl }) : null,
+    };
+  }
+
+  function requestBaseUrl(req) {
+    return `${req.protocol}://${req.get('host')}`;
+  }
+
+  // callbackUrl of a /thumbnail or /jobs request, or null
+  function callbackUrlFromRequest(req) {
+    const callbackUrl = parseCallbackUrl(req.body.callbackUrl, {
+      allowPrivateAddresses: config.webhooks.allowPrivateAddresses,
+    });
+    if (callbackUrl && !config.webhookSecret) {
+      throw new HttpError(400, 'WEBHOOKS_DISABLED', 'Set WEBHOOK_SECRET to enable callbackUrl');
+    }
+    return callbackUrl;
+  }
+
+  // POST job.completed, job.failed or job.cancelled with the job snapshot to
+  // `callbackUrl` once the job finishes
+  function notifyWhenFinished(jobId, callbackUrl, baseUrl) {
+    jobQueue.wait(jobId)
+      .catch(() => {})
+      .then(async () => {
+        const job = jobQueue.get(jobId);
+        webhooks.deliver(callbackUrl, `job.${job.status}`, await presentJob(job, baseUrl));
+      })
+      .catch(error => logger.error('could not send webhook', { jobId, error }));
+  }
+
+  // Jobs belong to the API key that created them; other keys get a 404
+  function jobOwner(req) {
+    return req.apiKey ? req.apiKey.id : null;
+  }
+
+  // "<expires>.<signature>": opens /jobs/:id/events for JOB_TOKEN_TTL_SECONDS
+  function jobEventsToken(jobId) {
+    const expires = Math.floor(Date.now() / 1000) + JOB_TOKEN_TTL_SECONDS;
+    const signature = crypto.createHmac('sha256', JOB_TOKEN_SECRET).update(`${jobId}.${expires}`).digest('base64url');
+    return `${expires}.${signature}`;
+  }
+
+  // Whether the request is for a job's event stream with a valid, unexpired
+  // `token` query parameter
+  function hasJobEventsToken(req) {
+    const match = req.method === 'GET' && req.path.match(JOB_EVENTS_PATH);
+    const [expires, signature] = String(req.query.token || '').split('.');
+    if (!match || !/^\d+$/.test(expires) || Number(expires) < Date.now() / 1000) {
+      return false;
+    }
+    const expected = Buffer.from(crypto.createHmac('sha256', JOB_TOKEN_SECRET)
+      .update(`${match[1]}.${expires}`)
+      .digest('base64url'));
+    const actual = Buffer.from(String(signature));
+    return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+  }
+
+  // Queue a job and answer 202 with links to follow it. Its failure is only
+  // reported through the job, so it is logged and counted here.
+  function acceptJob(req, res, task, callbackUrl) {
+    const job = jobQueue.enqueue(task, { owner: jobOwner(req) });
+    jobQueue.wait(job.id).catch(error => {
+      countError(error);
+      req.log.warn('job failed', { jobId: job.id, error });
+    });
+    if (callbackUrl) {
+      notifyWhenFinished(job.id, callbackUrl, requestBaseUrl(req));
+    }
+    res.status(202)
+      .location(`/jobs/${job.id}`)
+      .json({
+        ...job,
+        links: {
+          self: `/jobs/${job.id}`,
+          events: `/jobs/${job.id}/events?token=${jobEventsToken(job.id)}`,
+        },
+      });
+  }
+
+  // Run a job for a request and wait for its result, cancelling it if the
+  // client goes away first
+  async function runJobForResponse(task, res) {
+    const job = jobQueue.enqueue(task, { owner: jobOwner(res.req) });
+    res.on('close', () => {
+      const current = jobQueue.get(job.id);
+      if (!res.writableEnded && current && !isFinished(current)) {
+        jobQueue.cancel(job.id);
+      }
+    });
+    return jobQueue.wait(job.id);
+  }
+
+  // Stream a stored rendition with long-lived cache headers, or answer a
+  // conditional request with 304. `etag` replaces the record's own.
+  function sendStoredThumbnail(req, res, record, { etag = record.etag } = {}) {
+    res.set({
+      'Content-Type': record.contentType,
+      'Content-Length': record.bytes,
+      'ETag': etag,
+      'Last-Modified': new Date(record.createdAt).toUTCString(),
+      'Cache-Control': THUMBNAIL_CACHE_CONTROL,
+    });
+    
+    // Answer If-None-Match / If-Modified-Since without sending the body
+    if (req.fresh) {
+      res.removeHeader('Content-Length');
+      return res.status(304).end();
+    }
+    
+    const stream = thumbnailStorage.createReadStream(record.id);
+    stream.on('error', error => {
+      req.log.error('could not read thumbnail', { id: record.id, error });
+      res.destroy(error);
+    });
+    stream.pipe(res);
+  }
+
+  function sendError(res, error) {
+    countError(error);
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, code: error.code });
+    }
+    res.req.log.error('request failed', { error });
+    res.status(500).json({ error: error.message });
+  }
+
+  // Endpoint to generate thumbnail and wait for the result. With a
+  // callbackUrl it answers like /jobs and POSTs the result there instead.
+  app.post('/thumbnail', receiveUploads(thumbnailUpload), async (req, res) => {
+    let task;
+    let callbackUrl;
+    try {
+      callbackUrl = callbackUrlFromRequest(req);
+      task = thumbnailTaskFromRequest(req);
+    } catch (error) {
+      removeUploads(req);
+      return sendError(res, error);
+    }
+    
+    try {
+      // With a callbackUrl the result is delivered there instead
+      if (callbackUrl) {
+        return acceptJob(req, res, task, callbackUrl);
+      }
+      
+      // Stop working on the request if the client goes away
+      const result = await runJobForResponse(task, res);
+      res.set('X-Cache', result.cacheStatus);
+      if (result.varyAccept) {
+        res.vary('Accept');
+      }
+      
+      const inline = req.body.inline === true || req.body.inline === 'true';
+      res.json(await presentResult(result, { baseUrl: requestBaseUrl(req), inline }));
+      
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  // Process many images in one request: several `images` files and/or one ZIP
+  // `archive`. Responds with a ZIP of the renditions plus a manifest.json; a
+  // file that fails is recorded in the manifest instead of failing the batch.
+  app.post('/batch', receiveUploads(batchUpload.fields([
+    { name: 'images', maxCount: BATCH_MAX_FILES },
+    { name: 'archive', maxCount: 1 },
+  ]), { archiveFields: ['archive'], deferredFields: ['images'] }), async (req, res) => {
+    const jobIds = [];
+    
+    // Stop the remaining jobs if the client goes away
+    res.on('close', () => {
+      if (!res.writableEnded) {
+        jobIds.forEach(id => {
+          const job = jobQueue.get(id);
+          if (job && !isFinished(job)) {
+            jobQueue.cancel(id);
+          }
+        });
+      }
+    });
+    
+    try {
+      const renditions = resolveRenditions(req.body, { defaultSize: config.defaultSize });
+      const metadataPolicy = parseMetadataPolicy(req.body);
+      const normalize = parseNormalizeOptions(req.body);
+      const frames = parseFrameOptions(req.body);
+      // Configured logos and text only; batches take no overlay upload
+      const overlay = parseOverlayOptions(req.body, { logos: OVERLAY_LOGOS });
+      const operations = parseOperations(req.body);
+      const accept = req.get('Accept');
+      const uploaded = (req.files && req.files.images) || [];
+      const archive = req.files && req.files.archive && req.files.archive[0];
+      
+      const files = uploaded.map(file => ({ originalName: file.originalname, path: file.path }));
+      if (archive) {
+        try {
+          const extracted = extractArchive(archive.path, uploadDirectory(), {
+            maxFiles: BATCH_MAX_FILES - files.length,
+            maxBytes: BATCH_MAX_ARCHIVE_BYTES,
+          });
+          files.push(...extracted);
+        } finally {
+          fs.promises.unlink(archive.path).catch(() => {});
+        }
+      }
+      
+      if (files.length === 0) {
+        throw new HttpError(400, 'MISSING_SOURCE', 'Missing images or archive');
+      }
+      
+      const settled = await Promise.allSettled(files.map(file => {
+        const job = jobQueue.enqueue(createThumbnailTask({
+          renditions,
+          metadataPolicy,
+          normalize,
+          frames,
+          overlay,
+          operations,
+          imagePath: file.path,
+          accept,
+          removeSource: true,
+          log: req.log,
+        }), { owner: jobOwner(req) });
+        jobIds.push(job.id);
+        return jobQueue.wait(job.id);
+      }));
+      
+      settled
+        .filter(outcome => outcome.status === 'rejected')
+        .forEach(outcome => countError(outcome.reason, 'PROCESSING_FAILED'));
+      
+      const zip = await buildResultArchive(files.map((file, index) => {
+        const outcome = settled[index];
+        return {
+          originalName: file.originalName,
+          result: outcome.status === 'fulfilled' ? outcome.value : null,
+          error: outcome.status === 'rejected'
+            ? { message: outcome.reason.message, code: errorCode(outcome.reason, 'PROCESSING_FAILED') }
+            : null,
+          read: rendition => readStoredThumbnail(rendition.id),
+        };
+      }));
+      
+      res.set({
+        'Content-Type': 'application/zip',
+        'Content-Disposition': 'attachment; filename="thumbnails.zip"',
+      });
+      res.send(zip);
+      
+    } catch (error) {
+      // Files that were handed to jobs are removed by them
+      if (jobIds.length === 0) {
+        removeUploads(req);
+      }
+      sendError(res, error);
+    }
+  });
+
+  // Start a thumbnail job and return its id straight away, POSTing the
+  // outcome to the optional callbackUrl when it finishes
+  app.post('/jobs', receiveUploads(thumbnailUpload), (req, res) => {
+    let task;
+    let callbackUrl;
+    try {
+      callbackUrl = callbackUrlFromRequest(req);
+      task = thumbnailTaskFromRequest(req);
+    } catch (error) {
+      removeUploads(req);
+      return sendError(res, error);
+    }
+    
+    try {
+      acceptJob(req, res, task, callbackUrl);
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  // Job status, and its result once completed
+  app.get('/jobs/:id', async (req, res) => {
+    try {
+      const job = jobQueue.get(req.params.id, { owner: jobOwner(req) });
+      if (!job) {
+        return sendError(res, new HttpError(404, 'JOB_NOT_FOUND', 'Job not found'));
+      }
+      res.json(await presentJob(job, requestBaseUrl(req)));
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  // Server-Sent Events stream of job updates, closed once the job finishes.
+  // Opened with the job owner's API key or the `token` from the job's links.
+  app.get('/jobs/:id/events', async (req, res) => {
+    const job = jobQueue.get(req.params.id, req.jobToken ? {} : { owner: jobOwner(req) });
+    if (!job) {
+      return sendError(res, new HttpError(404, 'JOB_NOT_FOUND', 'Job not found'));
+    }
+    
+    const baseUrl = requestBaseUrl(req);
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+    });
+    res.flushHeaders();
+    
+    const send = async update => {
+      const event = isFinished(update) ? update.status : 'progress';
+      const data = JSON.stringify(await presentJob(update, baseUrl));
+      res.write(`event: ${event}\ndata: ${data}\n\n`);
+      if (isFinished(update)) {
+        res.end();
+      }
+    };
+    
+    // Keep proxies from closing an idle stream
+    const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+    const unsubscribe = jobQueue.subscribe(job.id, update => {
+      send(update).catch(error => res.destroy(error));
+    });
+    res.on('close', () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    });
+    
+    await send(job);
+  });
+
+  // Cancel a queued or running job
+  app.delete('/jobs/:id', (req, res) => {
+    try {
+      const job = jobQueue.cancel(req.params.id, { owner: jobOwner(req) });
+      if (!job) {
+        return sendError(res, new HttpError(404, 'JOB_NOT_FOUND', 'Job not found'));
+      }
+      res.json(job);
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  // Serve a stored rendition with HTTP caching headers
+  app.get('/thumbnails/:id', async (req, res) => {
+    try {
+      const record = await thumbnailStorage.stat(req.params.id);
+      if (!record) {
+        return sendError(res, new HttpError(404, 'NOT_FOUND', 'Thumbnail not found'));
+      }
+      sendStoredThumbnail(req, res, record);
+      
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  // Stored results closest to the source of result `id`, the id in its
+  // thumbnailUrl, most similar first. `match` is exact, near or null for
+  // images that are merely the closest; `limit` is 1-100 (default 10).
+  app.get('/similar/:id', async (req, res) => {
+    try {
+      const limit = req.query.limit === undefined ? 10 : Number(req.query.limit);
+      if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+        throw new HttpError(400, 'INVALID_LIMIT', 'limit must be an integer between 1 and 100');
+      }
+      const entry = similarityIndex.get(req.params.id);
+      if (!entry || !(await thumbnailStorage.stat(entry.id))) {
+        throw new HttpError(404, 'NOT_FOUND', 'No fingerprint is stored for this thumbnail');
+      }
+      
+      const matches = await storedMatches(similarityIndex.closest(entry, { limit, exclude: entry.id }));
+      const baseUrl = requestBaseUrl(req);
+      res.json({
+        id: entry.id,
+        thumbnailUrl: `${baseUrl}/thumbnails/${entry.id}`,
+        perceptualHash: entry.dhash,
+        maxDistance: similarityIndex.maxDistance,
+        matches: matches.map(match => presentMatch(match, baseUrl)),
+      });
+      
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  // Store a source image for /img URLs. Send an `image` file or an `imageUrl`,
+  // plus optional `transforms` (a JSON array of parameter strings such as
+  // "w_320,h_180,fit_cover") to get signed URLs for them back.
+  app.post('/sources', receiveUploads(upload.single('image')), async (req, res) => {
+    let uploadPath = req.file && req.file.path;
+    try {
+      let transforms = req.body.transforms || [];
+      if (typeof transforms === 'string') {
+        try {
+          transforms = JSON.parse(transforms);
+        } catch (error) {
+          transforms = null;
+        }
+      }
+      if (!Array.isArray(transforms)) {
+        throw new HttpError(400, 'INVALID_TRANSFORM', 'transforms must be a JSON array');
+      }
+      const canonical = transforms.map(params => canonicalTransformParams(params));
+      const refused = transforms.filter((params, index) => !IMAGE_TRANSFORMS.includes(canonical[index]));
+      if (refused.length) {
+        throw new HttpError(
+          403,
+          'TRANSFORM_NOT_ALLOWED',
+          `Transforms not in the server's allowlist: ${refused.join('; ')}`
+        );
+      }
+      
+      if (req.body.imageUrl && uploadPath) {
+        // The upload is removed below
+        throw new HttpError(400, 'CONFLICTING_SOURCE', 'Send either imageUrl or an image file, not both');
+      }
+      if (req.body.imageUrl) {
+        uploadPath = path.join(uploadDirectory(), `${uuidv4()}-url-image`);
+        await download(req.body.imageUrl, uploadPath, { apiKey: req.apiKey });
+      } else if (!uploadPath) {
+        throw new HttpError(400, 'MISSING_SOURCE', 'Missing imageUrl or image file');
+      }
+      const type = await sourceValidator.validate(uploadPath);
+      
+      const id = `${uuidv4()}.${type.extension}`;
+      const urls = {};
+      transforms.forEach((params, index) => {
+        urls[params] = `${requestBaseUrl(req)}${signedPath(canonical[index], id, IMAGE_URL_SECRET)}`;
+      });
+      const record = await sourceStorage.put(id, uploadPath, { contentType: type.mimeType });
+      uploadPath = null;
+      
+      res.status(201).json({ id, contentType: record.contentType, bytes: record.bytes, urls });
+      
+    } catch (error) {
+      sendError(res, error);
+    } finally {
+      if (uploadPath) {
+        fs.promises.unlink(uploadPath).catch(() => {});
+      }
+    }
+  });
+
+  // The single rendition /img renders for transform parameters
+  function transformRenditions(params) {
+    return resolveRenditions({ renditions: [{ name: 'img', ...parseTransformParams(params) }] });
+  }
+
+  // Render a stored source with signed transform parameters, e.g.
+  // /img/<signature>/w_320,h_180,fit_cover,f_webp/<source-id>. Sources never
+  // change, so results are cached on the source id and the resolved
+  // parameters, and the ETag derives from the same key: hits and conditional
+  // requests are answered without copying the source or queueing a job.
+  app.get('/img/:signature/:params/:sourceId', async (req, res) => {
+    const { signature, params, sourceId } = req.params;
+    try {
+      if (!verifySignature(signature, params, sourceId, IMAGE_URL_SECRET)) {
+        throw new HttpError(403, 'INVALID_SIGNATURE', 'The image URL signature does not match');
+      }
+      const renditions = transformRenditions(params);
+      const options = {
+        accept: req.get('Accept'),
+        metadataPolicy: parseMetadataPolicy({}),
+        normalize: parseNormalizeOptions({}),
+        frames: parseFrameOptions({}),
+      };
+      
+      const source = await sourceStorage.stat(sourceId);
+      if (!source) {
+        throw new HttpError(404, 'SOURCE_NOT_FOUND', 'Source image not found');
+      }
+      
+      const key = cacheKey(`source:${sourceId}`, renditions, options);
+      const etag = `"${key.slice(0, 32)}"`;
+      res.set({ 'ETag': etag, 'Cache-Control': THUMBNAIL_CACHE_CONTROL });
+      if (renditions[0].format === 'auto') {
+        res.vary('Accept');
+      }
+      if (req.fresh) {
+        return res.status(304).end();
+      }
+      
+      const cached = resultCache.get(key);
+      const cachedRecord = cached && await thumbnailStorage.stat(cached.renditions[0].id);
+      if (cachedRecord) {
+        res.set('X-Cache', 'HIT');
+        return sendStoredThumbnail(req, res, cachedRecord, { etag });
+      }
+      
+      // The pipeline works on files, so render from a temporary copy
+      const imagePath = path.join(uploadDirectory(), `${uuidv4()}-source`);
+      try {
+        await pipeline(sourceStorage.createReadStream(sourceId), fs.createWriteStream(imagePath));
+      } catch (error) {
+        fs.promises.unlink(imagePath).catch(() => {});
+        throw error;
+      }
+      
+      const result = await runJobForResponse(createThumbnailTask({
+        ...options,
+        renditions,
+        imagePath,
+        // Every transform of a source would match it exactly
+        findDuplicates: false,
+        removeSource: true,
+        log: req.log,
+      }), res);
+      
+      const record = await thumbnailStorage.stat(result.renditions[0].id);
+      if (!record) {
+        throw new HttpError(404, 'NOT_FOUND', 'Rendered image is no longer stored');
+      }
+      resultCache.set(key, result);
+      res.set('X-Cache', result.cacheStatus);
+      sendStoredThumbnail(req, res, record, { etag });
+      
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  // Liveness: the process is up and answering
+  app.get('/healthz', (req, res) => {
+    res.set('Cache-Control', 'no-store');
+    res.json({ status: 'ok', uptimeSeconds: Math.round(process.uptime()) });
+  });
+
+  // Readiness: 200 when convert and identify run and uploads can be written,
+  // 503 with the failed checks otherwise
+  app.get('/readyz', async (req, res) => {
+    const checks = await readinessChecks();
+    const ready = Object.values(checks).every(check => check.ok);
+    if (!ready) {
+      req.log.warn('not ready', { checks });
+    }
+    res.set('Cache-Control', 'no-store');
+    res.status(ready ? 200 : 503).json({ status: ready ? 'ready' : 'unavailable', checks });
+  });
+
+  // Prometheus scrape endpoint
+  app.get('/metrics', (req, res) => {
+    res.set({
+      'Content-Type': 'text/plain; version=0.0.4; charset=utf-8',
+      'Cache-Control': 'no-store',
+    });
+    res.send(metrics.render());
+  });
+
+  // Disk usage of uploads and stored images, with the configured limits
+  app.get('/admin/storage', requireAdmin, async (req, res) => {
+    try {
+      res.json(await sweeper.usage());
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  // Run a sweep now and report what it removed
+  app.post('/admin/storage/purge', requireAdmin, async (req, res) => {
+    try {
+      const result = await sweeper.sweep();
+      res.json({ ...result, usage: await sweeper.usage() });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  // API keys with their usage this minute and day
+  app.get('/admin/api-keys', requireAdmin, (req, res) => {
+    res.json({
+      required: config.auth.required,
+      keys: apiKeys.list().map(key => ({ ...key, usage: quotas.usage(key) })),
+    });
+  });
+
+  // Create a key from { name, requestsPerMinute, dailyBytes, corsOrigins }.
+  // The response is the only place the key itself is shown.
+  app.post('/admin/api-keys', requireAdmin, async (req, res) => {
+    try {
+      res.status(201).json(await apiKeys.create(req.body || {}));
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  // Change the name, limits or origins of a key
+  app.patch('/admin/api-keys/:id', requireAdmin, async (req, res) => {
+    try {
+      res.json(await apiKeys.update(req.params.id, req.body || {}));
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  app.delete('/admin/api-keys/:id', requireAdmin, async (req, res) => {
+    try {
+      await apiKeys.remove(req.params.id);
+      quotas.forget(req.params.id);
+      res.status(204).end();
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  // Webhook delivery counters and the newest dead letters; `limit` is 1-500
+  // (default 50)
+  app.get('/admin/webhooks', requireAdmin, async (req, res) => {
+    try {
+      const limit = req.query.limit === undefined ? 50 : Number(req.query.limit);
+      if (!Number.isInteger(limit) || limit < 1 || limit > 500) {
+        throw new HttpError(400, 'INVALID_LIMIT', 'limit must be an integer between 1 and 500');
+      }
+      res.json({ ...webhooks.stats(), deadLetters: await webhooks.deadLetters({ limit }) });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  // server.js starts the sweeper once it listens
+  app.locals.config = config;
+  app.locals.logger = logger;
+  app.locals.sweeper = sweeper;
+  return app;
+}
+
+module.exports = { createApp };
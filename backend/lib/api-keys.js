@@ -0,0 +1,183 @@
+// api-keys.js
+// API keys for the thumbnail API. Keys come from the config file (read-only)
+// or are managed through the admin API, which keeps them in a JSON file.
+// Only a SHA-256 hash of each key is kept; the key itself is shown once when
+// it is created. Every key has its own limits:
+//
+//   requestsPerMinute   requests per minute, 0 for no limit
+//   dailyBytes          request plus response bytes per UTC day, 0 for no limit
+//   corsOrigins         browser origins allowed to use the key; empty for the
+//                       server-wide corsOrigins
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { HttpError } = require('./errors');
+
+const KEY_PREFIX = 'tk_';
+const NAME_PATTERN = /^[A-Za-z0-9 _.-]{1,64}$/;
+const ORIGIN_PATTERN = /^(\*|https?:\/\/[A-Za-z0-9.-]+(:\d{1,5})?)$/;
+const MAX_ORIGINS = 20;
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+function invalid(message) {
+  return new HttpError(400, 'INVALID_API_KEY_OPTIONS', message);
+}
+
+function parseLimit(value, field) {
+  const number = Number(value);
+  if (value === null || value === '' || !Number.isInteger(number) || number < 0) {
+    throw invalid(`${field} must be a non-negative integer (0 for no limit)`);
+  }
+  return number;
+}
+
+// Name and limits of a key from an admin request or the config file. Only
+// fields that are present are returned, so updates can be partial.
+function parseKeyOptions(source = {}) {
+  const options = {};
+  if (source.name !== undefined) {
+    if (!NAME_PATTERN.test(String(source.name))) {
+      throw invalid('name must be 1-64 letters, digits, spaces, dots, dashes or underscores');
+    }
+    options.name = String(source.name);
+  }
+  if (source.requestsPerMinute !== undefined) {
+    options.requestsPerMinute = parseLimit(source.requestsPerMinute, 'requestsPerMinute');
+  }
+  if (source.dailyBytes !== undefined) {
+    options.dailyBytes = parseLimit(source.dailyBytes, 'dailyBytes');
+  }
+  if (source.corsOrigins !== undefined) {
+    const origins = source.corsOrigins;
+    if (!Array.isArray(origins) || origins.length > MAX_ORIGINS
+      || !origins.every(origin => typeof origin === 'string' && ORIGIN_PATTERN.test(origin))) {
+      throw invalid(`corsOrigins must be a list of at most ${MAX_ORIGINS} origins such as "https://example.com"`);
+    }
+    options.corsOrigins = origins;
+  }
+  return options;
+}
+
+// Public view of a key: everything but its hash
+function describe({ keyHash, ...key }) {
+  return key;
+}
+
+// Create the key store. `keys` are the config file keys, each with a `key`
+// and optional name and limits; `defaults` fill in missing limits. Keys
+// created through the admin API are kept in `file`.
+function createApiKeyStore({ file, keys = [], defaults }) {
+  const byId = new Map();
+  const byHash = new Map();
+
+  function add(key) {
+    byId.set(key.id, key);
+    byHash.set(key.keyHash, key);
+  }
+
+  keys.forEach((spec, index) => {
+    if (!spec || typeof spec.key !== 'string' || spec.key.length < 16) {
+      throw new Error(`apiKeys[${index}] needs a "key" of at least 16 characters`);
+    }
+    const keyHash = hashKey(spec.key);
+    add({
+      id: `config-${keyHash.slice(0, 12)}`,
+      name: `key ${index + 1}`,
+      ...defaults,
+      corsOrigins: [],
+      ...parseKeyOptions(spec),
+      prefix: spec.key.slice(0, KEY_PREFIX.length + 4),
+      keyHash,
+      createdAt: null,
+      readOnly: true,
+    });
+  });
+
+  try {
+    JSON.parse(fs.readFileSync(file, 'utf8')).forEach(add);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw new Error(`Could not read API key file ${file}: ${error.message}`);
+    }
+  }
+
+  // Rewrite the file with the managed keys; written to a temporary file
+  // first so a crash never leaves it half written
+  async function save() {
+    const managed = [...byId.values()].filter(key => !key.readOnly);
+    const temporary = `${file}.${process.pid}.tmp`;
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    await fs.promises.writeFile(temporary, JSON.stringify(managed, null, 2), { mode: 0o600 });
+    await fs.promises.rename(temporary, file);
+  }
+
+  function managedKey(id) {
+    const key = byId.get(id);
+    if (!key) {
+      throw new HttpError(404, 'API_KEY_NOT_FOUND', `API key ${id} not found`);
+    }
+    if (key.readOnly) {
+      throw new HttpError(409, 'API_KEY_READ_ONLY', 'Keys from the config file can only be changed there');
+    }
+    return key;
+  }
+
+  return {
+    // The key record for a presented key, or null
+    authenticate(key) {
+      if (typeof key !== 'string' || key.length === 0) {
+        return null;
+      }
+      return byHash.get(hashKey(key)) || null;
+    },
+
+    list() {
+      return [...byId.values()].map(describe);
+    },
+
+    size() {
+      return byId.size;
+    },
+
+    // Resolves with the new key record and, this once, the key itself
+    async create(options) {
+      const secret = `${KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+      const key = {
+        id: uuidv4(),
+        name: 'unnamed',
+        ...defaults,
+        corsOrigins: [],
+        ...parseKeyOptions(options),
+        prefix: secret.slice(0, KEY_PREFIX.length + 4),
+        keyHash: hashKey(secret),
+        createdAt: new Date().toISOString(),
+        readOnly: false,
+      };
+      add(key);
+      await save();
+      return { ...describe(key), key: secret };
+    },
+
+    async update(id, options) {
+      const key = managedKey(id);
+      Object.assign(key, parseKeyOptions(options));
+      await save();
+      return describe(key);
+    },
+
+    async remove(id) {
+      const key = managedKey(id);
+      byId.delete(id);
+      byHash.delete(key.keyHash);
+      await save();
+    },
+  };
+}
+
+module.exports = {
+  createApiKeyStore,
+};
@@ -0,0 +1,173 @@
+// batch.js
+// ZIP handling for the /batch endpoint: unpacking uploaded archives and
+// packing rendition results with their manifest.
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const AdmZip = require('adm-zip');
+const { v4: uuidv4 } = require('uuid');
+const { HttpError } = require('./errors');
+const { FORMATS } = require('./format');
+
+// Entries that are never images: folders, macOS resource forks, dotfiles
+function isCandidateEntry(entry) {
+  if (entry.isDirectory) {
+    return false;
+  }
+  const parts = entry.entryName.split('/');
+  return !parts.includes('__MACOSX') && !parts[parts.length - 1].startsWith('.');
+}
+
+// ZIP compression methods we inflate ourselves
+const STORED = 0;
+const DEFLATED = 8;
+
+// The contents of an archive entry, never larger than its declared size.
+// adm-zip's getData() inflates without an output limit when an entry
+// declares size 0, so a forged header could expand without bound before its
+// CRC check fails; entries are inflated here with a cap instead.
+function readEntry(entry) {
+  const { header } = entry;
+  const tooLarge = () => new HttpError(413, 'BATCH_TOO_LARGE', `Archive entry ${entry.entryName} is larger than declared`);
+  if (header.encrypted) {
+    throw new HttpError(400, 'INVALID_ARCHIVE', `Archive entry ${entry.entryName} is encrypted`);
+  }
+
+  const compressed = entry.getCompressedData();
+  let data;
+  if (header.method === STORED) {
+    data = compressed;
+  } else if (header.method === DEFLATED) {
+    try {
+      // One byte over the declared size is enough to tell that it lied
+      data = zlib.inflateRawSync(compressed, { maxOutputLength: header.size + 1 });
+    } catch (error) {
+      if (error.code === 'ERR_BUFFER_TOO_LARGE') {
+        throw tooLarge();
+      }
+      throw new HttpError(400, 'INVALID_ARCHIVE', `Could not inflate archive entry ${entry.entryName}: ${error.message}`);
+    }
+  } else {
+    throw new HttpError(400, 'INVALID_ARCHIVE', `Archive entry ${entry.entryName} uses an unsupported compression method`);
+  }
+
+  if (data.length > header.size) {
+    throw tooLarge();
+  }
+  if (data.length < header.size) {
+    throw new HttpError(400, 'INVALID_ARCHIVE', `Archive entry ${entry.entryName} is truncated`);
+  }
+  return data;
+}
+
+// Unpack the files of an uploaded ZIP into `destDir` under generated names.
+// Entry names are only kept as labels, so they cannot escape `destDir`.
+function extractArchive(archivePath, destDir, { maxFiles, maxBytes }) {
+  let zip;
+  try {
+    zip = new AdmZip(archivePath);
+  } catch (error) {
+    throw new HttpError(400, 'INVALID_ARCHIVE', `Could not read ZIP archive: ${error.message}`);
+  }
+
+  const entries = zip.getEntries().filter(isCandidateEntry);
+  if (entries.length > maxFiles) {
+    throw new HttpError(413, 'BATCH_TOO_LARGE', `Archive contains ${entries.length} files; at most ${maxFiles} are allowed`);
+  }
+
+  // Check declared sizes before inflating anything; readEntry holds each
+  // entry to its declared size
+  const totalBytes = entries.reduce((sum, entry) => sum + entry.header.size, 0);
+  if (totalBytes > maxBytes) {
+    throw new HttpError(413, 'BATCH_TOO_LARGE', `Archive expands to ${totalBytes} bytes; at most ${maxBytes} are allowed`);
+  }
+
+  const extracted = [];
+  try {
+    entries.forEach(entry => {
+      const extension = path.extname(entry.entryName).replace(/[^A-Za-z0-9.]/g, '');
+      const filePath = path.join(destDir, `${uuidv4()}-archive${extension}`);
+      fs.writeFileSync(filePath, readEntry(entry));
+      extracted.push({ originalName: entry.entryName, path: filePath });
+    });
+  } catch (error) {
+    // Leave nothing behind from a half-extracted archive
+    extracted.forEach(file => fs.rmSync(file.path, { force: true }));
+    throw error;
+  }
+  return extracted;
+}
+
+// Folder name inside the result ZIP for an original file, unique per batch
+function folderNameFor(originalName, used) {
+  const base = path.basename(originalName, path.extname(originalName)).replace(/[^\w.-]+/g, '_') || 'image';
+  let name = base;
+  for (let suffix = 2; used.has(name); suffix += 1) {
+    name = `${base}-${suffix}`;
+  }
+  used.add(name);
+  return name;
+}
+
+// Build the result ZIP. `files` is a list of
+//   { originalName, result, error, read(rendition) -> Buffer }
+// where `result` is a thumbnail result or null if the file failed.
+async function buildResultArchive(files) {
+  const zip = new AdmZip();
+  const used = new Set();
+  const manifest = { createdAt: new Date().toISOString(), files: [] };
+
+  for (const file of files) {
+    if (!file.result) {
+      manifest.files.push({
+        original: file.originalName,
+        outputs: [],
+        metadata: null,
+        corrections: null,
+        operations: null,
+        placeholder: null,
+        perceptualHash: null,
+        duplicates: [],
+        error: file.error,
+      });
+      continue;
+    }
+
+    const folder = folderNameFor(file.originalName, used);
+    const outputs = [];
+    for (const rendition of file.result.renditions) {
+      const entryName = `${folder}/${rendition.name}.${FORMATS[rendition.format].extension}`;
+      zip.addFile(entryName, await file.read(rendition));
+      outputs.push({
+        name: rendition.name,
+        path: entryName,
+        width: rendition.width,
+        height: rendition.height,
+        bytes: rendition.bytes,
+        format: rendition.format,
+        mimeType: rendition.mimeType,
+        animated: rendition.animated,
+      });
+    }
+    manifest.files.push({
+      original: file.originalName,
+      outputs,
+      metadata: file.result.metadata,
+      corrections: file.result.corrections,
+      operations: file.result.operations,
+      placeholder: file.result.placeholder,
+      perceptualHash: file.result.fingerprint.dhash,
+      // Earlier results of the same or a similar image, by thumbnail id
+      duplicates: (file.result.duplicates || []).map(({ id, match, similarity }) => ({ id, match, similarity })),
+      error: null,
+    });
+  }
+
+  zip.addFile('manifest.json', Buffer.from(JSON.stringify(manifest, null, 2)));
+  return zip.toBuffer();
+}
+
+module.exports = {
+  extractArchive,
+  buildResultArchive,
+};
@@ -0,0 +1,109 @@
+// cache.js
+// Content-addressed cache of generated renditions. Entries are keyed on the
+// source bytes plus the normalized transform parameters, so a repeat request
+// for the same image and options can be answered without ImageMagick.
+const crypto = require('crypto');
+const { acceptedFormats } = require('./format');
+
+// JSON with sorted object keys, so equal parameters always hash the same
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value)
+      .sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+// Cache key for a source hash and its resolved renditions. `auto` formats
+// depend on the Accept header, so the formats it negotiates are part of the
+// key, as are the metadata policy, source corrections, frame selection,
+// overlay and operations.
+function cacheKey(sourceHash, renditions, { accept, metadataPolicy, normalize, frames, overlay, operations } = {}) {
+  const params = {
+    renditions,
+    metadataPolicy,
+    normalize,
+    frames,
+    overlay,
+    operations,
+    negotiated: renditions.some(rendition => rendition.format === 'auto')
+      ? acceptedFormats(accept)
+      : null,
+  };
+  return crypto
+    .createHash('sha256')
+    .update(sourceHash)
+    .update('\0')
+    .update(stableStringify(params))
+    .digest('hex');
+}
+
+// In-memory LRU bounded by entry count and by the total bytes of the cached
+// renditions. Evicting an entry only forgets it: its stored files stay until
+// the retention sweeper removes them, since their URLs were handed out.
+function createResultCache({ maxEntries = 1000, maxBytes = 512 * 1024 * 1024 } = {}) {
+  const entries = new Map();
+  let totalBytes = 0;
+
+  const sizeOf = value => value.renditions.reduce((sum, rendition) => sum + rendition.bytes, 0);
+
+  function remove(key) {
+    const entry = entries.get(key);
+    if (!entry) {
+      return undefined;
+    }
+    entries.delete(key);
+    totalBytes -= entry.bytes;
+    return entry.value;
+  }
+
+  function evict() {
+    while (entries.size > maxEntries || totalBytes > maxBytes) {
+      remove(entries.keys().next().value);
+    }
+  }
+
+  return {
+    get(key) {
+      const entry = entries.get(key);
+      if (!entry) {
+        return undefined;
+      }
+      // Re-insert to mark as most recently used
+      entries.delete(key);
+      entries.set(key, entry);
+      return entry.value;
+    },
+
+    set(key, value) {
+      remove(key);
+      const bytes = sizeOf(value);
+      if (bytes > maxBytes) {
+        // Too large to ever fit; leave it uncached rather than evict it at once
+        return;
+      }
+      entries.set(key, { value, bytes });
+      totalBytes += bytes;
+      evict();
+    },
+
+    delete(key) {
+      return remove(key) !== undefined;
+    },
+
+    stats() {
+      return { entries: entries.size, bytes: totalBytes, maxEntries, maxBytes };
+    },
+  };
+}
+
+module.exports = {
+  cacheKey,
+  createResultCache,
+};
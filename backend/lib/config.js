@@ -0,0 +1,323 @@
+// config.js
+// Server configuration. Defaults are overridden by a JSON config file (named
+// by CONFIG_FILE) and then by environment variables, so a deployment can keep
+// most settings in a file and still override single values.
+//
+//   {
+//     "port": 8080,
+//     "storageDir": "/var/lib/thumbnails",
+//     "corsOrigins": ["https://example.com"],
+//     "defaultSize": { "width": 320, "height": 240 },
+//     "upload": { "maxBytes": 10485760 }
+//   }
+//
+// Relative paths in the file are resolved against the file's directory.
+const fs = require('fs');
+const path = require('path');
+const { DEFAULT_SIZE } = require('./renditions');
+
+const BACKEND_DIR = path.join(__dirname, '..');
+
+const DEFAULT_CONFIG = {
+  port: 5001,
+  // Uploads, downloads and video posters live here only while a job runs
+  uploadDir: path.join(BACKEND_DIR, 'uploads'),
+  // Generated renditions; sources for /img URLs go to `sourceStorageDir`,
+  // `<storageDir>/sources` unless set
+  storageDir: path.join(BACKEND_DIR, 'storage'),
+  sourceStorageDir: null,
+  storageDriver: 'local',
+  // Fingerprints for duplicate detection; `<storageDir>/similarity-index.jsonl`
+  // unless set
+  similarityIndexFile: null,
+  // Origins allowed to call the API from a browser; '*' allows any
+  corsOrigins: ['*'],
+  // Rendition size when a request names no renditions, preset or size
+  defaultSize: DEFAULT_SIZE,
+  // Signs /img URLs; a random secret is used when unset
+  imageUrlSecret: null,
+  // Transform parameter lists POST /sources may sign, e.g. ["w_320,h_180,fit_cover"];
+  // none when empty
+  imageTransforms: [],
+  // Bearer token for the /admin endpoints; they are disabled when unset
+  adminToken: null,
+  // API keys from the config file, e.g. [{ "name": "ci", "key": "...",
+  // "requestsPerMinute": 120 }]; keys created through /admin/api-keys are
+  // kept in `apiKeyFile`
+  apiKeys: [],
+  apiKeyFile: path.join(BACKEND_DIR, 'data', 'api-keys.json'),
+  // Whether requests need an X-API-Key, and the limits of keys that set none;
+  // 0 disables a limit
+  auth: {
+    required: true,
+    requestsPerMinute: 60,
+    dailyBytes: 1024 * 1024 * 1024,
+  },
+  // Signs webhook payloads; requests cannot set a callbackUrl when unset
+  webhookSecret: null,
+  // Deliveries that failed every attempt; `<storageDir>/webhook-dead-letters.jsonl`
+  // unless set
+  webhookDeadLetterFile: null,
+  // sRGB ICC profile for colour conversion; searched for when unset
+  srgbProfile: null,
+  // Logos a request can use as its overlay by name, e.g. { brand: '/srv/logo.png' }
+  overlayLogos: {},
+  // JSON log lines on stdout at `level` and above: debug, info, warn or error
+  log: { level: 'info' },
+  imagemagick: {
+    timeoutMs: 60000,
+    limits: { memory: '256MiB', disk: '1GiB', time: '60' },
+  },
+  ffmpeg: { ffmpegPath: 'ffmpeg', timeoutMs: 30000 },
+  cache: { maxEntries: 1000, maxBytes: 512 * 1024 * 1024 },
+  jobs: { concurrency: 2, timeoutMs: 120000 },
+  webhooks: {
+    maxAttempts: 6,
+    initialDelayMs: 1000,
+    maxDelayMs: 5 * 60 * 1000,
+    timeoutMs: 10000,
+    allowPrivateAddresses: false,
+  },
+  download: {
+    maxBytes: 20 * 1024 * 1024,
+    maxRedirects: 3,
+    connectTimeoutMs: 5000,
+    readTimeoutMs: 10000,
+  },
+  batch: {
+    maxFiles: 200,
+    maxArchiveBytes: 500 * 1024 * 1024,
+    maxUploadBytes: 200 * 1024 * 1024,
+  },
+  // Near duplicates differ in at most `maxDistance` of the 64 perceptual hash
+  // bits; past `maxEntries` the oldest fingerprints are dropped
+  similarity: { maxEntries: 100000, maxDistance: 10 },
+  // Checked for every source before ImageMagick decodes it; `allowedFormats`
+  // defaults to every supported type
+  upload: {
+    maxBytes: 25 * 1024 * 1024,
+    allowedFormats: null,
+    maxWidth: 16384,
+    maxHeight: 16384,
+    maxMegapixels: 100,
+  },
+  // Age and size limits for the background sweeper; 0 disables a limit
+  retention: {
+    uploadMaxAgeMs: 60 * 60 * 1000,
+    thumbnailMaxAgeMs: 30 * 24 * 60 * 60 * 1000,
+    thumbnailMaxBytes: 5 * 1024 * 1024 * 1024,
+    sourceMaxAgeMs: 0,
+    sweepIntervalMs: 10 * 60 * 1000,
+  },
+};
+
+function parseInteger(value, name) {
+  if (!/^\d+$/.test(value.trim())) {
+    throw new Error(`${name} must be a non-negative integer, got "${value}"`);
+  }
+  return Number(value);
+}
+
+function parseNumber(value, name) {
+  const number = Number(value);
+  if (value.trim() === '' || !Number.isFinite(number) || number < 0) {
+    throw new Error(`${name} must be a non-negative number, got "${value}"`);
+  }
+  return number;
+}
+
+function parseList(value) {
+  return value.split(',').map(item => item.trim()).filter(Boolean);
+}
+
+function parseString(value) {
+  return value;
+}
+
+function parseBoolean(value, name) {
+  if (!['true', 'false', '1', '0'].includes(value.trim())) {
+    throw new Error(`${name} must be true or false, got "${value}"`);
+  }
+  return ['true', '1'].includes(value.trim());
+}
+
+// "w_320,h_180; w_640" -> ['w_320,h_180', 'w_640']; parameter lists contain
+// commas, so they are separated by semicolons
+function parseTransformList(value) {
+  return value.split(';').map(item => item.trim()).filter(Boolean);
+}
+
+// "brand=/srv/logo.png, dark=/srv/dark.png" -> { brand: ..., dark: ... }
+function parseMap(value, name) {
+  const map = {};
+  parseList(value).forEach(item => {
+    const separator = item.indexOf('=');
+    if (separator < 1) {
+      throw new Error(`${name} must be a list of name=value pairs, got "${item}"`);
+    }
+    map[item.slice(0, separator).trim()] = item.slice(separator + 1).trim();
+  });
+  return map;
+}
+
+// "ci=tk_abc, ingest=tk_def" -> [{ name: 'ci', key: 'tk_abc' }, ...]
+function parseKeyList(value, name) {
+  return Object.entries(parseMap(value, name)).map(([keyName, key]) => ({ name: keyName, key }));
+}
+
+// Environment variable -> [config path, parser]
+const ENVIRONMENT = {
+  PORT: ['port', parseInteger],
+  LOG_LEVEL: ['log.level', parseString],
+  UPLOAD_DIR: ['uploadDir', parseString],
+  STORAGE_DIR: ['storageDir', parseString],
+  SOURCE_STORAGE_DIR: ['sourceStorageDir', parseString],
+  STORAGE_DRIVER: ['storageDriver', parseString],
+  SIMILARITY_INDEX_FILE: ['similarityIndexFile', parseString],
+  SIMILARITY_MAX_ENTRIES: ['similarity.maxEntries', parseInteger],
+  SIMILARITY_MAX_DISTANCE: ['similarity.maxDistance', parseInteger],
+  CORS_ORIGINS: ['corsOrigins', parseList],
+  DEFAULT_WIDTH: ['defaultSize.width', parseInteger],
+  DEFAULT_HEIGHT: ['defaultSize.height', parseInteger],
+  IMAGE_URL_SECRET: ['imageUrlSecret', parseString],
+  IMAGE_TRANSFORMS: ['imageTransforms', parseTransformList],
+  ADMIN_TOKEN: ['adminToken', parseString],
+  API_KEYS: ['apiKeys', parseKeyList],
+  API_KEY_FILE: ['apiKeyFile', parseString],
+  API_KEYS_REQUIRED: ['auth.required', parseBoolean],
+  API_KEY_REQUESTS_PER_MINUTE: ['auth.requestsPerMinute', parseInteger],
+  API_KEY_DAILY_BYTES: ['auth.dailyBytes', parseInteger],
+  WEBHOOK_SECRET: ['webhookSecret', parseString],
+  WEBHOOK_DEAD_LETTER_FILE: ['webhookDeadLetterFile', parseString],
+  SRGB_PROFILE_PATH: ['srgbProfile', parseString],
+  OVERLAY_LOGOS: ['overlayLogos', parseMap],
+  IMAGEMAGICK_TIMEOUT_MS: ['imagemagick.timeoutMs', parseInteger],
+  IMAGEMAGICK_MEMORY_LIMIT: ['imagemagick.limits.memory', parseString],
+  IMAGEMAGICK_DISK_LIMIT: ['imagemagick.limits.disk', parseString],
+  IMAGEMAGICK_TIME_LIMIT: ['imagemagick.limits.time', parseString],
+  FFMPEG_PATH: ['ffmpeg.ffmpegPath', parseString],
+  FFMPEG_TIMEOUT_MS: ['ffmpeg.timeoutMs', parseInteger],
+  CACHE_MAX_ENTRIES: ['cache.maxEntries', parseInteger],
+  CACHE_MAX_BYTES: ['cache.maxBytes', parseInteger],
+  JOB_CONCURRENCY: ['jobs.concurrency', parseInteger],
+  JOB_TIMEOUT_MS: ['jobs.timeoutMs', parseInteger],
+  WEBHOOK_MAX_ATTEMPTS: ['webhooks.maxAttempts', parseInteger],
+  WEBHOOK_INITIAL_DELAY_MS: ['webhooks.initialDelayMs', parseInteger],
+  WEBHOOK_MAX_DELAY_MS: ['webhooks.maxDelayMs', parseInteger],
+  WEBHOOK_TIMEOUT_MS: ['webhooks.timeoutMs', parseInteger],
+  WEBHOOK_ALLOW_PRIVATE_ADDRESSES: ['webhooks.allowPrivateAddresses', parseBoolean],
+  DOWNLOAD_MAX_BYTES: ['download.maxBytes', parseInteger],
+  DOWNLOAD_MAX_REDIRECTS: ['download.maxRedirects', parseInteger],
+  DOWNLOAD_CONNECT_TIMEOUT_MS: ['download.connectTimeoutMs', parseInteger],
+  DOWNLOAD_READ_TIMEOUT_MS: ['download.readTimeoutMs', parseInteger],
+  BATCH_MAX_FILES: ['batch.maxFiles', parseInteger],
+  BATCH_MAX_ARCHIVE_BYTES: ['batch.maxArchiveBytes', parseInteger],
+  BATCH_MAX_UPLOAD_BYTES: ['batch.maxUploadBytes', parseInteger],
+  UPLOAD_MAX_BYTES: ['upload.maxBytes', parseInteger],
+  UPLOAD_ALLOWED_FORMATS: ['upload.allowedFormats', parseList],
+  IMAGE_MAX_WIDTH: ['upload.maxWidth', parseInteger],
+  IMAGE_MAX_HEIGHT: ['upload.maxHeight', parseInteger],
+  IMAGE_MAX_MEGAPIXELS: ['upload.maxMegapixels', parseNumber],
+  UPLOAD_MAX_AGE_MS: ['retention.uploadMaxAgeMs', parseInteger],
+  THUMBNAIL_MAX_AGE_MS: ['retention.thumbnailMaxAgeMs', parseInteger],
+  STORAGE_QUOTA_BYTES: ['retention.thumbnailMaxBytes', parseInteger],
+  SOURCE_MAX_AGE_MS: ['retention.sourceMaxAgeMs', parseInteger],
+  SWEEP_INTERVAL_MS: ['retention.sweepIntervalMs', parseInteger],
+};
+
+const PATH_FIELDS = [
+  'uploadDir',
+  'storageDir',
+  'sourceStorageDir',
+  'similarityIndexFile',
+  'webhookDeadLetterFile',
+  'apiKeyFile',
+  'srgbProfile',
+];
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Deep merge of plain objects; arrays and other values replace
+function mergeConfig(base, ...overrides) {
+  return overrides.reduce((merged, override) => {
+    const result = { ...merged };
+    Object.entries(override || {}).forEach(([key, value]) => {
+      if (value === undefined) {
+        return;
+      }
+      result[key] = isPlainObject(value) && isPlainObject(result[key])
+        ? mergeConfig(result[key], value)
+        : value;
+    });
+    return result;
+  }, base);
+}
+
+function setPath(target, dottedPath, value) {
+  const keys = dottedPath.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((node, key) => {
+    node[key] = node[key] || {};
+    return node[key];
+  }, target);
+  parent[last] = value;
+}
+
+function readConfigFile(file) {
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read config file ${file}: ${error.message}`);
+  }
+  if (!isPlainObject(config)) {
+    throw new Error(`Config file ${file} must contain a JSON object`);
+  }
+  const dir = path.dirname(path.resolve(file));
+  PATH_FIELDS.forEach(field => {
+    if (typeof config[field] === 'string') {
+      config[field] = path.resolve(dir, config[field]);
+    }
+  });
+  if (isPlainObject(config.overlayLogos)) {
+    Object.keys(config.overlayLogos).forEach(name => {
+      config.overlayLogos[name] = path.resolve(dir, String(config.overlayLogos[name]));
+    });
+  }
+  return config;
+}
+
+function configFromEnvironment(env) {
+  const config = {};
+  Object.entries(ENVIRONMENT).forEach(([name, [dottedPath, parse]]) => {
+    if (env[name] !== undefined && env[name] !== '') {
+      setPath(config, dottedPath, parse(env[name], name));
+    }
+  });
+  return config;
+}
+
+// Full configuration from defaults, the CONFIG_FILE and the environment.
+// Throws on unreadable files and malformed values so a bad deployment fails
+// at startup.
+function loadConfig({ env = process.env, file = env.CONFIG_FILE } = {}) {
+  return mergeConfig(
+    DEFAULT_CONFIG,
+    file ? readConfigFile(file) : {},
+    configFromEnvironment(env)
+  );
+}
+
+// Defaults completed with `overrides`, for createApp and in-process tests
+function resolveConfig(overrides = {}) {
+  return mergeConfig(DEFAULT_CONFIG, overrides);
+}
+
+module.exports = {
+  DEFAULT_CONFIG,
+  ENVIRONMENT,
+  loadConfig,
+  resolveConfig,
+};
@@ -0,0 +1,205 @@
+// download.js
+// Fetch remote images for imageUrl requests without letting the URL reach
+// internal services or exhaust the server.
+const fs = require('fs');
+const net = require('net');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const axios = require('axios');
+const { HttpError } = require('./errors');
+const { sniffFile } = require('./sniff');
+
+const DEFAULT_LIMITS = {
+  maxBytes: 20 * 1024 * 1024,
+  maxRedirects: 3,
+  connectTimeoutMs: 5000,
+  readTimeoutMs: 10000,
+};
+
+// Addresses a download must never connect to: loopback, private, link-local,
+// carrier-grade NAT, multicast and other reserved ranges
+const blockedAddresses = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24],
+  ['192.168.0.0', 16], ['198.18.0.0', 15], ['198.51.100.0', 24], ['203.0.113.0', 24],
+  ['224.0.0.0', 4], ['240.0.0.0', 4],
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['100::', 64], ['2001:db8::', 32],
+  ['fc00::', 7], ['fe80::', 10], ['ff00::', 8],
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv6'));
+
+function isBlockedAddress(address) {
+  const family = net.isIP(address);
+  if (family === 4) {
+    return blockedAddresses.check(address, 'ipv4');
+  }
+  if (family === 6) {
+    // IPv4-mapped addresses (::ffff:10.0.0.1) are checked as IPv4
+    const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+    return mapped ? isBlockedAddress(mapped[1]) : blockedAddresses.check(address, 'ipv6');
+  }
+  return true;
+}
+
+function blocked(host) {
+  return new HttpError(403, 'BLOCKED_ADDRESS', `Refusing to download from non-public address ${host}`);
+}
+
+// dns.lookup replacement for the download agents. Every address a hostname
+// resolves to must be public; the socket then connects to exactly those
+// addresses, so the check also holds for each redirect hop.
+function guardedLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) {
+      return callback(new HttpError(422, 'UNRESOLVABLE_HOST', `Could not resolve host ${hostname}`));
+    }
+    const bad = addresses.find(entry => isBlockedAddress(entry.address));
+    if (bad) {
+      return callback(blocked(`${hostname} (${bad.address})`));
+    }
+    if (options.all) {
+      return callback(null, addresses);
+    }
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+const agents = {
+  httpAgent: new http.Agent({ lookup: guardedLookup }),
+  httpsAgent: new https.Agent({ lookup: guardedLookup }),
+};
+
+// Reject URLs that are not plain http(s) or that name a blocked IP literal.
+// Hostnames are checked when they are resolved.
+function assertAllowedUrl(value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    throw new HttpError(400, 'INVALID_URL', 'imageUrl is not a valid URL');
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    throw new HttpError(400, 'INVALID_URL', `Unsupported URL protocol ${url.protocol}`);
+  }
+  const host = url.hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(host) && isBlockedAddress(host)) {
+    throw blocked(host);
+  }
+  return url;
+}
+
+// Find our own error inside the wrappers axios and follow-redirects add
+function unwrapError(error) {
+  for (let current = error; current; current = current.cause) {
+    if (current instanceof HttpError) {
+      return current;
+    }
+  }
+
+  if (error.code === 'ERR_FR_TOO_MANY_REDIRECTS') {
+    return new HttpError(422, 'TOO_MANY_REDIRECTS', 'imageUrl redirected too many times');
+  }
+  if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+    return new HttpError(408, 'DOWNLOAD_TIMEOUT', 'Timed out connecting to imageUrl');
+  }
+  if (error.response) {
+    return new HttpError(422, 'UPSTREAM_STATUS', `imageUrl responded with HTTP ${error.response.status}`);
+  }
+  if (error.code === 'ERR_CANCELED') {
+    return error;
+  }
+  return new HttpError(422, 'DOWNLOAD_FAILED', `Could not download imageUrl: ${error.message}`);
+}
+
+// Stream the response body to `filePath`, aborting once it exceeds maxBytes
+// or stalls for longer than readTimeoutMs
+function writeBody(stream, filePath, { maxBytes, readTimeoutMs }) {
+  return new Promise((resolve, reject) => {
+    const writer = fs.createWriteStream(filePath);
+    let received = 0;
+    let timer;
+
+    const fail = error => {
+      clearTimeout(timer);
+      stream.destroy();
+      writer.destroy();
+      reject(error);
+    };
+    const armTimer = () => {
+      clearTimeout(timer);
+      timer = setTimeout(() => {
+        fail(new HttpError(408, 'DOWNLOAD_TIMEOUT', `imageUrl sent no data for ${readTimeoutMs}ms`));
+      }, readTimeoutMs);
+    };
+
+    armTimer();
+    stream.on('data', chunk => {
+      received += chunk.length;
+      if (received > maxBytes) {
+        fail(new HttpError(413, 'DOWNLOAD_TOO_LARGE', `imageUrl is larger than ${maxBytes} bytes`));
+        return;
+      }
+      armTimer();
+    });
+    stream.on('error', error => fail(unwrapError(error)));
+    writer.on('error', fail);
+    writer.on('finish', () => {
+      clearTimeout(timer);
+      resolve(received);
+    });
+    stream.pipe(writer);
+  });
+}
+
+// Download an image to `filePath`. Resolves with the sniffed image type
+// ({ format, mimeType, extension }) and byte count; every failure is an
+// HttpError with a 4xx status and a specific code.
+async function downloadImage(url, filePath, { signal, ...options } = {}) {
+  const limits = { ...DEFAULT_LIMITS, ...options };
+  assertAllowedUrl(url);
+
+  let response;
+  try {
+    response = await axios({
+      method: 'GET',
+      url: url,
+      responseType: 'stream',
+      signal,
+      proxy: false,
+      timeout: limits.connectTimeoutMs,
+      maxRedirects: limits.maxRedirects,
+      beforeRedirect: redirect => assertAllowedUrl(redirect.href),
+      ...agents,
+    });
+  } catch (error) {
+    throw unwrapError(error);
+  }
+
+  const declaredLength = parseInt(response.headers['content-length'], 10);
+  if (declaredLength > limits.maxBytes) {
+    response.data.destroy();
+    throw new HttpError(413, 'DOWNLOAD_TOO_LARGE', `imageUrl is larger than ${limits.maxBytes} bytes`);
+  }
+
+  try {
+    const bytes = await writeBody(response.data, filePath, limits);
+    const type = await sniffFile(filePath);
+    // Poster frames are only taken from uploaded videos
+    if (!type || type.video || type.archive) {
+      throw new HttpError(415, 'UNSUPPORTED_MEDIA_TYPE', 'imageUrl did not return a supported image');
+    }
+    return { ...type, bytes };
+  } catch (error) {
+    await fs.promises.unlink(filePath).catch(() => {});
+    throw error;
+  }
+}
+
+module.exports = {
+  downloadImage,
+  guardedLookup,
+  isBlockedAddress,
+};
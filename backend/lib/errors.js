@@ -0,0 +1,19 @@
+// errors.js
+// Errors that carry an HTTP status and a machine-readable code for the client.
+
+class HttpError extends Error {
+  constructor(status, code, message) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+// Machine-readable code of an error. Node's own errors use string codes such
+// as ENOENT, while child process failures carry a numeric exit code instead.
+function errorCode(error, fallback) {
+  return typeof error.code === 'string' ? error.code : fallback;
+}
+
+module.exports = { HttpError, errorCode };
@@ -0,0 +1,85 @@
+// ffmpeg.js
+// Poster frames for video sources, taken with a locally installed ffmpeg.
+// Like the ImageMagick runner it runs without a shell, with a hard timeout,
+// and turns failures into HttpErrors.
+const fs = require('fs');
+const path = require('path');
+const { execFile } = require('child_process');
+const { HttpError } = require('./errors');
+
+const DEFAULT_OPTIONS = {
+  ffmpegPath: 'ffmpeg',
+  timeoutMs: 30000,
+};
+
+function toFfmpegError(error, stderr, timeoutMs) {
+  if (error.code === 'ENOENT') {
+    return new HttpError(500, 'FFMPEG_MISSING', 'ffmpeg is not installed or not on the PATH');
+  }
+  if (error.killed && error.signal && !error.code) {
+    return new HttpError(504, 'FFMPEG_TIMEOUT', `ffmpeg did not finish within ${timeoutMs}ms`);
+  }
+  // Drop lines that name local files
+  const message = String(stderr || '')
+    .split('\n')
+    .map(line => line.trim())
+    .filter(line => line && !line.includes(path.sep))
+    .pop();
+  return new HttpError(422, 'VIDEO_DECODE_FAILED', `Could not read the video${message ? `: ${message}` : ''}`);
+}
+
+// Create an ffmpeg runner. `posterFrame(videoPath, outputPath, { timestamp })`
+// writes the frame at `timestamp` seconds as a PNG and resolves with
+// `outputPath`; pass `signal` to kill ffmpeg early. `onRun(seconds, error)`
+// is called after every run.
+function createFfmpeg(options = {}) {
+  const config = { ...DEFAULT_OPTIONS, ...options };
+  const onRun = config.onRun || (() => {});
+
+  function posterFrame(videoPath, outputPath, { timestamp = 0, signal } = {}) {
+    if (!path.isAbsolute(videoPath) || !path.isAbsolute(outputPath)) {
+      return Promise.reject(new Error('ffmpeg paths must be absolute'));
+    }
+    const args = [
+      '-nostdin',
+      '-hide_banner',
+      '-loglevel', 'error',
+      // Seeking before the input is fast and accurate enough for a poster
+      '-ss', String(timestamp),
+      '-i', videoPath,
+      '-frames:v', '1',
+      '-an',
+      '-f', 'image2',
+      '-c:v', 'png',
+      '-y', outputPath,
+    ];
+
+    const startedAt = Date.now();
+    return new Promise((resolve, reject) => {
+      execFile(config.ffmpegPath, args, {
+        signal,
+        timeout: config.timeoutMs,
+        killSignal: 'SIGKILL',
+        windowsHide: true,
+      }, (error, stdout, stderr) => {
+        if (signal && signal.aborted) {
+          return reject(signal.reason);
+        }
+        const failure = error ? toFfmpegError(error, stderr, config.timeoutMs) : null;
+        onRun((Date.now() - startedAt) / 1000, failure);
+        if (failure) {
+          return reject(failure);
+        }
+        // ffmpeg exits cleanly without output when seeking past the end
+        if (!fs.existsSync(outputPath) || fs.statSync(outputPath).size === 0) {
+          return reject(new HttpError(422, 'INVALID_TIMESTAMP', `The video has no frame at ${timestamp}s`));
+        }
+        resolve(outputPath);
+      });
+    });
+  }
+
+  return { config, posterFrame };
+}
+
+module.exports = { createFfmpeg };
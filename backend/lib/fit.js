@@ -0,0 +1,154 @@
+// fit.js
+// Fit modes, gravity and focal-point cropping for renditions.
+const { HttpError } = require('./errors');
+
+const FIT_MODES = ['cover', 'contain', 'fill', 'inside'];
+
+const GRAVITIES = {
+  center: 'Center',
+  north: 'North',
+  south: 'South',
+  east: 'East',
+  west: 'West',
+  northeast: 'NorthEast',
+  northwest: 'NorthWest',
+  southeast: 'SouthEast',
+  southwest: 'SouthWest',
+};
+
+const COLOR_PATTERN = /^(#[0-9a-f]{3}|#[0-9a-f]{4}|#[0-9a-f]{6}|#[0-9a-f]{8}|[a-z]{3,20})$/i;
+
+const DEFAULT_FIT = {
+  fit: 'inside',
+  gravity: 'center',
+  background: 'white',
+  focalPoint: null,
+};
+
+function invalid(message) {
+  return new HttpError(400, 'INVALID_FIT', message);
+}
+
+function parseFocalPoint(value) {
+  let x;
+  let y;
+  if (typeof value === 'string') {
+    [x, y] = value.split(',').map(part => Number(part.trim()));
+  } else if (value && typeof value === 'object') {
+    x = Number(value.x);
+    y = Number(value.y);
+  }
+
+  const inRange = n => Number.isFinite(n) && n >= 0 && n <= 1;
+  if (!inRange(x) || !inRange(y)) {
+    throw invalid('focalPoint must be "x,y" with both values between 0 and 1');
+  }
+  return { x, y };
+}
+
+// Read fit options from a request body or a rendition spec. Only fields that
+// are present are returned, so rendition overrides can be layered on top of
+// the request-level options.
+function parseFitOptions(source = {}) {
+  const options = {};
+
+  if (source.fit !== undefined) {
+    if (!FIT_MODES.includes(source.fit)) {
+      throw invalid(`Unknown fit "${source.fit}". Expected one of: ${FIT_MODES.join(', ')}`);
+    }
+    options.fit = source.fit;
+  }
+
+  if (source.gravity !== undefined) {
+    const gravity = String(source.gravity).toLowerCase();
+    if (!GRAVITIES[gravity]) {
+      throw invalid(`Unknown gravity "${source.gravity}". Expected one of: ${Object.keys(GRAVITIES).join(', ')}`);
+    }
+    options.gravity = gravity;
+  }
+
+  if (source.background !== undefined) {
+    const background = String(source.background);
+    if (!COLOR_PATTERN.test(background)) {
+      throw invalid(`Invalid background colour "${background}"`);
+    }
+    options.background = background.toLowerCase() === 'transparent' ? 'none' : background;
+  }
+
+  if (source.focalPoint !== undefined && source.focalPoint !== '') {
+    options.focalPoint = parseFocalPoint(source.focalPoint);
+  }
+
+  return options;
+}
+
+// Offsets for a cover crop that keeps the focal point as close to the centre
+// of the output as the image edges allow.
+function focalCrop(sourceSize, width, height, focalPoint) {
+  const scale = Math.max(width / sourceSize.width, height / sourceSize.height);
+  const scaledWidth = Math.max(width, Math.round(sourceSize.width * scale));
+  const scaledHeight = Math.max(height, Math.round(sourceSize.height * scale));
+  const clamp = (value, max) => Math.min(Math.max(value, 0), max);
+
+  return {
+    scaledWidth,
+    scaledHeight,
+    x: clamp(Math.round(focalPoint.x * scaledWidth - width / 2), scaledWidth - width),
+    y: clamp(Math.round(focalPoint.y * scaledHeight - height / 2), scaledHeight - height),
+  };
+}
+
+// ImageMagick arguments that resize the current image for one rendition.
+// `sourceSize` is only needed for focal-point crops.
+function buildResizeArgs(rendition, sourceSize) {
+  const { width, height, fit, gravity, background, focalPoint } = rendition;
+  const size = `${width}x${height}`;
+
+  switch (fit) {
+    case 'cover':
+      if (focalPoint && sourceSize) {
+        const crop = focalCrop(sourceSize, width, height, focalPoint);
+        return [
+          '-resize', `${crop.scaledWidth}x${crop.scaledHeight}!`,
+          '+gravity', '-crop', `${size}+${crop.x}+${crop.y}`, '+repage',
+        ];
+      }
+      return ['-resize', `${size}^`, '-gravity', GRAVITIES[gravity], '-extent', size];
+    case 'contain':
+      return [
+        '-resize', size,
+        '-background', background,
+        '-gravity', GRAVITIES[gravity],
+        '-extent', size,
+      ];
+    case 'fill':
+      return ['-resize', `${size}!`];
+    case 'inside':
+    default:
+      return ['-resize', `${size}>`];
+  }
+}
+
+// Expected dimensions of a rendition once resized from `sourceSize`
+function outputSize(rendition, sourceSize) {
+  const { width, height, fit } = rendition;
+  if (fit !== 'inside' || !sourceSize) {
+    return { width, height };
+  }
+  // `>` only ever shrinks
+  const scale = Math.min(width / sourceSize.width, height / sourceSize.height, 1);
+  return {
+    width: Math.max(1, Math.round(sourceSize.width * scale)),
+    height: Math.max(1, Math.round(sourceSize.height * scale)),
+  };
+}
+
+module.exports = {
+  COLOR_PATTERN,
+  DEFAULT_FIT,
+  FIT_MODES,
+  GRAVITIES,
+  parseFitOptions,
+  buildResizeArgs,
+  outputSize,
+};
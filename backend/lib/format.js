@@ -0,0 +1,119 @@
+// format.js
+// Output formats, quality settings and Accept-header negotiation.
+const { HttpError } = require('./errors');
+
+const FORMATS = {
+  jpeg: { mimeType: 'image/jpeg', extension: 'jpg', alpha: false, animated: false, defaultQuality: 82 },
+  png: { mimeType: 'image/png', extension: 'png', alpha: true, animated: false, defaultQuality: null },
+  webp: { mimeType: 'image/webp', extension: 'webp', alpha: true, animated: true, defaultQuality: 80 },
+  avif: { mimeType: 'image/avif', extension: 'avif', alpha: true, animated: false, defaultQuality: 50 },
+  gif: { mimeType: 'image/gif', extension: 'gif', alpha: true, animated: true, defaultQuality: null },
+};
+
+const FORMAT_ALIASES = { jpg: 'jpeg' };
+
+// Formats `auto` may pick from the Accept header, best compression first
+const NEGOTIABLE_FORMATS = ['avif', 'webp'];
+
+function invalid(message) {
+  return new HttpError(400, 'INVALID_FORMAT', message);
+}
+
+// Read format options from a request body or a rendition spec. Only fields
+// that are present are returned.
+function parseFormatOptions(source = {}) {
+  const options = {};
+
+  if (source.format !== undefined) {
+    const name = String(source.format).toLowerCase();
+    const format = FORMAT_ALIASES[name] || name;
+    if (format !== 'auto' && !FORMATS[format]) {
+      throw invalid(`Unknown format "${source.format}". Expected auto or one of: ${Object.keys(FORMATS).join(', ')}`);
+    }
+    options.format = format;
+  }
+
+  if (source.quality !== undefined && source.quality !== '') {
+    const quality = Number(source.quality);
+    if (!Number.isInteger(quality) || quality < 1 || quality > 100) {
+      throw invalid('quality must be an integer between 1 and 100');
+    }
+    options.quality = quality;
+  }
+
+  return options;
+}
+
+// Mime types the client accepts, ignoring entries with q=0
+function acceptedTypes(acceptHeader = '') {
+  return acceptHeader
+    .split(',')
+    .map(entry => {
+      const [type, ...params] = entry.trim().toLowerCase().split(';');
+      const q = params.map(param => param.trim()).find(param => param.startsWith('q='));
+      return { type, q: q ? Number(q.slice(2)) : 1 };
+    })
+    .filter(entry => entry.type && entry.q > 0)
+    .map(entry => entry.type);
+}
+
+// The negotiable formats the client lists explicitly, best first
+function acceptedFormats(accept) {
+  const accepted = acceptedTypes(accept);
+  return NEGOTIABLE_FORMATS.filter(name => accepted.includes(FORMATS[name].mimeType));
+}
+
+// The format `auto` picks from the Accept header alone: AVIF, then WebP when
+// the client lists them explicitly, otherwise null.
+function negotiateFormat(accept) {
+  return acceptedFormats(accept)[0] || null;
+}
+
+// Pick the concrete output format for a rendition. `auto` uses the negotiated
+// format and otherwise falls back to PNG for sources with transparency and
+// JPEG for everything else. Animated renditions are WebP or GIF.
+function resolveFormat(format, { accept, hasAlpha, animated = false }) {
+  if (animated) {
+    if (format && format !== 'auto' && !FORMATS[format].animated) {
+      throw invalid(`${format} renditions cannot be animated; use gif or webp`);
+    }
+    if (format && format !== 'auto') {
+      return format;
+    }
+    return acceptedFormats(accept).includes('webp') ? 'webp' : 'gif';
+  }
+  if (format && format !== 'auto') {
+    return format;
+  }
+  return negotiateFormat(accept) || (hasAlpha ? 'png' : 'jpeg');
+}
+
+// ImageMagick arguments applied just before a rendition is written
+function buildOutputArgs(rendition) {
+  const format = FORMATS[rendition.format];
+  const args = [];
+
+  if (!format.alpha) {
+    // Flatten transparency onto the rendition background (white if transparent)
+    const background = rendition.background && rendition.background !== 'none'
+      ? rendition.background
+      : 'white';
+    args.push('-background', background, '-alpha', 'remove', '-alpha', 'off');
+  }
+
+  const quality = rendition.quality || format.defaultQuality;
+  if (quality) {
+    args.push('-quality', String(quality));
+  }
+
+  return args;
+}
+
+module.exports = {
+  FORMATS,
+  acceptedFormats,
+  parseFormatOptions,
+  negotiateFormat,
+  resolveFormat,
+  buildOutputArgs,
+};
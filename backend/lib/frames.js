@@ -0,0 +1,78 @@
+// frames.js
+// Options for sources with more than one frame: animated GIF/WebP, multi-page
+// TIFF/PDF, and videos (which are reduced to a single poster frame).
+//
+//   frame      index of the frame or page to render, from 0 (`page` is an alias)
+//   animate    keep every frame and write an animated rendition (GIF or WebP)
+//   timestamp  position of a video's poster frame, in seconds or [hh:]mm:ss[.ms]
+const { HttpError } = require('./errors');
+const { parseFlag } = require('./options');
+
+const MAX_FRAME = 9999;
+const MAX_TIMESTAMP = 24 * 60 * 60;
+
+const DEFAULT_FRAMES = { frame: 0, animate: false, timestamp: 0 };
+
+function parseFrame(value) {
+  const frame = Number(value);
+  if (!Number.isInteger(frame) || frame < 0 || frame > MAX_FRAME) {
+    throw new HttpError(400, 'INVALID_FRAME', `frame must be an integer between 0 and ${MAX_FRAME}`);
+  }
+  return frame;
+}
+
+// "90", "1.5", "01:30" or "00:01:30.250" -> seconds
+function parseTimestamp(value) {
+  const text = String(value).trim();
+  let seconds = null;
+  if (/^\d+(\.\d+)?$/.test(text)) {
+    seconds = Number(text);
+  } else {
+    const match = text.match(/^(?:(\d{1,2}):)?(\d{1,2}):(\d{1,2}(?:\.\d+)?)$/);
+    if (match) {
+      seconds = Number(match[1] || 0) * 3600 + Number(match[2]) * 60 + Number(match[3]);
+    }
+  }
+  if (seconds === null || seconds > MAX_TIMESTAMP) {
+    throw new HttpError(400, 'INVALID_TIMESTAMP', 'timestamp must be seconds or [hh:]mm:ss, at most 24 hours');
+  }
+  return seconds;
+}
+
+// Read the frame options from a request body
+function parseFrameOptions(source = {}) {
+  const options = { ...DEFAULT_FRAMES };
+  const frame = source.frame !== undefined && source.frame !== '' ? source.frame : source.page;
+
+  if (frame !== undefined && frame !== '') {
+    options.frame = parseFrame(frame);
+  }
+  const animate = parseFlag(source.animate, 'animate');
+  if (animate !== undefined) {
+    options.animate = animate;
+  }
+  if (options.animate && options.frame !== 0) {
+    throw new HttpError(400, 'INVALID_FRAME', 'Choose either animate or a single frame');
+  }
+  if (source.timestamp !== undefined && source.timestamp !== '') {
+    options.timestamp = parseTimestamp(source.timestamp);
+  }
+  return options;
+}
+
+// Reject frame indexes past the end of the source
+function checkFrame(frame, frameCount) {
+  if (frame >= frameCount) {
+    throw new HttpError(
+      400,
+      'INVALID_FRAME',
+      `frame ${frame} does not exist: the source has ${frameCount} frame${frameCount === 1 ? '' : 's'}`
+    );
+  }
+}
+
+module.exports = {
+  DEFAULT_FRAMES,
+  checkFrame,
+  parseFrameOptions,
+};
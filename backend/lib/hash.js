@@ -0,0 +1,16 @@
+// hash.js
+const fs = require('fs');
+const crypto = require('crypto');
+
+// SHA-256 of a file's contents, streamed so large files are not buffered
+function hashFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+      .on('data', chunk => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')))
+      .on('error', reject);
+  });
+}
+
+module.exports = { hashFile };
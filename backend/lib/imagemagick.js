@@ -0,0 +1,310 @@
+// imagemagick.js
+// Runs ImageMagick without a shell. Every argument is checked against an
+// allowlist of options and value patterns before the process is spawned,
+// resource limits are applied to every call, and failures are turned into
+// HttpErrors with a status and code.
+const path = require('path');
+const { execFile } = require('child_process');
+const { HttpError } = require('./errors');
+
+const DEFAULT_OPTIONS = {
+  convertPath: 'convert',
+  identifyPath: 'identify',
+  timeoutMs: 60000,
+  maxOutputBytes: 64 * 1024 * 1024,
+  // Passed as `-limit <resource> <value>`; see `identify -list resource`
+  limits: {
+    memory: '256MiB',
+    map: '512MiB',
+    disk: '1GiB',
+    area: '128MP',
+    time: '60',
+  },
+};
+
+const GRAVITIES = ['Center', 'North', 'South', 'East', 'West', 'NorthEast', 'NorthWest', 'SouthEast', 'SouthWest'];
+const LIMIT_RESOURCES = ['memory', 'map', 'disk', 'area', 'width', 'height', 'time', 'thread'];
+const OUTPUT_FORMATS = ['jpeg', 'png', 'webp', 'avif', 'gif'];
+// Formats that may be written to stdout as `<format>:-`
+const STDOUT_FORMATS = ['xmp', 'rgb', 'gray', 'jpeg'];
+
+// Value validators
+const matches = pattern => value => pattern.test(value);
+const oneOf = list => value => list.includes(value);
+const integer = (min, max) => value => /^-?\d+$/.test(value) && Number(value) >= min && Number(value) <= max;
+
+const isGeometry = matches(/^\d{1,5}x\d{1,5}([!^<>])?$/);
+const isCropGeometry = matches(/^\d{1,5}x\d{1,5}\+\d{1,5}\+\d{1,5}$/);
+const isColor = matches(/^(none|#[0-9a-f]{3,8}|[a-z]{3,20})$/i);
+const isFormatString = value => !value.includes('\0');
+// Free text stored on the image; a leading @ would make ImageMagick read a file
+const isPropertyText = value => value.length <= 2048 && !/[\0\r\n]/.test(value) && !value.startsWith('@');
+const isLimitValue = matches(/^\d+(\.\d+)?([KMGTP]i?B|[KMGTP]P|MP|B)?$/);
+// Font names from ImageMagick's type configuration, never paths
+const isFontName = matches(/^[A-Za-z0-9][A-Za-z0-9 _-]{0,63}$/);
+const isFraction = value => /^\d(\.\d{1,6})?$/.test(value) && Number(value) <= 1;
+
+// Profiles are read from absolute paths to .icc/.icm (colour) or .xmp files
+const isProfilePath = value => /\.(ic[cm]|xmp)$/i.test(value) && isFileArgument(value);
+
+// Options we pass to ImageMagick, mapped to the validators of their values.
+// Options without values map to an empty list.
+const OPTIONS = {
+  '-alpha': [oneOf(['remove', 'off', 'on', 'set'])],
+  '-auto-orient': [],
+  '-background': [isColor],
+  '-blur': [matches(/^0x\d{1,2}(\.\d{1,3})?$/)],
+  '-brightness-contrast': [matches(/^-?\d{1,3}(\.\d{1,3})?x-?\d{1,3}(\.\d{1,3})?$/)],
+  '-channel': [oneOf(['A'])],
+  '-coalesce': [],
+  '-compose': [oneOf(['over'])],
+  '-crop': [isCropGeometry],
+  '-delete': [matches(/^-?\d{1,5}(--?\d{1,5})?$/)],
+  '-depth': [oneOf(['8'])],
+  '-evaluate': [oneOf(['multiply']), isFraction],
+  '-extent': [isGeometry],
+  '-fill': [isColor],
+  '-flip': [],
+  '-flop': [],
+  '-font': [isFontName],
+  '-format': [isFormatString],
+  '-geometry': [matches(/^[+-]\d{1,5}[+-]\d{1,5}$/)],
+  '-gravity': [oneOf(GRAVITIES)],
+  '-grayscale': [oneOf(['Rec709Luminance'])],
+  '-layers': [oneOf(['composite'])],
+  '-limit': [oneOf(LIMIT_RESOURCES), isLimitValue],
+  '-modulate': [matches(/^100,\d{1,3}(\.\d{1,3})?,100$/)],
+  '-ping': [],
+  '-pointsize': [integer(1, 1000)],
+  '-profile': [isProfilePath],
+  '-quality': [integer(1, 100)],
+  '-resize': [isGeometry],
+  '-rotate': [matches(/^-?\d{1,3}(\.\d{1,3})?$/)],
+  '-sepia-tone': [matches(/^\d{1,3}(\.\d{1,3})?%$/)],
+  '-set': [oneOf(['comment']), isPropertyText],
+  '-size': [isGeometry],
+  '-strip': [],
+  '-thumbnail': [isGeometry],
+  '-unsharp': [matches(/^\d{1,2}(\.\d{1,3})?x\d{1,2}(\.\d{1,3})?\+\d(\.\d{1,3})?\+\d(\.\d{1,3})?$/)],
+  '-verbose': [],
+  '-version': [],
+  '-write': ['output'],
+  '+channel': [],
+  '+gravity': [],
+  '+profile': [oneOf(['!icc,*'])],
+  '+repage': [],
+  '+set': [oneOf(['comment'])],
+};
+
+// File arguments must be absolute paths, optionally with an output format
+// prefix or a frame index. Relative names could be read as coders (`msl:`,
+// `ephemeral:`), `@` file lists or `|` pipes.
+function isFileArgument(value, { output = false } = {}) {
+  let filePath = value;
+  if (output) {
+    const prefix = value.match(/^([a-z0-9]+):(\/.*)$/);
+    if (prefix) {
+      if (!OUTPUT_FORMATS.includes(prefix[1])) {
+        return false;
+      }
+      filePath = prefix[2];
+    }
+  } else {
+    filePath = value.replace(/\[\d{1,5}\]$/, '');
+  }
+  return path.isAbsolute(filePath) && path.normalize(filePath) === filePath && !/[\0\n\[\]|]/.test(filePath);
+}
+
+const isRegister = matches(/^mpr:[a-z0-9_-]+$/);
+
+// Inputs that are not files: parentheses, the empty `null:` image, a
+// register repeated with `tile:`, and text rendered with `label:`
+function isPseudoImage(value) {
+  if (['(', ')', 'null:'].includes(value) || /^tile:mpr:[a-z0-9_-]+$/.test(value)) {
+    return true;
+  }
+  return value.startsWith('label:') && isPropertyText(value.slice('label:'.length));
+}
+
+function isStdoutTarget(value) {
+  const match = value.match(/^([a-z0-9]+):-$/);
+  return Boolean(match) && STDOUT_FORMATS.includes(match[1]);
+}
+
+function invalidArgument(tool, arg) {
+  return new HttpError(400, 'INVALID_OPTION', `Refusing to pass argument "${arg}" to ${tool}`);
+}
+
+// Check every argument against OPTIONS. Positional arguments are input
+// files, mpr: registers or pseudo-images; the last convert argument is the
+// output file.
+function validateArgs(tool, args) {
+  for (let index = 0; index < args.length; index += 1) {
+    const arg = String(args[index]);
+    const validators = OPTIONS[arg];
+
+    if (validators) {
+      validators.forEach(validator => {
+        index += 1;
+        const value = args[index];
+        const valid = typeof value === 'string' && (
+          validator === 'output'
+            ? isFileArgument(value, { output: true }) || isRegister(value)
+            : validator(value)
+        );
+        if (!valid) {
+          throw invalidArgument(tool, `${arg} ${value}`);
+        }
+      });
+      continue;
+    }
+
+    const isOutput = tool === 'convert' && index === args.length - 1;
+    if (isOutput && isStdoutTarget(arg)) {
+      continue;
+    }
+    if (!isRegister(arg) && !(isPseudoImage(arg) && !isOutput) && !isFileArgument(arg, { output: isOutput })) {
+      throw invalidArgument(tool, arg);
+    }
+  }
+}
+
+// Parse ImageMagick stderr lines such as
+//   convert: improper image header `/path/x.png' @ error/png.c/ReadPNGImage/4092.
+// into { severity, message, module }. File paths are left out of `message`
+// so it can be shown to clients.
+function parseDiagnostics(stderr) {
+  return String(stderr || '')
+    .split('\n')
+    .map(line => line.trim())
+    .filter(Boolean)
+    .map(line => {
+      const match = line.match(/^\w+(?:\.\w+)?: (.*?)(?: [`'][^`']*')?(?: \([^)]*\))?(?: @ (error|warning|fatal)\/([^\s]+?))?\.?$/);
+      if (!match) {
+        return { severity: 'error', message: line, module: null };
+      }
+      return { severity: match[2] || 'error', message: match[1], module: match[3] || null };
+    });
+}
+
+// Known failure messages mapped to client-facing statuses
+const FAILURES = [
+  { pattern: /no decode delegate|no images defined|unable to open image|not a (JPEG|PNG) file/i, status: 415, code: 'UNSUPPORTED_IMAGE' },
+  { pattern: /improper image header|corrupt|insufficient image data|premature end|negative or zero image size/i, status: 422, code: 'CORRUPT_IMAGE' },
+  { pattern: /cache resources exhausted|exceeds limit|memory allocation failed|too many|resource limit/i, status: 413, code: 'IMAGE_TOO_LARGE' },
+  { pattern: /time limit exceeded/i, status: 504, code: 'IMAGEMAGICK_TIMEOUT' },
+];
+
+class ImageMagickError extends HttpError {
+  constructor({ status, code, message, tool, exitCode = null, diagnostics = [] }) {
+    super(status, code, message);
+    this.name = 'ImageMagickError';
+    this.tool = tool;
+    this.exitCode = exitCode;
+    this.diagnostics = diagnostics;
+  }
+}
+
+function toImageMagickError(tool, error, stderr, timeoutMs) {
+  if (error.code === 'ENOENT') {
+    return new ImageMagickError({
+      status: 500,
+      code: 'IMAGEMAGICK_MISSING',
+      message: `${tool} is not installed or not on the PATH`,
+      tool,
+    });
+  }
+  if (error.killed && error.signal && !error.code) {
+    return new ImageMagickError({
+      status: 504,
+      code: 'IMAGEMAGICK_TIMEOUT',
+      message: `${tool} did not finish within ${timeoutMs}ms`,
+      tool,
+    });
+  }
+
+  const diagnostics = parseDiagnostics(stderr);
+  const errors = diagnostics.filter(diagnostic => diagnostic.severity !== 'warning');
+  const primary = errors[0] || diagnostics[0];
+  const failure = primary && FAILURES.find(candidate => candidate.pattern.test(primary.message));
+
+  return new ImageMagickError({
+    status: failure ? failure.status : 500,
+    code: failure ? failure.code : 'IMAGEMAGICK_FAILED',
+    message: primary ? `${tool}: ${primary.message}` : `${tool} exited with code ${error.code}`,
+    tool,
+    exitCode: typeof error.code === 'number' ? error.code : null,
+    diagnostics,
+  });
+}
+
+// Create an ImageMagick runner. `convert(args)` and `identify(args)` resolve
+// with { stdout, warnings } and reject with an ImageMagickError. Pass
+// `signal` to kill the process early and `encoding: 'buffer'` for binary
+// stdout.
+function createImageMagick(options = {}) {
+  const config = {
+    ...DEFAULT_OPTIONS,
+    ...options,
+    limits: { ...DEFAULT_OPTIONS.limits, ...options.limits },
+  };
+
+  const limitArgs = Object.entries(config.limits)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .flatMap(([resource, value]) => ['-limit', resource, String(value)]);
+  validateArgs('identify', limitArgs);
+
+  // `onRun(tool, seconds, error)` is called after every call, e.g. to time it
+  const onRun = config.onRun || (() => {});
+
+  function run(tool, binary, args, { signal, encoding = 'utf8', report = true } = {}) {
+    const fullArgs = [...limitArgs, ...args.map(String)];
+    validateArgs(tool, fullArgs);
+
+    const startedAt = Date.now();
+    return new Promise((resolve, reject) => {
+      execFile(binary, fullArgs, {
+        signal,
+        encoding,
+        timeout: config.timeoutMs,
+        killSignal: 'SIGKILL',
+        maxBuffer: config.maxOutputBytes,
+        windowsHide: true,
+      }, (error, stdout, stderr) => {
+        if (signal && signal.aborted) {
+          return reject(signal.reason);
+        }
+        const failure = error ? toImageMagickError(tool, error, stderr, config.timeoutMs) : null;
+        if (report) {
+          onRun(tool, (Date.now() - startedAt) / 1000, failure);
+        }
+        if (failure) {
+          return reject(failure);
+        }
+        const warnings = parseDiagnostics(stderr).map(diagnostic => diagnostic.message);
+        resolve({ stdout, warnings });
+      });
+    });
+  }
+
+  return {
+    config,
+    convert: (args, runOptions) => run('convert', config.convertPath, args, runOptions),
+    identify: (args, runOptions) => run('identify', config.identifyPath, args, runOptions),
+
+    // First line of `<tool> -version`, e.g. "ImageMagick 6.9.11-60 Q16 ...".
+    // Not reported to onRun, so health checks stay out of the timings.
+    async version(tool) {
+      const { stdout } = await run(tool, config[`${tool}Path`], ['-version'], { report: false });
+      return stdout.split('\n')[0].replace(/^Version:\s*/, '');
+    },
+  };
+}
+
+module.exports = {
+  ImageMagickError,
+  OPTIONS,
+  createImageMagick,
+  parseDiagnostics,
+  validateArgs,
+};
@@ -0,0 +1,215 @@
+// jobs.js
+// In-process job queue with bounded concurrency, per-job timeouts,
+// cancellation and progress events.
+const { EventEmitter } = require('events');
+const { v4: uuidv4 } = require('uuid');
+const { HttpError, errorCode } = require('./errors');
+
+const FINISHED = ['completed', 'failed', 'cancelled'];
+
+function isFinished(job) {
+  return FINISHED.includes(job.status);
+}
+
+// Public view of a job, safe to serialize into responses and events
+function snapshot(job) {
+  return {
+    id: job.id,
+    status: job.status,
+    stage: job.stage,
+    progress: job.progress,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+    result: job.result,
+    error: job.error,
+  };
+}
+
+// A task is `async ({ signal, progress }) => result`. It should pass `signal`
+// on to anything it spawns so cancellation and timeouts stop the work, and may
+// call `progress(stage, fraction)` to report how far it got. A task may also
+// have a `discard()` method, called instead of the task when the job is
+// cancelled before it starts, to release files or other resources it owns.
+//
+// A job's `owner` (an API key id, or null) is kept out of its snapshot.
+// `get` and `cancel` given an `owner` treat other owners' jobs as missing.
+function createJobQueue({ concurrency = 2, timeoutMs = 120000, retentionMs = 60 * 60 * 1000 } = {}) {
+  const jobs = new Map();
+  const pending = [];
+  let running = 0;
+
+  function update(job, changes) {
+    Object.assign(job, changes);
+    job.events.emit('update', snapshot(job));
+  }
+
+  function finish(job, changes) {
+    clearTimeout(job.timer);
+    update(job, { ...changes, finishedAt: new Date().toISOString() });
+    job.events.removeAllListeners();
+
+    // Forget finished jobs after the retention period
+    setTimeout(() => jobs.delete(job.id), retentionMs).unref();
+  }
+
+  async function run(job) {
+    running += 1;
+    update(job, { status: 'running', startedAt: new Date().toISOString() });
+
+    // A timed-out job fails straight away; its worker slot is released once
+    // the aborted task has actually stopped
+    job.timer = setTimeout(() => {
+      job.failure = new HttpError(504, 'JOB_TIMEOUT', `Job timed out after ${job.timeoutMs}ms`);
+      job.controller.abort(job.failure);
+      finish(job, {
+        status: 'failed',
+        error: { message: job.failure.message, code: job.failure.code },
+      });
+    }, job.timeoutMs);
+
+    try {
+      const result = await job.task({
+        signal: job.controller.signal,
+        progress: (stage, fraction) => {
+          if (!isFinished(job)) {
+            update(job, { stage, progress: fraction });
+          }
+        },
+      });
+      if (!isFinished(job)) {
+        finish(job, { status: 'completed', stage: 'done', progress: 1, result });
+      }
+    } catch (error) {
+      if (!isFinished(job)) {
+        job.failure = error;
+        finish(job, {
+          status: 'failed',
+          error: { message: error.message, code: errorCode(error, 'JOB_FAILED') },
+        });
+      }
+    } finally {
+      running -= 1;
+      next();
+    }
+  }
+
+  function next() {
+    while (running < concurrency && pending.length > 0) {
+      run(pending.shift());
+    }
+  }
+
+  function enqueue(task, options = {}) {
+    const job = {
+      id: uuidv4(),
+      status: 'queued',
+      stage: 'queued',
+      progress: 0,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      result: null,
+      error: null,
+      failure: null,
+      task,
+      owner: options.owner === undefined ? null : options.owner,
+      timeoutMs: options.timeoutMs || timeoutMs,
+      controller: new AbortController(),
+      events: new EventEmitter(),
+    };
+    jobs.set(job.id, job);
+    pending.push(job);
+    next();
+    return snapshot(job);
+  }
+
+  // The job `id`, unless `owner` is given and is not the job's owner
+  function find(id, { owner } = {}) {
+    const job = jobs.get(id);
+    return job && (owner === undefined || job.owner === owner) ? job : null;
+  }
+
+  function get(id, options) {
+    const job = find(id, options);
+    return job ? snapshot(job) : null;
+  }
+
+  // Cancel a queued or running job. Returns the updated snapshot, or null if
+  // there is no such job.
+  function cancel(id, options) {
+    const job = find(id, options);
+    if (!job) {
+      return null;
+    }
+    if (isFinished(job)) {
+      throw new HttpError(409, 'JOB_FINISHED', `Job ${id} has already ${job.status}`);
+    }
+
+    const index = pending.indexOf(job);
+    if (index !== -1) {
+      pending.splice(index, 1);
+      if (job.task.discard) {
+        job.task.discard();
+      }
+    }
+
+    job.failure = new HttpError(499, 'JOB_CANCELLED', 'Job was cancelled');
+    job.controller.abort(job.failure);
+    finish(job, {
+      status: 'cancelled',
+      error: { message: job.failure.message, code: job.failure.code },
+    });
+    return snapshot(job);
+  }
+
+  // Listen for updates to a job. Returns an unsubscribe function; listeners
+  // are dropped automatically once the job finishes.
+  function subscribe(id, listener) {
+    const job = jobs.get(id);
+    if (!job || isFinished(job)) {
+      return () => {};
+    }
+    job.events.on('update', listener);
+    return () => job.events.off('update', listener);
+  }
+
+  // Resolve with the job's result once it finishes, or reject with the error
+  // that ended it
+  function wait(id) {
+    return new Promise((resolve, reject) => {
+      const job = jobs.get(id);
+      if (!job) {
+        return reject(new HttpError(404, 'JOB_NOT_FOUND', `Job ${id} not found`));
+      }
+
+      const settle = () => {
+        if (job.status === 'completed') {
+          resolve(job.result);
+        } else {
+          reject(job.failure);
+        }
+      };
+
+      if (isFinished(job)) {
+        return settle();
+      }
+      subscribe(id, update => {
+        if (FINISHED.includes(update.status)) {
+          settle();
+        }
+      });
+    });
+  }
+
+  function stats() {
+    return { queued: pending.length, running, concurrency };
+  }
+
+  return { enqueue, get, cancel, subscribe, wait, stats };
+}
+
+module.exports = {
+  createJobQueue,
+  isFinished,
+};
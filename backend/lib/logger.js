@@ -0,0 +1,52 @@
+// logger.js
+// Structured logs: one JSON object per line on stdout, e.g.
+//
+//   {"time":"2024-05-01T12:00:00.000Z","level":"info","msg":"request finished",
+//    "requestId":"...","method":"POST","path":"/thumbnail","status":200}
+//
+// `child(fields)` returns a logger that adds `fields` to every line, which is
+// how request logs carry their request id. Errors are written as their name,
+// message and code; only unexpected errors, those without a client error
+// status, keep their stack.
+const LEVELS = ['debug', 'info', 'warn', 'error'];
+
+function serialize(value) {
+  if (!(value instanceof Error)) {
+    return value;
+  }
+  const clientError = value.status >= 400 && value.status < 500;
+  return { name: value.name, message: value.message, code: value.code, stack: clientError ? undefined : value.stack };
+}
+
+// Create a logger that writes lines at `level` and above to `stream`
+function createLogger({ level = 'info', stream = process.stdout, fields = {} } = {}) {
+  const threshold = LEVELS.indexOf(level);
+  if (threshold === -1) {
+    throw new Error(`Unknown log level "${level}". Expected one of: ${LEVELS.join(', ')}`);
+  }
+
+  function write(lineLevel, msg, extra = {}) {
+    if (LEVELS.indexOf(lineLevel) < threshold) {
+      return;
+    }
+    const entry = { time: new Date().toISOString(), level: lineLevel, msg, ...fields };
+    Object.entries(extra).forEach(([key, value]) => {
+      if (value !== undefined) {
+        entry[key] = serialize(value);
+      }
+    });
+    stream.write(`${JSON.stringify(entry)}\n`);
+  }
+
+  const logger = {
+    child: childFields => createLogger({ level, stream, fields: { ...fields, ...childFields } }),
+  };
+  LEVELS.forEach(lineLevel => {
+    logger[lineLevel] = (msg, extra) => write(lineLevel, msg, extra);
+  });
+  return logger;
+}
+
+module.exports = {
+  createLogger,
+};
@@ -0,0 +1,313 @@
+// metadata.js
+// Structured image metadata extracted with ImageMagick.
+//
+// extractMetadata resolves with this shape; sections without data are empty
+// objects, and `gps` is null when the image carries no position:
+//
+//   {
+//     image: { width, height, aspectRatio, format, mimeType, colorspace, type,
+//              depth, hasAlpha, frames, orientation, resolution, fileSize },
+//     exif:  { Make: 'Apple', FNumber: 1.8, DateTimeOriginal: '2024-05-01T12:00:00', ... },
+//     iptc:  { City: 'Berlin', Keyword: ['street', 'night'], ... },
+//     xmp:   { 'xmp:CreatorTool': '...', 'dc:creator': ['...'], ... },
+//     icc:   { description: 'Display P3', copyright, manufacturer, model, bytes },
+//     gps:   { latitude: 52.52, longitude: 13.405, altitude: 34, tags: { GPSLatitude: '52/1, 31/1, 12/1', ... } },
+//   }
+//
+// EXIF keys keep their tag names. Numeric tags and rationals become numbers
+// while text tags stay strings, even when they look like numbers (serial
+// numbers, versions such as "0232"). EXIF dates become
+// ISO 8601 strings (without a zone unless the image records an offset) and
+// GPS coordinates become signed decimal degrees.
+const fs = require('fs');
+
+const EXIF_DATE_TAGS = ['DateTime', 'DateTimeOriginal', 'DateTimeDigitized'];
+const EXIF_OFFSET_TAGS = {
+  DateTime: 'OffsetTime',
+  DateTimeOriginal: 'OffsetTimeOriginal',
+  DateTimeDigitized: 'OffsetTimeDigitized',
+};
+// Rationals that read better as fractions than as numbers
+const EXIF_FRACTION_TAGS = ['ExposureTime'];
+// ASCII and UNDEFINED tags, which hold text even when it looks like a number
+const EXIF_TEXT_TAGS = [
+  'Artist', 'BodySerialNumber', 'CameraOwnerName', 'CameraSerialNumber', 'Copyright', 'DocumentName',
+  'ExifVersion', 'FlashPixVersion', 'HostComputer', 'ImageDescription', 'ImageUniqueID', 'InteroperabilityIndex',
+  'InteroperabilityVersion', 'LensMake', 'LensModel', 'LensSerialNumber', 'Make', 'Model', 'OffsetTime',
+  'OffsetTimeDigitized', 'OffsetTimeOriginal', 'RelatedSoundFile', 'SerialNumber', 'Software',
+  'SubSecTime', 'SubSecTimeDigitized', 'SubSecTimeOriginal', 'UserComment',
+];
+
+// Parse `identify -verbose` output into nested nodes of
+// { value, values, children } keyed by label, following the indentation.
+function parseVerbose(text) {
+  const root = { value: null, values: [], children: {} };
+  const stack = [{ indent: -1, node: root }];
+
+  text.split('\n').forEach(line => {
+    const match = line.match(/^(\s*)(.+?):(?: (.*))?$/);
+    if (!match) {
+      return;
+    }
+    const indent = match[1].length;
+    const key = match[2].trim();
+    const value = match[3] === undefined ? null : match[3].trim();
+
+    while (stack[stack.length - 1].indent >= indent) {
+      stack.pop();
+    }
+    const parent = stack[stack.length - 1].node;
+    let node = parent.children[key];
+    if (node) {
+      node.values.push(value);
+    } else {
+      node = { value, values: [value], children: {} };
+      parent.children[key] = node;
+    }
+    stack.push({ indent, node });
+  });
+
+  return root;
+}
+
+function parseRational(value) {
+  const [numerator, denominator] = value.split('/').map(Number);
+  if (!Number.isFinite(numerator) || !Number.isFinite(denominator) || denominator === 0) {
+    return null;
+  }
+  return Math.round((numerator / denominator) * 10000) / 10000;
+}
+
+// "2024:05:01 12:00:00" (+ optional "+02:00") -> "2024-05-01T12:00:00+02:00"
+function parseExifDate(value, offset) {
+  const match = value.match(/^(\d{4}):(\d{2}):(\d{2})[ T](\d{2}):(\d{2}):(\d{2})/);
+  if (!match) {
+    return value;
+  }
+  const [, year, month, day, hours, minutes, seconds] = match;
+  const zone = offset && /^[+-]\d{2}:\d{2}$/.test(offset) ? offset : '';
+  return `${year}-${month}-${day}T${hours}:${minutes}:${seconds}${zone}`;
+}
+
+// Numbers, rationals and lists of them become numbers; anything else stays text
+function typedValue(value) {
+  if (/^-?\d+(\.\d+)?$/.test(value)) {
+    return Number(value);
+  }
+  if (/^-?\d+\/\d+$/.test(value)) {
+    const number = parseRational(value);
+    return number === null ? value : number;
+  }
+  if (/^-?\d+(\/\d+)?(, ?-?\d+(\/\d+)?)+$/.test(value)) {
+    return value.split(',').map(part => typedValue(part.trim()));
+  }
+  return value;
+}
+
+// "52/1, 31/1, 1234/100" + "N" -> 52.5201
+function parseCoordinate(value, ref) {
+  if (!value) {
+    return null;
+  }
+  const parts = value.split(',').map(part => parseRational(part.trim()));
+  if (parts.length !== 3 || parts.some(part => part === null)) {
+    return null;
+  }
+  const [degrees, minutes, seconds] = parts;
+  const decimal = degrees + minutes / 60 + seconds / 3600;
+  const sign = /^[SW]/i.test(ref || '') ? -1 : 1;
+  return Math.round(sign * decimal * 1000000) / 1000000;
+}
+
+function buildExif(properties) {
+  const exif = {};
+  const gpsTags = {};
+
+  Object.entries(properties).forEach(([key, value]) => {
+    if (!key.startsWith('exif:') || value === null) {
+      return;
+    }
+    const tag = key.slice('exif:'.length);
+    if (tag.startsWith('GPS')) {
+      gpsTags[tag] = value;
+    } else if (EXIF_DATE_TAGS.includes(tag)) {
+      exif[tag] = parseExifDate(value, properties[`exif:${EXIF_OFFSET_TAGS[tag]}`]);
+    } else if (EXIF_FRACTION_TAGS.includes(tag) || EXIF_TEXT_TAGS.includes(tag)) {
+      exif[tag] = value;
+    } else {
+      exif[tag] = typedValue(value);
+    }
+  });
+
+  return { exif, gpsTags };
+}
+
+function buildGps(tags) {
+  const latitude = parseCoordinate(tags.GPSLatitude, tags.GPSLatitudeRef);
+  const longitude = parseCoordinate(tags.GPSLongitude, tags.GPSLongitudeRef);
+  if (latitude === null || longitude === null) {
+    return null;
+  }
+
+  let altitude = tags.GPSAltitude ? parseRational(tags.GPSAltitude) : null;
+  if (altitude !== null && String(tags.GPSAltitudeRef).trim() === '1') {
+    altitude = -altitude;
+  }
+  return { latitude, longitude, altitude, tags };
+}
+
+// IPTC datasets are listed under the iptc profile as `Name[record,dataset]: value`
+function buildIptc(profiles) {
+  const profile = profiles['Profile-iptc'];
+  const iptc = {};
+  if (!profile) {
+    return iptc;
+  }
+
+  Object.entries(profile.children).forEach(([label, node]) => {
+    const name = label.replace(/\[\d+,\d+\]$/, '');
+    const values = node.values.filter(value => value !== null && value !== '');
+    if (name === 'unknown' || values.length === 0) {
+      return;
+    }
+    iptc[name] = values.length === 1 ? values[0] : values;
+  });
+  return iptc;
+}
+
+function decodeXmlEntities(value) {
+  return value
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+// Flatten the simple properties of an XMP packet: attributes and elements
+// with text content, with rdf:li containers collected into arrays
+function parseXmp(packet) {
+  const xmp = {};
+  const skip = name => /^(rdf|x|xmlns|xml|stEvt|stRef):/.test(name) || name.startsWith('xmlns');
+  const add = (name, value) => {
+    if (skip(name) || value === '') {
+      return;
+    }
+    const decoded = decodeXmlEntities(value.trim());
+    if (xmp[name] === undefined) {
+      xmp[name] = decoded;
+    } else {
+      xmp[name] = [].concat(xmp[name], decoded);
+    }
+  };
+
+  packet.replace(/\s([\w-]+:[\w-]+)="([^"]*)"/g, (match, name, value) => add(name, value));
+  packet.replace(/<([\w-]+:[\w-]+)>([^<]+)<\/\1>/g, (match, name, value) => add(name, value));
+  packet.replace(/<([\w-]+:[\w-]+)>\s*<rdf:(?:Seq|Bag|Alt)>([\s\S]*?)<\/rdf:(?:Seq|Bag|Alt)>\s*<\/\1>/g, (match, name, body) => {
+    const items = [];
+    body.replace(/<rdf:li[^>]*>([^<]*)<\/rdf:li>/g, (item, value) => items.push(decodeXmlEntities(value.trim())));
+    if (items.length > 0) {
+      xmp[name] = items.length === 1 && /<rdf:Alt>/.test(match) ? items[0] : items;
+    }
+  });
+
+  return xmp;
+}
+
+function buildIcc(properties, profiles) {
+  const icc = {};
+  ['description', 'copyright', 'manufacturer', 'model'].forEach(field => {
+    const value = properties[`icc:${field}`];
+    if (value) {
+      icc[field] = value;
+    }
+  });
+  const profile = profiles['Profile-icc'];
+  if (profile && profile.value) {
+    icc.bytes = parseInt(profile.value, 10);
+  }
+  return icc;
+}
+
+function buildImage(image, properties, { fileSize, frames }) {
+  const field = name => (image.children[name] ? image.children[name].value : null);
+  const geometry = (field('Geometry') || '').match(/^(\d+)x(\d+)/);
+  const width = geometry ? parseInt(geometry[1], 10) : null;
+  const height = geometry ? parseInt(geometry[2], 10) : null;
+  const format = field('Format');
+  const orientation = parseInt(properties['exif:Orientation'], 10);
+
+  return {
+    width,
+    height,
+    aspectRatio: width && height ? Math.round((width / height) * 100) / 100 : null,
+    format: format ? format.split(' ')[0] : null,
+    mimeType: field('Mime type'),
+    colorspace: field('Colorspace'),
+    type: field('Type'),
+    depth: parseInt(field('Depth'), 10) || null,
+    // e.g. TrueColorAlpha (IM7) or TrueColorMatte (IM6)
+    hasAlpha: /alpha|matte/i.test(field('Type') || ''),
+    frames,
+    orientation: Number.isInteger(orientation) ? orientation : null,
+    resolution: field('Resolution'),
+    fileSize,
+  };
+}
+
+// Flatten a section's children into { key: value }
+function sectionValues(node) {
+  const values = {};
+  if (node) {
+    Object.entries(node.children).forEach(([key, child]) => {
+      values[key] = child.value;
+    });
+  }
+  return values;
+}
+
+// Read the raw XMP packet, if the image has one
+async function readXmp(magick, imagePath, { signal }) {
+  try {
+    const { stdout } = await magick.convert([`${imagePath}[0]`, 'xmp:-'], { signal });
+    return stdout;
+  } catch (error) {
+    if (signal && signal.aborted) {
+      throw error;
+    }
+    return '';
+  }
+}
+
+// Extract the documented metadata shape for the first frame of an image
+async function extractMetadata(magick, imagePath, { signal } = {}) {
+  const [{ stdout: verbose }, { stdout: frameList }, stats] = await Promise.all([
+    magick.identify(['-verbose', `${imagePath}[0]`], { signal }),
+    magick.identify(['-ping', '-format', '%n\n', imagePath], { signal }),
+    fs.promises.stat(imagePath),
+  ]);
+
+  const tree = parseVerbose(verbose);
+  const image = Object.values(tree.children)[0] || { children: {} };
+  const properties = sectionValues(image.children.Properties);
+  const profiles = image.children.Profiles ? image.children.Profiles.children : {};
+  const frames = parseInt(frameList.trim().split('\n')[0], 10) || 1;
+
+  const { exif, gpsTags } = buildExif(properties);
+  const xmpPacket = profiles['Profile-xmp'] ? await readXmp(magick, imagePath, { signal }) : '';
+
+  return {
+    image: buildImage(image, properties, { fileSize: stats.size, frames }),
+    exif,
+    iptc: buildIptc(profiles),
+    xmp: xmpPacket ? parseXmp(xmpPacket) : {},
+    icc: buildIcc(properties, profiles),
+    gps: buildGps(gpsTags),
+  };
+}
+
+module.exports = {
+  extractMetadata,
+  parseVerbose,
+  parseXmp,
+};
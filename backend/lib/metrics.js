@@ -0,0 +1,121 @@
+// metrics.js
+// Counters, gauges and histograms for GET /metrics, rendered in the
+// Prometheus text format. Every distinct set of label values becomes its own
+// series, so labels must come from small fixed sets such as route patterns,
+// stages and error codes, never from URLs or ids.
+
+// Histogram buckets in seconds, from a fast identify to a slow download
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) {
+    return '';
+  }
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+// Series of a metric by label values, created on first use. Labels missing
+// from an observation are recorded as empty strings.
+function createSeries(labelNames, initial) {
+  const series = new Map();
+  return {
+    get(labels = {}) {
+      const values = labelNames.map(name => (labels[name] === undefined ? '' : String(labels[name])));
+      const key = JSON.stringify(values);
+      if (!series.has(key)) {
+        const seriesLabels = {};
+        labelNames.forEach((name, index) => {
+          seriesLabels[name] = values[index];
+        });
+        series.set(key, { labels: seriesLabels, ...initial() });
+      }
+      return series.get(key);
+    },
+    values: () => [...series.values()],
+  };
+}
+
+function createMetrics() {
+  const metrics = [];
+
+  function register(name, help, type, lines) {
+    if (metrics.some(metric => metric.name === name)) {
+      throw new Error(`Metric ${name} is already registered`);
+    }
+    metrics.push({ name, help, type, lines });
+  }
+
+  // A value that only goes up, e.g. requests served
+  function counter(name, help, labelNames = []) {
+    const series = createSeries(labelNames, () => ({ value: 0 }));
+    register(name, help, 'counter', () => series.values().map(entry => `${name}${formatLabels(entry.labels)} ${entry.value}`));
+    return {
+      inc(labels, amount = 1) {
+        series.get(labels).value += amount;
+      },
+    };
+  }
+
+  // A value read when /metrics is scraped. `collect` returns a number or a
+  // list of { labels, value }.
+  function gauge(name, help, collect) {
+    register(name, help, 'gauge', () => {
+      const value = collect();
+      const entries = Array.isArray(value) ? value : [{ labels: {}, value }];
+      return entries.map(entry => `${name}${formatLabels(entry.labels)} ${entry.value}`);
+    });
+  }
+
+  // Distribution of durations in seconds
+  function histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+    const series = createSeries(labelNames, () => ({ counts: buckets.map(() => 0), sum: 0, count: 0 }));
+    register(name, help, 'histogram', () => series.values().flatMap(entry => [
+      ...buckets.map((bound, index) => `${name}_bucket${formatLabels({ ...entry.labels, le: bound })} ${entry.counts[index]}`),
+      `${name}_bucket${formatLabels({ ...entry.labels, le: '+Inf' })} ${entry.count}`,
+      `${name}_sum${formatLabels(entry.labels)} ${entry.sum}`,
+      `${name}_count${formatLabels(entry.labels)} ${entry.count}`,
+    ]));
+
+    function observe(labels, seconds) {
+      const entry = series.get(labels);
+      // Buckets are cumulative: each counts every observation up to its bound
+      buckets.forEach((bound, index) => {
+        if (seconds <= bound) {
+          entry.counts[index] += 1;
+        }
+      });
+      entry.sum += seconds;
+      entry.count += 1;
+    }
+
+    return {
+      observe,
+
+      // Returns a function that records the seconds since the timer started
+      startTimer(labels) {
+        const startedAt = Date.now();
+        return () => observe(labels, (Date.now() - startedAt) / 1000);
+      },
+    };
+  }
+
+  // Every metric in the text exposition format
+  function render() {
+    return metrics.map(metric => [
+      `# HELP ${metric.name} ${metric.help}`,
+      `# TYPE ${metric.name} ${metric.type}`,
+      ...metric.lines(),
+    ].join('\n')).join('\n').concat('\n');
+  }
+
+  return { counter, gauge, histogram, render };
+}
+
+module.exports = {
+  createMetrics,
+};
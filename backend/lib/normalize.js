@@ -0,0 +1,60 @@
+// normalize.js
+// Corrections applied to the source before any rendition is made: EXIF
+// orientation is baked into the pixels, and embedded ICC profiles other than
+// sRGB are converted to sRGB so browsers show the intended colours.
+const fs = require('fs');
+const { parseFlag } = require('./options');
+
+// Where distributions usually install an sRGB profile
+const SRGB_PROFILE_CANDIDATES = [
+  '/usr/share/color/icc/sRGB.icc',
+  '/usr/share/color/icc/colord/sRGB.icc',
+  '/usr/share/color/icc/ghostscript/srgb.icc',
+  '/usr/share/ghostscript/iccprofiles/srgb.icc',
+];
+
+const DEFAULT_NORMALIZE = { autoOrient: true, convertToSrgb: true };
+
+// Read the `autoOrient` and `convertToSrgb` opt-out flags from a request body
+function parseNormalizeOptions(source = {}) {
+  const options = { ...DEFAULT_NORMALIZE };
+  ['autoOrient', 'convertToSrgb'].forEach(field => {
+    const value = parseFlag(source[field], field);
+    if (value !== undefined) {
+      options[field] = value;
+    }
+  });
+  return options;
+}
+
+// First sRGB profile found on this machine, or null
+function findSrgbProfile(candidates = SRGB_PROFILE_CANDIDATES) {
+  return candidates.find(candidate => fs.existsSync(candidate)) || null;
+}
+
+// Decide which corrections apply to an image, given its extracted metadata.
+// `srgbProfile` is the profile to convert to; without one nothing is converted.
+// Returns the pipeline options plus what the response reports as corrected.
+function planCorrections(options, metadata, { srgbProfile }) {
+  const orientation = metadata.image.orientation;
+  const { bytes, description } = metadata.icc;
+  const orient = options.autoOrient && Number.isInteger(orientation) && orientation > 1;
+  // Profiles without a description are converted too; sRGB to sRGB is harmless
+  const convert = Boolean(options.convertToSrgb && srgbProfile && bytes && !/\bsRGB\b/i.test(description || ''));
+
+  return {
+    autoOrient: options.autoOrient,
+    colorProfile: convert ? srgbProfile : null,
+    corrections: {
+      orientationApplied: orient ? orientation : null,
+      convertedFrom: convert ? description || 'embedded ICC profile' : null,
+    },
+  };
+}
+
+module.exports = {
+  DEFAULT_NORMALIZE,
+  findSrgbProfile,
+  parseNormalizeOptions,
+  planCorrections,
+};
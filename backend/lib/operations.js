@@ -0,0 +1,200 @@
+// operations.js
+// Image adjustments requested as an ordered `operations` list, e.g.
+//
+//   [{ "op": "rotate", "angle": 90 }, { "op": "sharpen" }, { "op": "grayscale" }]
+//
+//   sharpen    unsharp mask: radius 0-10, sigma 0.1-10, amount 0-5, threshold 0-1
+//   blur       sigma 0.1-50
+//   grayscale
+//   sepia      threshold 0-100 (percent)
+//   adjust     brightness, contrast and saturation, each -100 to 100
+//   rotate     angle -360 to 360, corners filled with background
+//   flip       direction horizontal or vertical
+//
+// rotate and flip turn the source before it is resized, so fit modes and
+// focal points see the turned image; the other operations run on each
+// rendition after resizing, where sharpening counters the softness of
+// downscaling. Operations run in the given order, so rotate and flip must
+// come before every other operation.
+const { HttpError } = require('./errors');
+const { COLOR_PATTERN } = require('./fit');
+
+const MAX_OPERATIONS = 20;
+
+function invalid(message) {
+  return new HttpError(400, 'INVALID_OPERATION', message);
+}
+
+// Number in [min, max], or `fallback` when the field is absent
+function numberField(spec, field, { min, max, fallback }) {
+  const value = spec[field];
+  if (value === undefined || value === '') {
+    return fallback;
+  }
+  const number = Number(value);
+  if (value === null || !Number.isFinite(number) || number < min || number > max) {
+    throw invalid(`${spec.op} ${field} must be a number between ${min} and ${max}`);
+  }
+  return number;
+}
+
+// Each parser returns the normalized operation with every parameter filled in
+const OPERATIONS = {
+  sharpen: spec => ({
+    op: 'sharpen',
+    radius: numberField(spec, 'radius', { min: 0, max: 10, fallback: 0 }),
+    sigma: numberField(spec, 'sigma', { min: 0.1, max: 10, fallback: 0.75 }),
+    amount: numberField(spec, 'amount', { min: 0, max: 5, fallback: 0.75 }),
+    threshold: numberField(spec, 'threshold', { min: 0, max: 1, fallback: 0.008 }),
+  }),
+  blur: spec => ({
+    op: 'blur',
+    sigma: numberField(spec, 'sigma', { min: 0.1, max: 50, fallback: 2 }),
+  }),
+  grayscale: () => ({ op: 'grayscale' }),
+  sepia: spec => ({
+    op: 'sepia',
+    threshold: numberField(spec, 'threshold', { min: 0, max: 100, fallback: 80 }),
+  }),
+  adjust: spec => {
+    const operation = {
+      op: 'adjust',
+      brightness: numberField(spec, 'brightness', { min: -100, max: 100, fallback: 0 }),
+      contrast: numberField(spec, 'contrast', { min: -100, max: 100, fallback: 0 }),
+      saturation: numberField(spec, 'saturation', { min: -100, max: 100, fallback: 0 }),
+    };
+    if (!operation.brightness && !operation.contrast && !operation.saturation) {
+      throw invalid('adjust needs a brightness, contrast or saturation');
+    }
+    return operation;
+  },
+  rotate: spec => {
+    const background = spec.background === undefined || spec.background === '' ? 'white' : String(spec.background);
+    if (!COLOR_PATTERN.test(background)) {
+      throw invalid(`Invalid rotate background "${background}"`);
+    }
+    return {
+      op: 'rotate',
+      angle: numberField(spec, 'angle', { min: -360, max: 360, fallback: undefined }),
+      background: background.toLowerCase() === 'transparent' ? 'none' : background,
+    };
+  },
+  flip: spec => {
+    if (!['horizontal', 'vertical'].includes(spec.direction)) {
+      throw invalid('flip direction must be horizontal or vertical');
+    }
+    return { op: 'flip', direction: spec.direction };
+  },
+};
+
+// Operations that change the geometry of the source
+const SOURCE_OPERATIONS = ['rotate', 'flip'];
+
+// Read the `operations` list of a request body; multipart bodies carry it as
+// a JSON string
+function parseOperations(body = {}) {
+  let list = body.operations;
+  if (list === undefined || list === '') {
+    return [];
+  }
+  if (typeof list === 'string') {
+    try {
+      list = JSON.parse(list);
+    } catch (error) {
+      list = null;
+    }
+  }
+  if (!Array.isArray(list)) {
+    throw invalid('operations must be a JSON array');
+  }
+  if (list.length > MAX_OPERATIONS) {
+    throw invalid(`Too many operations: at most ${MAX_OPERATIONS} are allowed`);
+  }
+
+  const operations = list.map(spec => {
+    if (!spec || typeof spec !== 'object' || !Object.prototype.hasOwnProperty.call(OPERATIONS, spec.op)) {
+      const op = spec && typeof spec === 'object' ? spec.op : spec;
+      throw invalid(`Unknown operation "${op}". Expected one of: ${Object.keys(OPERATIONS).join(', ')}`);
+    }
+    const operation = OPERATIONS[spec.op](spec);
+    if (operation.op === 'rotate' && operation.angle === undefined) {
+      throw invalid('rotate needs an angle');
+    }
+    return operation;
+  });
+
+  const firstAdjustment = operations.findIndex(operation => !SOURCE_OPERATIONS.includes(operation.op));
+  const lateTurn = operations.find((operation, index) => firstAdjustment !== -1 && index > firstAdjustment
+    && SOURCE_OPERATIONS.includes(operation.op));
+  if (lateTurn) {
+    throw invalid(`${lateTurn.op} must come before ${operations[firstAdjustment].op}: rotate and flip apply to the source before resizing`);
+  }
+  return operations;
+}
+
+// Short decimal for ImageMagick arguments: 0.75, never 7.5e-7
+function decimal(value) {
+  return String(Number(value.toFixed(3)));
+}
+
+function operationArgs(operation) {
+  switch (operation.op) {
+    case 'sharpen':
+      return ['-unsharp', `${decimal(operation.radius)}x${decimal(operation.sigma)}+${decimal(operation.amount)}+${decimal(operation.threshold)}`];
+    case 'blur':
+      return ['-blur', `0x${decimal(operation.sigma)}`];
+    case 'grayscale':
+      return ['-grayscale', 'Rec709Luminance'];
+    case 'sepia':
+      return ['-sepia-tone', `${decimal(operation.threshold)}%`];
+    case 'adjust': {
+      const args = [];
+      if (operation.brightness || operation.contrast) {
+        args.push('-brightness-contrast', `${decimal(operation.brightness)}x${decimal(operation.contrast)}`);
+      }
+      if (operation.saturation) {
+        args.push('-modulate', `100,${decimal(100 + operation.saturation)},100`);
+      }
+      return args;
+    }
+    case 'rotate':
+      return ['-background', operation.background, '-rotate', decimal(operation.angle), '+repage'];
+    case 'flip':
+      return [operation.direction === 'vertical' ? '-flip' : '-flop'];
+    default:
+      return [];
+  }
+}
+
+// ImageMagick arguments for the operations applied to the source once
+function buildSourceOperationArgs(operations) {
+  return operations.filter(operation => SOURCE_OPERATIONS.includes(operation.op)).flatMap(operationArgs);
+}
+
+// ImageMagick arguments for the operations applied to every rendition
+function buildRenditionOperationArgs(operations) {
+  return operations.filter(operation => !SOURCE_OPERATIONS.includes(operation.op)).flatMap(operationArgs);
+}
+
+// Size of a `width` x `height` source after its rotations
+function operatedSize(size, operations) {
+  return operations
+    .filter(operation => operation.op === 'rotate')
+    .reduce((current, { angle }) => {
+      const radians = (angle * Math.PI) / 180;
+      const cos = Math.abs(Math.cos(radians));
+      const sin = Math.abs(Math.sin(radians));
+      return {
+        ...current,
+        width: Math.round(current.width * cos + current.height * sin),
+        height: Math.round(current.width * sin + current.height * cos),
+      };
+    }, size);
+}
+
+module.exports = {
+  buildRenditionOperationArgs,
+  buildSourceOperationArgs,
+  operatedSize,
+  parseOperations,
+};
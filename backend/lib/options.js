@@ -0,0 +1,20 @@
+// options.js
+// Parsers shared by request options. Multipart bodies carry every field as a
+// string, JSON bodies as typed values; both are accepted.
+const { HttpError } = require('./errors');
+
+// true/false, "true"/"false" or "1"/"0"; undefined when the field is absent
+function parseFlag(value, field) {
+  if (value === undefined || value === '') {
+    return undefined;
+  }
+  if (value === true || value === 'true' || value === '1') {
+    return true;
+  }
+  if (value === false || value === 'false' || value === '0') {
+    return false;
+  }
+  throw new HttpError(400, 'INVALID_OPTION', `${field} must be true or false`);
+}
+
+module.exports = { parseFlag };
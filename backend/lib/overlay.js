@@ -0,0 +1,209 @@
+// overlay.js
+// Watermarks drawn onto every rendition after it is resized. The overlay is
+// a logo (uploaded as `overlayImage` or one of the configured logos) or a
+// line of text, described by the `overlay` field:
+//
+//   logo      name of a configured logo
+//   text      text to draw, with `font`, `fontSize` (points) and `color`
+//   gravity   one of the nine fit gravities (default southeast)
+//   offsetX   distance from the gravity edge as a fraction of the rendition
+//   offsetY   width / height, 0-0.5 (default 0.02)
+//   opacity   0-1 (default 1)
+//   scale     the overlay fits within this fraction of the rendition's width
+//             and height, 0-1 (default 0.25), so it looks the same at every
+//             rendition size
+//   tile      repeat the overlay across the whole rendition
+const { HttpError } = require('./errors');
+const { COLOR_PATTERN, GRAVITIES, outputSize } = require('./fit');
+const { parseFlag } = require('./options');
+
+const MAX_TEXT_LENGTH = 200;
+const FONT_PATTERN = /^[A-Za-z0-9][A-Za-z0-9 _-]{0,63}$/;
+
+const DEFAULT_OVERLAY = {
+  gravity: 'southeast',
+  offsetX: 0.02,
+  offsetY: 0.02,
+  opacity: 1,
+  scale: 0.25,
+  tile: false,
+  font: null,
+  fontSize: 72,
+  color: 'white',
+};
+
+function invalid(message) {
+  return new HttpError(400, 'INVALID_OVERLAY', message);
+}
+
+function parseFraction(value, field, { min = 0, max = 1, exclusiveMin = false } = {}) {
+  const number = Number(value);
+  if (value === '' || value === null || !Number.isFinite(number) || number > max
+    || (exclusiveMin ? number <= min : number < min)) {
+    throw invalid(`${field} must be a number between ${min} and ${max}`);
+  }
+  return number;
+}
+
+// Multipart bodies carry the overlay as a JSON string, JSON bodies as an object
+function parseOverlayField(value) {
+  let spec = value;
+  if (typeof spec === 'string') {
+    try {
+      spec = JSON.parse(spec);
+    } catch (error) {
+      spec = null;
+    }
+  }
+  if (!spec || typeof spec !== 'object' || Array.isArray(spec)) {
+    throw invalid('overlay must be a JSON object');
+  }
+  return spec;
+}
+
+function parseText(value) {
+  const text = String(value);
+  if (text.length === 0 || text.length > MAX_TEXT_LENGTH) {
+    throw invalid(`text must be between 1 and ${MAX_TEXT_LENGTH} characters`);
+  }
+  // A leading @ would make ImageMagick read the text from a file
+  if (/[\0\r\n]/.test(text) || text.startsWith('@')) {
+    throw invalid('text must be a single line and cannot start with @');
+  }
+  return text;
+}
+
+// Read the overlay of a request. `overlayImage` is the path of an uploaded
+// overlay file and `logos` maps configured logo names to image paths.
+// Returns null when the request has no overlay.
+function parseOverlayOptions(body = {}, { overlayImage = null, logos = {} } = {}) {
+  if ((body.overlay === undefined || body.overlay === '') && !overlayImage) {
+    return null;
+  }
+  const spec = body.overlay === undefined || body.overlay === '' ? {} : parseOverlayField(body.overlay);
+  const overlay = { ...DEFAULT_OVERLAY };
+
+  const sources = [overlayImage, spec.logo, spec.text].filter(value => value !== undefined && value !== null && value !== '');
+  if (sources.length !== 1) {
+    throw invalid('An overlay needs exactly one of an overlayImage upload, a logo or text');
+  }
+
+  if (overlayImage) {
+    overlay.image = overlayImage;
+  } else if (spec.logo !== undefined && spec.logo !== '') {
+    const logo = String(spec.logo);
+    if (!Object.prototype.hasOwnProperty.call(logos, logo)) {
+      const names = Object.keys(logos);
+      throw invalid(`Unknown logo "${logo}".${names.length > 0 ? ` Available logos: ${names.join(', ')}` : ' No logos are configured'}`);
+    }
+    overlay.logo = logo;
+    overlay.image = logos[logo];
+  } else {
+    overlay.text = parseText(spec.text);
+    if (spec.font !== undefined && spec.font !== '') {
+      if (!FONT_PATTERN.test(String(spec.font))) {
+        throw invalid(`Invalid font "${spec.font}"`);
+      }
+      overlay.font = String(spec.font);
+    }
+    if (spec.fontSize !== undefined && spec.fontSize !== '') {
+      const fontSize = Number(spec.fontSize);
+      if (!Number.isInteger(fontSize) || fontSize < 6 || fontSize > 512) {
+        throw invalid('fontSize must be an integer between 6 and 512');
+      }
+      overlay.fontSize = fontSize;
+    }
+    if (spec.color !== undefined && spec.color !== '') {
+      if (!COLOR_PATTERN.test(String(spec.color))) {
+        throw invalid(`Invalid color "${spec.color}"`);
+      }
+      overlay.color = String(spec.color);
+    }
+  }
+
+  if (spec.gravity !== undefined && spec.gravity !== '') {
+    const gravity = String(spec.gravity).toLowerCase();
+    if (!GRAVITIES[gravity]) {
+      throw invalid(`Unknown gravity "${spec.gravity}". Expected one of: ${Object.keys(GRAVITIES).join(', ')}`);
+    }
+    overlay.gravity = gravity;
+  }
+  if (spec.offsetX !== undefined) {
+    overlay.offsetX = parseFraction(spec.offsetX, 'offsetX', { max: 0.5 });
+  }
+  if (spec.offsetY !== undefined) {
+    overlay.offsetY = parseFraction(spec.offsetY, 'offsetY', { max: 0.5 });
+  }
+  if (spec.opacity !== undefined) {
+    overlay.opacity = parseFraction(spec.opacity, 'opacity', { exclusiveMin: true });
+  }
+  if (spec.scale !== undefined) {
+    overlay.scale = parseFraction(spec.scale, 'scale', { exclusiveMin: true });
+  }
+  const tile = parseFlag(spec.tile, 'tile');
+  if (tile !== undefined) {
+    overlay.tile = tile;
+  }
+  return overlay;
+}
+
+// label: expands % escapes and backslashes
+function labelText(text) {
+  return text.replace(/\\/g, '\\\\').replace(/%/g, '%%');
+}
+
+// ImageMagick arguments that prepare the overlay once, before any rendition
+// is made, into the mpr:overlay register
+function buildOverlaySourceArgs(overlay) {
+  const args = overlay.text
+    ? [
+      '-background', 'none',
+      '-fill', overlay.color,
+      ...(overlay.font ? ['-font', overlay.font] : []),
+      '-pointsize', String(overlay.fontSize),
+      `label:${labelText(overlay.text)}`,
+    ]
+    : [`${overlay.image}[0]`];
+
+  args.push('-alpha', 'set');
+  if (overlay.opacity < 1) {
+    args.push('-channel', 'A', '-evaluate', 'multiply', overlay.opacity.toFixed(4), '+channel');
+  }
+  args.push('-write', 'mpr:overlay', '-delete', '0--1');
+  return args;
+}
+
+// ImageMagick arguments that draw the overlay onto the current rendition
+// (every frame of an animation). `sourceSize` gives the size of `inside`
+// renditions.
+function buildOverlayArgs(overlay, rendition, sourceSize) {
+  const size = outputSize(rendition, sourceSize);
+  const box = `${Math.max(1, Math.round(size.width * overlay.scale))}x${Math.max(1, Math.round(size.height * overlay.scale))}`;
+
+  if (overlay.tile) {
+    return [
+      'null:',
+      '(', 'mpr:overlay', '-resize', box, '-write', 'mpr:overlay-tile', '-delete', '0--1',
+      '-size', `${size.width}x${size.height}`, 'tile:mpr:overlay-tile', ')',
+      '-compose', 'over', '-layers', 'composite',
+    ];
+  }
+
+  const x = Math.round(size.width * overlay.offsetX);
+  const y = Math.round(size.height * overlay.offsetY);
+  return [
+    'null:',
+    '(', 'mpr:overlay', '-resize', box, ')',
+    '-gravity', GRAVITIES[overlay.gravity],
+    '-geometry', `+${x}+${y}`,
+    '-compose', 'over', '-layers', 'composite',
+    '+gravity',
+  ];
+}
+
+module.exports = {
+  DEFAULT_OVERLAY,
+  buildOverlayArgs,
+  buildOverlaySourceArgs,
+  parseOverlayOptions,
+};
@@ -0,0 +1,199 @@
+// pipeline.js
+// Renders every requested rendition from a single decode of the source image.
+const fs = require('fs');
+const path = require('path');
+const { buildResizeArgs } = require('./fit');
+const { FORMATS, resolveFormat, buildOutputArgs } = require('./format');
+const { DEFAULT_METADATA_POLICY, buildMetadataArgs, buildRightsXmp } = require('./privacy');
+const { buildOverlayArgs, buildOverlaySourceArgs } = require('./overlay');
+const { buildRenditionOperationArgs, buildSourceOperationArgs, operatedSize } = require('./operations');
+const { createLogger } = require('./logger');
+
+// Build a convert invocation that reads the source once into an in-memory
+// register (mpr:) and writes each rendition from that copy. `input` is the
+// source path, with a frame index for a single frame. `sourceArgs` correct
+// the source once before it is stored; `operationArgs` adjust each rendition
+// after resizing; an `overlay` is prepared once and drawn onto each rendition
+// after that; `metadataArgs` are applied to every rendition before it is
+// written. `-delete 0--1` empties the image list, which may hold every frame
+// of an animation.
+function buildConvertArgs(input, renditions, sourceSize, {
+  sourceArgs = [],
+  operationArgs = [],
+  metadataArgs = [],
+  overlay = null,
+} = {}) {
+  const args = [input, ...sourceArgs, '-write', 'mpr:source', '-delete', '0--1'];
+  if (overlay) {
+    args.push(...buildOverlaySourceArgs(overlay));
+  }
+
+  renditions.forEach((rendition, index) => {
+    const output = `${rendition.format}:${rendition.outputPath}`;
+    args.push(
+      'mpr:source',
+      ...buildResizeArgs(rendition, sourceSize),
+      ...operationArgs,
+      ...(overlay ? buildOverlayArgs(overlay, rendition, sourceSize) : []),
+      ...metadataArgs,
+      ...buildOutputArgs(rendition)
+    );
+    if (index < renditions.length - 1) {
+      args.push('-write', output, '-delete', '0--1');
+    } else {
+      args.push(output);
+    }
+  });
+
+  return args;
+}
+
+// EXIF orientations that swap width and height once applied (5-8)
+const TRANSPOSED_ORIENTATIONS = ['LeftTop', 'RightTop', 'RightBottom', 'LeftBottom'];
+
+// Dimensions, transparency and orientation of a source frame, read without
+// decoding the pixels
+async function probeSource(magick, imagePath, { frame = 0, signal } = {}) {
+  const { stdout } = await magick.identify(['-ping', '-format', '%w %h %A %[orientation]', `${imagePath}[${frame}]`], { signal });
+  const [width, height, alpha, orientation] = stdout.trim().split(' ');
+  const size = { width: parseInt(width, 10), height: parseInt(height, 10) };
+  if (!size.width || !size.height) {
+    throw new Error(`Could not read dimensions of ${path.basename(imagePath)}`);
+  }
+  return {
+    ...size,
+    hasAlpha: !/^(false|undefined)$/i.test(alpha || 'false'),
+    transposed: TRANSPOSED_ORIENTATIONS.includes(orientation),
+  };
+}
+
+// Read back the real dimensions of each written rendition (from the first
+// frame of animated ones)
+async function describeOutputs(magick, outputPaths, { signal } = {}) {
+  const firstFrames = outputPaths.map(outputPath => `${outputPath}[0]`);
+  const { stdout } = await magick.identify(['-ping', '-format', '%w %h\n', ...firstFrames], { signal });
+  return stdout.trim().split('\n').map(line => {
+    const [width, height] = line.trim().split(' ');
+    return { width: parseInt(width, 10), height: parseInt(height, 10) };
+  });
+}
+
+// Generate all renditions for an image. Output files are written next to
+// the source and named after the rendition. `magick` is the ImageMagick
+// runner, `accept` the request's Accept header used to resolve `auto`
+// formats; aborting `signal` stops any running ImageMagick process.
+// `metadataPolicy` decides which source metadata the renditions keep, with
+// `copyright` as the notice `strip-private` preserves. `autoOrient` applies
+// the EXIF orientation first, and `colorProfile` is the ICC profile to
+// convert the source to, if any. `frame` picks the frame or page of a
+// multi-frame source; with `animate` every frame is kept instead. `overlay`
+// is a parsed watermark (see overlay.js) and `operations` a parsed list of
+// adjustments (see operations.js). Failures are logged to `logger`.
+async function generateRenditions(imagePath, renditions, {
+  magick,
+  accept,
+  signal,
+  metadataPolicy = DEFAULT_METADATA_POLICY,
+  copyright = null,
+  autoOrient = true,
+  colorProfile = null,
+  frame = 0,
+  animate = false,
+  overlay = null,
+  operations = [],
+  logger = createLogger(),
+}) {
+  const dir = path.dirname(imagePath);
+  const base = path.basename(imagePath, path.extname(imagePath));
+  const probed = await probeSource(magick, imagePath, { frame: animate ? 0 : frame, signal });
+  // Crops are planned against the source as it looks after orienting and
+  // rotating
+  const source = operatedSize(autoOrient && probed.transposed
+    ? { ...probed, width: probed.height, height: probed.width }
+    : probed, operations);
+
+  const sourceArgs = [];
+  if (animate) {
+    // Turn frame deltas into full frames so each can be resized on its own
+    sourceArgs.push('-coalesce');
+  }
+  if (autoOrient) {
+    sourceArgs.push('-auto-orient');
+  }
+  if (colorProfile) {
+    sourceArgs.push('-profile', colorProfile);
+  }
+  sourceArgs.push(...buildSourceOperationArgs(operations));
+
+  // Transparent corners from rotating count as alpha for every rendition
+  const rotatedAlpha = operations.some(operation => operation.op === 'rotate'
+    && operation.background === 'none' && operation.angle % 90 !== 0);
+
+  const planned = renditions.map(rendition => {
+    // Transparent contain padding needs a format that keeps it, even when the
+    // source itself is opaque
+    const paddedAlpha = rendition.fit === 'contain' && rendition.background === 'none';
+    const hasAlpha = source.hasAlpha || rotatedAlpha || paddedAlpha;
+    const format = resolveFormat(rendition.format, { accept, hasAlpha, animated: animate });
+    return {
+      ...rendition,
+      format,
+      outputPath: path.join(dir, `thumbnail-${rendition.name}-${base}.${FORMATS[format].extension}`),
+    };
+  });
+
+  const outputPaths = planned.map(rendition => rendition.outputPath);
+  const removeOutputs = () => Promise.all(outputPaths.map(outputPath => fs.promises.unlink(outputPath).catch(() => {})));
+
+  // The copyright also goes into XMP, for formats without a comment field
+  const rightsProfile = metadataPolicy === 'strip-private' && copyright
+    ? path.join(dir, `rights-${base}.xmp`)
+    : null;
+
+  try {
+    if (rightsProfile) {
+      await fs.promises.writeFile(rightsProfile, buildRightsXmp(copyright));
+    }
+    const metadataArgs = buildMetadataArgs(metadataPolicy, { copyright, rightsProfile });
+    const input = animate ? imagePath : `${imagePath}[${frame}]`;
+    const args = buildConvertArgs(input, planned, source, {
+      sourceArgs,
+      operationArgs: buildRenditionOperationArgs(operations),
+      metadataArgs,
+      overlay,
+    });
+    await magick.convert(args, { signal });
+  } catch (error) {
+    logger.warn('rendering failed', { error });
+    // convert may have written some renditions before failing
+    await removeOutputs();
+    throw error;
+  } finally {
+    if (rightsProfile) {
+      await fs.promises.unlink(rightsProfile).catch(() => {});
+    }
+  }
+
+  let outputs;
+  try {
+    outputs = await describeOutputs(magick, outputPaths, { signal });
+  } catch (error) {
+    await removeOutputs();
+    throw error;
+  }
+
+  return planned.map((rendition, index) => ({
+    name: rendition.name,
+    requestedWidth: rendition.width,
+    requestedHeight: rendition.height,
+    width: outputs[index].width,
+    height: outputs[index].height,
+    format: rendition.format,
+    mimeType: FORMATS[rendition.format].mimeType,
+    animated: animate,
+    bytes: fs.statSync(rendition.outputPath).size,
+    path: rendition.outputPath,
+  }));
+}
+
+module.exports = { generateRenditions };
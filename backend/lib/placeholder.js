@@ -0,0 +1,176 @@
+// placeholder.js
+// Lightweight stand-ins for a rendition while it loads: a BlurHash string
+// (https://blurha.sh), a tiny base64 JPEG (LQIP), the dominant colour and a
+// small palette. All of them come from a few hundred pixels read back from
+// the rendition with ImageMagick.
+const { HttpError } = require('./errors');
+
+// Longest side of the pixel grid BlurHash and the palette are computed from
+const SAMPLE_SIZE = 32;
+// Longest side of the LQIP image
+const LQIP_SIZE = 16;
+const LQIP_QUALITY = 40;
+const PALETTE_SIZE = 5;
+
+const BASE83 = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz#$%*+,-.:;=?@[]^_{|}~';
+
+function encode83(value, length) {
+  let result = '';
+  for (let i = 1; i <= length; i += 1) {
+    result += BASE83[Math.floor(value / 83 ** (length - i)) % 83];
+  }
+  return result;
+}
+
+function srgbToLinear(value) {
+  const v = value / 255;
+  return v <= 0.04045 ? v / 12.92 : ((v + 0.055) / 1.055) ** 2.4;
+}
+
+function linearToSrgb(value) {
+  const v = Math.max(0, Math.min(1, value));
+  return v <= 0.0031308
+    ? Math.trunc(v * 12.92 * 255 + 0.5)
+    : Math.trunc((1.055 * v ** (1 / 2.4) - 0.055) * 255 + 0.5);
+}
+
+const signPow = (value, exponent) => Math.sign(value) * Math.abs(value) ** exponent;
+
+// BlurHash of `width` x `height` RGB pixels (3 bytes each) with
+// `componentsX` x `componentsY` cosine components
+function encodeBlurhash(pixels, width, height, componentsX = 4, componentsY = 3) {
+  const factors = [];
+  for (let y = 0; y < componentsY; y += 1) {
+    for (let x = 0; x < componentsX; x += 1) {
+      const normalisation = x === 0 && y === 0 ? 1 : 2;
+      const factor = [0, 0, 0];
+      for (let j = 0; j < height; j += 1) {
+        for (let i = 0; i < width; i += 1) {
+          const basis = normalisation * Math.cos((Math.PI * x * i) / width) * Math.cos((Math.PI * y * j) / height);
+          const offset = 3 * (j * width + i);
+          factor[0] += basis * srgbToLinear(pixels[offset]);
+          factor[1] += basis * srgbToLinear(pixels[offset + 1]);
+          factor[2] += basis * srgbToLinear(pixels[offset + 2]);
+        }
+      }
+      factors.push(factor.map(value => value / (width * height)));
+    }
+  }
+
+  const [dc, ...ac] = factors;
+  let hash = encode83((componentsX - 1) + (componentsY - 1) * 9, 1);
+
+  let maximumValue = 1;
+  if (ac.length > 0) {
+    const actualMaximum = Math.max(...ac.flat().map(Math.abs));
+    const quantisedMaximum = Math.floor(Math.max(0, Math.min(82, Math.floor(actualMaximum * 166 - 0.5))));
+    maximumValue = (quantisedMaximum + 1) / 166;
+    hash += encode83(quantisedMaximum, 1);
+  } else {
+    hash += encode83(0, 1);
+  }
+
+  hash += encode83((linearToSrgb(dc[0]) << 16) + (linearToSrgb(dc[1]) << 8) + linearToSrgb(dc[2]), 4);
+  ac.forEach(factor => {
+    const [r, g, b] = factor.map(value => (
+      Math.floor(Math.max(0, Math.min(18, Math.floor(signPow(value / maximumValue, 0.5) * 9 + 9.5))))
+    ));
+    hash += encode83(r * 19 * 19 + g * 19 + b, 2);
+  });
+  return hash;
+}
+
+const toHex = ([r, g, b]) => `#${[r, g, b].map(value => Math.round(value).toString(16).padStart(2, '0')).join('')}`;
+
+// Up to `size` representative colours of RGB pixels by median cut, most
+// common first, as { color, share } with `share` the fraction of pixels
+function buildPalette(pixels, size = PALETTE_SIZE) {
+  const colors = [];
+  for (let offset = 0; offset + 2 < pixels.length; offset += 3) {
+    colors.push([pixels[offset], pixels[offset + 1], pixels[offset + 2]]);
+  }
+  if (colors.length === 0) {
+    return [];
+  }
+
+  const rangeOf = box => [0, 1, 2].map(channel => {
+    const values = box.map(color => color[channel]);
+    return Math.max(...values) - Math.min(...values);
+  });
+
+  let boxes = [colors];
+  while (boxes.length < size) {
+    // Split the box with the widest channel range, weighted by its pixels
+    const candidates = boxes
+      .map(box => ({ box, range: rangeOf(box) }))
+      .filter(({ box, range }) => box.length > 1 && Math.max(...range) > 0);
+    if (candidates.length === 0) {
+      break;
+    }
+    const { box, range } = candidates.reduce((best, candidate) => (
+      Math.max(...candidate.range) * candidate.box.length > Math.max(...best.range) * best.box.length ? candidate : best
+    ));
+    const channel = range.indexOf(Math.max(...range));
+    const sorted = [...box].sort((a, b) => a[channel] - b[channel]);
+    const middle = Math.floor(sorted.length / 2);
+    boxes = boxes.filter(other => other !== box).concat([sorted.slice(0, middle), sorted.slice(middle)]);
+  }
+
+  return boxes
+    .map(box => ({
+      color: toHex([0, 1, 2].map(channel => box.reduce((sum, color) => sum + color[channel], 0) / box.length)),
+      share: Number((box.length / colors.length).toFixed(3)),
+    }))
+    .sort((a, b) => b.share - a.share);
+}
+
+// Grid size for a `width` x `height` image with its longest side `max`
+function sampleSize(width, height, max) {
+  const scale = max / Math.max(width, height);
+  return {
+    width: Math.max(1, Math.round(width * scale)),
+    height: Math.max(1, Math.round(height * scale)),
+  };
+}
+
+// Placeholder data for the rendition at `imagePath` (its first frame) that
+// is `width` x `height` pixels. Transparent areas are shown on white.
+async function createPlaceholder(magick, imagePath, { width, height, signal } = {}) {
+  const grid = sampleSize(width, height, SAMPLE_SIZE);
+  const { stdout: pixels } = await magick.convert([
+    `${imagePath}[0]`,
+    '-background', 'white', '-alpha', 'remove',
+    '-resize', `${grid.width}x${grid.height}!`,
+    '-depth', '8',
+    'rgb:-',
+  ], { signal, encoding: 'buffer' });
+  if (pixels.length !== grid.width * grid.height * 3) {
+    throw new HttpError(500, 'PLACEHOLDER_FAILED', 'Could not read the rendition pixels');
+  }
+
+  const lqipSize = sampleSize(width, height, LQIP_SIZE);
+  const { stdout: lqip } = await magick.convert([
+    `${imagePath}[0]`,
+    '-background', 'white', '-alpha', 'remove',
+    '-resize', `${lqipSize.width}x${lqipSize.height}!`,
+    '-strip',
+    '-quality', String(LQIP_QUALITY),
+    'jpeg:-',
+  ], { signal, encoding: 'buffer' });
+
+  // More horizontal components for landscape images and vice versa
+  const landscape = grid.width >= grid.height;
+  const palette = buildPalette(pixels);
+  return {
+    blurhash: encodeBlurhash(pixels, grid.width, grid.height, landscape ? 4 : 3, landscape ? 3 : 4),
+    lqip: `data:image/jpeg;base64,${lqip.toString('base64')}`,
+    dominantColor: palette.length > 0 ? palette[0].color : null,
+    palette,
+  };
+}
+
+module.exports = {
+  buildPalette,
+  createPlaceholder,
+  encodeBlurhash,
+};
@@ -0,0 +1,132 @@
+// privacy.js
+// Metadata policies for generated renditions and for the metadata echoed back
+// in responses:
+//
+//   keep           renditions carry the source's profiles; the full metadata is returned
+//   strip-all      every profile, comment and text chunk is removed; only the
+//                  technical `image` section is returned
+//   strip-private  GPS, serial numbers and author fields are removed. The
+//                  colour profile is kept and the copyright is written as the
+//                  image comment and as XMP dc:rights, which WebP and AVIF
+//                  carry too.
+const { HttpError } = require('./errors');
+
+const METADATA_POLICIES = ['keep', 'strip-all', 'strip-private'];
+const DEFAULT_METADATA_POLICY = 'strip-private';
+
+// Fields that identify a person, a device or a place. Matched against EXIF
+// tag names, IPTC dataset names and XMP property names.
+const PRIVATE_FIELD = /GPS|Serial|Artist|Author|Owner|By-?line|Writer|Contact|Creator(?!Tool)|UniqueID|UserComment|MakerNote|HostComputer|Location|City|Country|State|Province/i;
+
+// Read the `metadata` policy from a request body
+function parseMetadataPolicy(source = {}) {
+  if (source.metadata === undefined || source.metadata === '') {
+    return DEFAULT_METADATA_POLICY;
+  }
+  const policy = String(source.metadata).toLowerCase();
+  if (!METADATA_POLICIES.includes(policy)) {
+    throw new HttpError(
+      400,
+      'INVALID_METADATA_POLICY',
+      `Unknown metadata policy "${source.metadata}". Expected one of: ${METADATA_POLICIES.join(', ')}`
+    );
+  }
+  return policy;
+}
+
+function withoutPrivateFields(section) {
+  const filtered = {};
+  Object.entries(section || {}).forEach(([key, value]) => {
+    if (!PRIVATE_FIELD.test(key)) {
+      filtered[key] = value;
+    }
+  });
+  return filtered;
+}
+
+// The copyright notice of an image, from EXIF, IPTC or XMP in that order
+function copyrightOf(metadata) {
+  const candidates = [
+    metadata.exif && metadata.exif.Copyright,
+    metadata.iptc && metadata.iptc['Copyright String'],
+    metadata.xmp && metadata.xmp['dc:rights'],
+  ];
+  const copyright = candidates.find(value => value !== undefined && value !== null && value !== '');
+  return copyright === undefined ? null : [].concat(copyright).join('; ');
+}
+
+// The part of an image's metadata a policy allows in responses
+function filterMetadata(metadata, policy) {
+  if (policy === 'keep') {
+    return metadata;
+  }
+  if (policy === 'strip-all') {
+    return { image: metadata.image, exif: {}, iptc: {}, xmp: {}, icc: {}, gps: null };
+  }
+  return {
+    image: metadata.image,
+    exif: withoutPrivateFields(metadata.exif),
+    iptc: withoutPrivateFields(metadata.iptc),
+    xmp: withoutPrivateFields(metadata.xmp),
+    icc: metadata.icc,
+    gps: null,
+  };
+}
+
+function escapeXml(text) {
+  return text.replace(/[<>&"']/g, char => `&#${char.charCodeAt(0)};`);
+}
+
+// An XMP packet holding only the copyright as dc:rights. Written next to the
+// source and attached with `-profile`, since formats without a comment field
+// (WebP, AVIF) keep XMP.
+function buildRightsXmp(copyright) {
+  const rights = escapeXml(String(copyright).slice(0, 1024).replace(/[\0\r\n]+/g, ' '));
+  return [
+    '<?xpacket begin="\ufeff" id="W5M0MpCehiHzreSzNTczkc9d"?>',
+    '<x:xmpmeta xmlns:x="adobe:ns:meta/">',
+    '<rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">',
+    '<rdf:Description rdf:about="" xmlns:dc="http://purl.org/dc/elements/1.1/">',
+    `<dc:rights><rdf:Alt><rdf:li xml:lang="x-default">${rights}</rdf:li></rdf:Alt></dc:rights>`,
+    '</rdf:Description>',
+    '</rdf:RDF>',
+    '</x:xmpmeta>',
+    '<?xpacket end="w"?>',
+  ].join('\n');
+}
+
+// ImageMagick arguments applied before a rendition is written. `copyright`
+// is the source's copyright notice, kept by `strip-private`, and
+// `rightsProfile` the path of its XMP packet (see buildRightsXmp).
+function buildMetadataArgs(policy, { copyright, rightsProfile } = {}) {
+  if (policy === 'keep') {
+    return [];
+  }
+  if (policy === 'strip-all') {
+    return ['-strip'];
+  }
+
+  // Drop every profile except ICC, then replace the comment with the copyright
+  const args = ['+profile', '!icc,*'];
+  if (copyright) {
+    // `-set` expands % escapes, and a leading @ would name a file to read
+    const comment = String(copyright).slice(0, 1024).replace(/[\0\r\n]+/g, ' ');
+    args.push('-set', 'comment', comment.replace(/%/g, '%%').replace(/^@/, ' @'));
+    if (rightsProfile) {
+      args.push('-profile', rightsProfile);
+    }
+  } else {
+    args.push('+set', 'comment');
+  }
+  return args;
+}
+
+module.exports = {
+  DEFAULT_METADATA_POLICY,
+  METADATA_POLICIES,
+  buildMetadataArgs,
+  buildRightsXmp,
+  copyrightOf,
+  filterMetadata,
+  parseMetadataPolicy,
+};
@@ -0,0 +1,83 @@
+// quota.js
+// Per-key usage counters for rate limiting: requests in the current minute
+// and bytes in the current UTC day. Counters live in memory, so each server
+// process enforces its own limits and a restart resets them.
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function createQuotaTracker() {
+  // key id -> { minute, requests, day, bytes }
+  const usage = new Map();
+
+  // Counters of a key for the current minute and day, reset as they roll over
+  function current(id) {
+    const time = Date.now();
+    const minute = Math.floor(time / MINUTE_MS);
+    const day = Math.floor(time / DAY_MS);
+    let entry = usage.get(id);
+    if (!entry) {
+      entry = { minute, requests: 0, day, bytes: 0 };
+      usage.set(id, entry);
+    }
+    if (entry.minute !== minute) {
+      Object.assign(entry, { minute, requests: 0 });
+    }
+    if (entry.day !== day) {
+      Object.assign(entry, { day, bytes: 0 });
+    }
+    return entry;
+  }
+
+  // Seconds until the current window of `sizeMs` ends
+  function secondsLeft(sizeMs) {
+    return Math.ceil((sizeMs - (Date.now() % sizeMs)) / 1000);
+  }
+
+  return {
+    // Count a request against `key` unless it is over a limit. `bytes` is the
+    // size the request declares: it is refused if that would not fit in the
+    // byte quota, but only the bytes actually received are counted, through
+    // addBytes. Returns { limit, remaining, resetSeconds } for the request
+    // limit, { bytesLimit, bytesRemaining, bytesResetSeconds } for the byte
+    // quota and `exceeded`, the limit that refused the request or null.
+    hit(key, { bytes = 0 } = {}) {
+      const entry = current(key.id);
+      const status = {
+        limit: key.requestsPerMinute,
+        resetSeconds: secondsLeft(MINUTE_MS),
+        bytesLimit: key.dailyBytes,
+        bytesResetSeconds: secondsLeft(DAY_MS),
+        exceeded: null,
+      };
+      if (key.requestsPerMinute && entry.requests >= key.requestsPerMinute) {
+        status.exceeded = 'requests';
+      } else if (key.dailyBytes && (entry.bytes >= key.dailyBytes || entry.bytes + bytes > key.dailyBytes)) {
+        status.exceeded = 'bytes';
+      } else {
+        entry.requests += 1;
+      }
+      status.remaining = key.requestsPerMinute ? Math.max(0, key.requestsPerMinute - entry.requests) : null;
+      status.bytesRemaining = key.dailyBytes ? Math.max(0, key.dailyBytes - entry.bytes) : null;
+      return status;
+    },
+
+    // Count bytes received or sent for a request that was already let through
+    addBytes(key, bytes) {
+      current(key.id).bytes += bytes;
+    },
+
+    // Requests this minute and bytes today for a key
+    usage(key) {
+      const { requests, bytes } = current(key.id);
+      return { requestsThisMinute: requests, bytesToday: bytes };
+    },
+
+    forget(id) {
+      usage.delete(id);
+    },
+  };
+}
+
+module.exports = {
+  createQuotaTracker,
+};
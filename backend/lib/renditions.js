@@ -0,0 +1,149 @@
+// renditions.js
+// Named renditions and presets for the /thumbnail endpoint.
+const { HttpError } = require('./errors');
+const { DEFAULT_FIT, parseFitOptions } = require('./fit');
+const { parseFormatOptions } = require('./format');
+
+const MAX_DIMENSION = 4096;
+const MAX_RENDITIONS = 20;
+const NAME_PATTERN = /^[A-Za-z0-9_.@-]{1,64}$/;
+const DEFAULT_SIZE = { width: 300, height: 200 };
+
+// Presets expand to a fixed list of renditions. Entries with `scales` are
+// expanded into one rendition per scale, e.g. `hero` and `hero@2x`.
+const PRESETS = {
+  social: [
+    { name: 'avatar', width: 150, height: 150, scales: [1, 2] },
+    { name: 'card', width: 600, height: 315, scales: [1, 2] },
+    { name: 'hero', width: 1200, height: 630 },
+  ],
+  gallery: [
+    { name: 'thumb', width: 200, height: 200, scales: [1, 2] },
+    { name: 'card', width: 400, height: 300, scales: [1, 2] },
+    { name: 'hero', width: 1600, height: 900 },
+  ],
+};
+
+function invalid(message) {
+  return new HttpError(400, 'INVALID_RENDITION', message);
+}
+
+function parseDimension(value, field, name) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1 || number > MAX_DIMENSION) {
+    throw invalid(
+      `Rendition "${name}" has invalid ${field}: expected an integer between 1 and ${MAX_DIMENSION}`
+    );
+  }
+  return number;
+}
+
+// Expand a single rendition spec (possibly with `scales`) into concrete renditions
+function expandRendition(spec) {
+  if (!spec || typeof spec !== 'object') {
+    throw invalid('Each rendition must be an object with name, width and height');
+  }
+
+  const name = String(spec.name || '');
+  if (!NAME_PATTERN.test(name)) {
+    throw invalid(`Invalid rendition name "${name}"`);
+  }
+
+  const width = parseDimension(spec.width, 'width', name);
+  const height = parseDimension(spec.height, 'height', name);
+  const scales = spec.scales === undefined || spec.scales === null ? [1] : spec.scales;
+  if (!Array.isArray(scales) || scales.length === 0) {
+    throw invalid(`Rendition "${name}" has invalid scales: expected a list such as [1, 2]`);
+  }
+  const overrides = { ...parseFitOptions(spec), ...parseFormatOptions(spec) };
+
+  return scales.map(scale => {
+    const factor = Number(scale);
+    if (!Number.isInteger(factor) || factor < 1 || factor > 4) {
+      throw invalid(`Rendition "${name}" has invalid scale "${scale}"`);
+    }
+    return {
+      name: factor === 1 ? name : `${name}@${factor}x`,
+      width: parseDimension(width * factor, 'width', name),
+      height: parseDimension(height * factor, 'height', name),
+      ...overrides,
+    };
+  });
+}
+
+// Multipart bodies carry renditions as a JSON string, JSON bodies as an array
+function parseRenditionList(value) {
+  if (Array.isArray(value)) {
+    return value;
+  }
+  try {
+    const parsed = JSON.parse(value);
+    if (Array.isArray(parsed)) {
+      return parsed;
+    }
+  } catch (error) {
+    // fall through to the error below
+  }
+  throw invalid('renditions must be a JSON array');
+}
+
+// Resolve the renditions requested by a /thumbnail body, or the rendition
+// specs of a responsive set given as `variants`. Falls back to a single `default` rendition
+// built from width/height, or `defaultSize`. Request-level fit and format
+// options apply to every rendition unless the rendition overrides them.
+function resolveRenditions(body = {}, { defaultSize = DEFAULT_SIZE, variants = null } = {}) {
+  const defaults = {
+    ...DEFAULT_FIT,
+    format: 'auto',
+    ...parseFitOptions(body),
+    ...parseFormatOptions(body),
+  };
+  let specs;
+
+  if (variants) {
+    specs = variants;
+  } else if (body.renditions) {
+    specs = parseRenditionList(body.renditions);
+  } else if (body.preset) {
+    if (!Object.prototype.hasOwnProperty.call(PRESETS, body.preset)) {
+      throw invalid(
+        `Unknown preset "${body.preset}". Available presets: ${Object.keys(PRESETS).join(', ')}`
+      );
+    }
+    specs = PRESETS[body.preset];
+  } else {
+    specs = [{
+      name: 'default',
+      width: body.width || defaultSize.width,
+      height: body.height || defaultSize.height,
+    }];
+  }
+
+  if (specs.length === 0) {
+    throw invalid('At least one rendition is required');
+  }
+
+  const renditions = specs
+    .flatMap(expandRendition)
+    .map(rendition => ({ ...defaults, ...rendition }));
+  if (renditions.length > MAX_RENDITIONS) {
+    throw invalid(`Too many renditions: at most ${MAX_RENDITIONS} are allowed per request`);
+  }
+
+  const names = new Set();
+  renditions.forEach(rendition => {
+    if (names.has(rendition.name)) {
+      throw invalid(`Duplicate rendition name "${rendition.name}"`);
+    }
+    names.add(rendition.name);
+  });
+
+  return renditions;
+}
+
+module.exports = {
+  DEFAULT_SIZE,
+  MAX_RENDITIONS,
+  PRESETS,
+  resolveRenditions,
+};
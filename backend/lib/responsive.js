@@ -0,0 +1,167 @@
+// responsive.js
+// Responsive image sets: every combination of a list of widths and formats,
+// returned with ready-to-paste `srcset`, `sizes` and `<picture>` markup. A
+// request asks for one with the `responsive` field:
+//
+//   widths    target widths in pixels, e.g. [320, 640, 1280]
+//   formats   output formats (default ["webp", "jpeg"]); AVIF and WebP become
+//             <source> elements and JPEG or PNG the <img> fallback
+//   sizes     the `sizes` attribute; suggested from the widths when absent
+//   alt       alt text for the <img>
+//
+// Variants keep the source's aspect ratio and are never enlarged, so widths
+// larger than the source collapse into one srcset entry.
+const { HttpError } = require('./errors');
+const { FORMATS } = require('./format');
+const { MAX_RENDITIONS } = require('./renditions');
+
+const MAX_WIDTH = 4096;
+const MAX_WIDTHS = 10;
+const MAX_TEXT_LENGTH = 500;
+const RESPONSIVE_FORMATS = ['avif', 'webp', 'jpeg', 'png'];
+const DEFAULT_FORMATS = ['webp', 'jpeg'];
+// Formats every browser can show, in order of preference for the <img>
+const FALLBACK_FORMATS = ['jpeg', 'png'];
+
+function invalid(message) {
+  return new HttpError(400, 'INVALID_RESPONSIVE', message);
+}
+
+function parseText(value, field) {
+  const text = String(value);
+  if (text.length > MAX_TEXT_LENGTH || /[\0\r\n]/.test(text)) {
+    throw invalid(`${field} must be a single line of at most ${MAX_TEXT_LENGTH} characters`);
+  }
+  return text;
+}
+
+// Read the `responsive` field of a request body; multipart bodies carry it as
+// a JSON string. Returns null when the request does not ask for a set.
+function parseResponsiveOptions(body = {}) {
+  if (body.responsive === undefined || body.responsive === '') {
+    return null;
+  }
+  let spec = body.responsive;
+  if (typeof spec === 'string') {
+    try {
+      spec = JSON.parse(spec);
+    } catch (error) {
+      spec = null;
+    }
+  }
+  if (!spec || typeof spec !== 'object' || Array.isArray(spec)) {
+    throw invalid('responsive must be a JSON object');
+  }
+  if (body.renditions || body.preset) {
+    throw invalid('responsive cannot be combined with renditions or a preset');
+  }
+
+  if (!Array.isArray(spec.widths) || spec.widths.length === 0 || spec.widths.length > MAX_WIDTHS) {
+    throw invalid(`widths must be a list of 1 to ${MAX_WIDTHS} widths`);
+  }
+  const widths = spec.widths.map(value => {
+    const width = Number(value);
+    if (!Number.isInteger(width) || width < 1 || width > MAX_WIDTH) {
+      throw invalid(`Invalid width "${value}": expected an integer between 1 and ${MAX_WIDTH}`);
+    }
+    return width;
+  });
+
+  const formatList = spec.formats === undefined ? DEFAULT_FORMATS : spec.formats;
+  if (!Array.isArray(formatList) || formatList.length === 0) {
+    throw invalid('formats must be a non-empty list');
+  }
+  const formats = formatList.map(value => {
+    const format = String(value).toLowerCase() === 'jpg' ? 'jpeg' : String(value).toLowerCase();
+    if (!RESPONSIVE_FORMATS.includes(format)) {
+      throw invalid(`Unknown format "${value}". Expected one of: ${RESPONSIVE_FORMATS.join(', ')}`);
+    }
+    return format;
+  });
+
+  // Every width is rendered in every format
+  const uniqueWidths = [...new Set(widths)].sort((a, b) => a - b);
+  const uniqueFormats = [...new Set(formats)];
+  if (uniqueWidths.length * uniqueFormats.length > MAX_RENDITIONS) {
+    throw invalid(
+      `${uniqueWidths.length} widths in ${uniqueFormats.length} formats make `
+      + `${uniqueWidths.length * uniqueFormats.length} renditions; at most ${MAX_RENDITIONS} are allowed per request`
+    );
+  }
+
+  return {
+    widths: uniqueWidths,
+    formats: uniqueFormats,
+    sizes: spec.sizes === undefined || spec.sizes === '' ? null : parseText(spec.sizes, 'sizes'),
+    alt: spec.alt === undefined ? '' : parseText(spec.alt, 'alt'),
+  };
+}
+
+// Rendition specs for a responsive set, named like `w640-webp`. The height
+// is left unbounded so only the width constrains each variant.
+function responsiveRenditions({ widths, formats }) {
+  return formats.flatMap(format => widths.map(width => ({
+    name: `w${width}-${format}`,
+    width,
+    height: MAX_WIDTH,
+    fit: 'inside',
+    format,
+  })));
+}
+
+function escapeAttribute(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/"/g, '&quot;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+// "url 320w, url 640w" for the renditions of one format, one entry per
+// distinct width
+function srcsetOf(renditions) {
+  const seen = new Set();
+  return renditions
+    .slice()
+    .sort((a, b) => a.width - b.width)
+    .filter(rendition => !seen.has(rendition.width) && seen.add(rendition.width))
+    .map(rendition => `${rendition.url} ${rendition.width}w`)
+    .join(', ');
+}
+
+// srcset, sizes and <picture> markup for the stored renditions of a
+// responsive set. `renditions` carry their `url`.
+function buildResponsiveMarkup({ formats, sizes, alt }, renditions) {
+  const byFormat = format => renditions.filter(rendition => rendition.format === format);
+  const fallbackFormat = FALLBACK_FORMATS.find(format => formats.includes(format)) || formats[formats.length - 1];
+  const sourceFormats = RESPONSIVE_FORMATS.filter(format => formats.includes(format) && format !== fallbackFormat);
+
+  const fallback = byFormat(fallbackFormat);
+  const largest = fallback.reduce((best, rendition) => (rendition.width > best.width ? rendition : best));
+  // Full viewport width on small screens, the largest variant beyond that
+  const sizesValue = sizes || `(max-width: ${largest.width}px) 100vw, ${largest.width}px`;
+
+  const sources = sourceFormats.map(format => ({
+    type: FORMATS[format].mimeType,
+    srcset: srcsetOf(byFormat(format)),
+  }));
+  const srcset = srcsetOf(fallback);
+
+  const picture = [
+    '<picture>',
+    ...sources.map(source => (
+      `  <source type="${source.type}" srcset="${escapeAttribute(source.srcset)}" sizes="${escapeAttribute(sizesValue)}">`
+    )),
+    `  <img src="${escapeAttribute(largest.url)}" srcset="${escapeAttribute(srcset)}" sizes="${escapeAttribute(sizesValue)}"`
+      + ` width="${largest.width}" height="${largest.height}" alt="${escapeAttribute(alt)}" loading="lazy" decoding="async">`,
+    '</picture>',
+  ].join('\n');
+
+  return { srcset, sizes: sizesValue, sources, picture };
+}
+
+module.exports = {
+  buildResponsiveMarkup,
+  parseResponsiveOptions,
+  responsiveRenditions,
+};
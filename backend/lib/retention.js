@@ -0,0 +1,163 @@
+// retention.js
+// Background sweeper for temporary files and stored renditions.
+//
+//   directories  [{ name, path, maxAgeMs }]            plain folders such as uploads/;
+//                                                       files older than maxAgeMs go
+//   stores       [{ name, storage, maxAgeMs, maxBytes }] storage drivers; objects older
+//                                                       than maxAgeMs go, then the
+//                                                       oldest until under maxBytes
+//
+// A missing or zero maxAgeMs / maxBytes means no limit. Sweeps never overlap.
+const fs = require('fs');
+const path = require('path');
+const { createLogger } = require('./logger');
+
+// Files of a directory with their size and age, skipping dotfiles and folders
+async function listDirectory(dir) {
+  let names;
+  try {
+    names = await fs.promises.readdir(dir);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+
+  const files = await Promise.all(names.filter(name => !name.startsWith('.')).map(async name => {
+    const filePath = path.join(dir, name);
+    try {
+      const stats = await fs.promises.stat(filePath);
+      return stats.isFile() ? { path: filePath, bytes: stats.size, modifiedAt: stats.mtimeMs } : null;
+    } catch (error) {
+      // Removed while we were looking
+      return null;
+    }
+  }));
+  return files.filter(Boolean);
+}
+
+function summarize(entries, limits) {
+  const times = entries.map(entry => entry.modifiedAt);
+  return {
+    files: entries.length,
+    bytes: entries.reduce((sum, entry) => sum + entry.bytes, 0),
+    oldest: times.length > 0 ? new Date(Math.min(...times)).toISOString() : null,
+    newest: times.length > 0 ? new Date(Math.max(...times)).toISOString() : null,
+    maxAgeMs: limits.maxAgeMs || null,
+    maxBytes: limits.maxBytes || null,
+  };
+}
+
+async function storeEntries(storage) {
+  const records = await storage.list();
+  return records.map(record => ({
+    id: record.id,
+    bytes: record.bytes,
+    modifiedAt: Date.parse(record.createdAt),
+  }));
+}
+
+function createSweeper({ directories = [], stores = [], intervalMs = 10 * 60 * 1000, logger = createLogger() } = {}) {
+  let timer = null;
+  let running = null;
+
+  async function sweepDirectory({ path: dir, maxAgeMs }, now) {
+    const removed = { files: 0, bytes: 0 };
+    if (!maxAgeMs) {
+      return removed;
+    }
+    for (const file of await listDirectory(dir)) {
+      if (now - file.modifiedAt > maxAgeMs) {
+        await fs.promises.unlink(file.path).then(() => {
+          removed.files += 1;
+          removed.bytes += file.bytes;
+        }, () => {});
+      }
+    }
+    return removed;
+  }
+
+  async function sweepStore({ storage, maxAgeMs, maxBytes }, now) {
+    const removed = { files: 0, bytes: 0 };
+    const remove = async entry => {
+      if (await storage.delete(entry.id)) {
+        removed.files += 1;
+        removed.bytes += entry.bytes;
+      }
+    };
+
+    // Oldest first, so the quota pass drops the least recent objects
+    const entries = (await storeEntries(storage)).sort((a, b) => a.modifiedAt - b.modifiedAt);
+    const kept = [];
+    for (const entry of entries) {
+      if (maxAgeMs && now - entry.modifiedAt > maxAgeMs) {
+        await remove(entry);
+      } else {
+        kept.push(entry);
+      }
+    }
+
+    let total = kept.reduce((sum, entry) => sum + entry.bytes, 0);
+    for (const entry of kept) {
+      if (!maxBytes || total <= maxBytes) {
+        break;
+      }
+      await remove(entry);
+      total -= entry.bytes;
+    }
+    return removed;
+  }
+
+  // Run one sweep now. Resolves with what was removed per directory and store.
+  function sweep() {
+    if (!running) {
+      running = (async () => {
+        const now = Date.now();
+        const startedAt = new Date(now).toISOString();
+        const removed = {};
+        for (const directory of directories) {
+          removed[directory.name] = await sweepDirectory(directory, now);
+        }
+        for (const store of stores) {
+          removed[store.name] = await sweepStore(store, now);
+        }
+        return { startedAt, durationMs: Date.now() - now, removed };
+      })().finally(() => {
+        running = null;
+      });
+    }
+    return running;
+  }
+
+  // Current file counts, sizes and limits per directory and store
+  async function usage() {
+    const result = {};
+    for (const directory of directories) {
+      result[directory.name] = summarize(await listDirectory(directory.path), directory);
+    }
+    for (const store of stores) {
+      result[store.name] = summarize(await storeEntries(store.storage), store);
+    }
+    return result;
+  }
+
+  // Sweep every `intervalMs` without keeping the process alive
+  function start() {
+    if (!timer && intervalMs > 0) {
+      timer = setInterval(() => {
+        sweep().catch(error => logger.error('storage sweep failed', { error }));
+      }, intervalMs);
+      timer.unref();
+    }
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  return { sweep, usage, start, stop };
+}
+
+module.exports = { createSweeper };
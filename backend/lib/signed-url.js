@@ -0,0 +1,104 @@
+// signed-url.js
+// Transform URLs of the form /img/<signature>/<params>/<source-id>, e.g.
+//
+//   /img/Xb3.../w_320,h_180,fit_cover,f_webp/4f1c....jpg
+//
+// `params` is a comma separated list of `key_value` pairs (see PARAMS). The
+// signature is an HMAC-SHA256 of `<params>/<source-id>` with a server-side
+// secret, so only URLs the server handed out can be rendered. The server
+// only signs parameter lists from its configured allowlist, in their
+// canonical form (keys in PARAMS order).
+const crypto = require('crypto');
+const { HttpError } = require('./errors');
+
+// URL keys mapped to rendition spec fields
+const PARAMS = {
+  w: 'width',
+  h: 'height',
+  fit: 'fit',
+  g: 'gravity',
+  bg: 'background',
+  fp: 'focalPoint',
+  f: 'format',
+  q: 'quality',
+};
+
+const PARAM_PATTERN = /^([a-z]+)_([A-Za-z0-9.-]{1,32})$/;
+
+function invalid(message) {
+  return new HttpError(400, 'INVALID_TRANSFORM', message);
+}
+
+// "w_320,h_180,fit_cover" -> { width: '320', height: '180', fit: 'cover' }.
+// Values are validated later as rendition options. Focal points are written
+// as `fp_0.3x0.6` since commas separate parameters, and hex colours without
+// their `#` (`bg_ff8800`).
+function parseTransformParams(text) {
+  const spec = {};
+  String(text).split(',').forEach(part => {
+    const match = part.match(PARAM_PATTERN);
+    if (!match || !PARAMS[match[1]]) {
+      throw invalid(`Invalid transform parameter "${part}". Known keys: ${Object.keys(PARAMS).join(', ')}`);
+    }
+    const field = PARAMS[match[1]];
+    if (spec[field] !== undefined) {
+      throw invalid(`Transform parameter "${match[1]}" is given twice`);
+    }
+    let value = match[2];
+    if (field === 'focalPoint') {
+      value = value.replace('x', ',');
+    } else if (field === 'background' && /^([0-9a-f]{3}|[0-9a-f]{6}|[0-9a-f]{8})$/i.test(value)) {
+      value = `#${value}`;
+    }
+    spec[field] = value;
+  });
+  return spec;
+}
+
+// { w: 320, h: 180 } or "w_320,h_180" -> "w_320,h_180"
+function formatTransformParams(params) {
+  if (typeof params === 'string') {
+    return params;
+  }
+  return Object.entries(params).map(([key, value]) => `${key}_${value}`).join(',');
+}
+
+// "h_180,w_320" -> "w_320,h_180": one spelling per transform, for the
+// allowlist and for signing
+function canonicalTransformParams(text) {
+  // Rejects unknown and repeated keys, so every part has a known key
+  parseTransformParams(text);
+  const keys = Object.keys(PARAMS);
+  const rank = part => keys.indexOf(part.slice(0, part.indexOf('_')));
+  return String(text).split(',').sort((a, b) => rank(a) - rank(b)).join(',');
+}
+
+function sign(params, sourceId, secret) {
+  return crypto
+    .createHmac('sha256', secret)
+    .update(`${params}/${sourceId}`)
+    .digest('base64url');
+}
+
+// Constant-time check of a URL signature
+function verifySignature(signature, params, sourceId, secret) {
+  const expected = Buffer.from(sign(params, sourceId, secret));
+  const actual = Buffer.from(String(signature));
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+// Signed path for a source and its transform parameters
+function signedPath(params, sourceId, secret) {
+  const text = formatTransformParams(params);
+  // Reject bad parameters now rather than when the URL is requested
+  parseTransformParams(text);
+  return `/img/${sign(text, sourceId, secret)}/${text}/${sourceId}`;
+}
+
+module.exports = {
+  PARAMS,
+  canonicalTransformParams,
+  parseTransformParams,
+  signedPath,
+  verifySignature,
+};
@@ -0,0 +1,258 @@
+// similarity.js
+// Duplicate detection for processed images. Every source gets a fingerprint:
+// the SHA-256 of its bytes, which finds exact copies, and a 64-bit difference
+// hash (dHash) of its pixels, which also finds copies that were re-encoded,
+// resized or slightly edited. Fingerprints are kept in an index that is
+// appended to a JSON Lines file, so it survives restarts.
+//
+// Near duplicates are looked up by multi-index hashing: the 64 bits are split
+// into four 16-bit bands, each with a map from band value to ids. Two hashes
+// at most `maxDistance` bits apart differ in at most maxDistance / 4 bits of
+// at least one band, so only the ids in the buckets within that distance of
+// each band are compared, not the whole index.
+const fs = require('fs');
+const path = require('path');
+const { HttpError } = require('./errors');
+const { createLogger } = require('./logger');
+
+// dHash compares each pixel of a 9x8 greyscale grid with its right neighbour
+const HASH_WIDTH = 9;
+const HASH_HEIGHT = 8;
+const HASH_BITS = (HASH_WIDTH - 1) * HASH_HEIGHT;
+const HASH_PATTERN = /^[0-9a-f]{16}$/;
+const BANDS = 4;
+const BAND_BITS = HASH_BITS / BANDS;
+
+// 64-bit dHash of the source at `imagePath` as 16 hex digits. The source is
+// turned upright first so rotated copies hash alike.
+async function perceptualHash(magick, imagePath, { signal } = {}) {
+  const { stdout: pixels } = await magick.convert([
+    `${imagePath}[0]`,
+    '-auto-orient',
+    '-background', 'white', '-alpha', 'remove',
+    '-grayscale', 'Rec709Luminance',
+    '-resize', `${HASH_WIDTH}x${HASH_HEIGHT}!`,
+    '-depth', '8',
+    'gray:-',
+  ], { signal, encoding: 'buffer' });
+  if (pixels.length !== HASH_WIDTH * HASH_HEIGHT) {
+    throw new HttpError(500, 'FINGERPRINT_FAILED', 'Could not read the source pixels');
+  }
+
+  let hash = 0n;
+  for (let y = 0; y < HASH_HEIGHT; y += 1) {
+    for (let x = 0; x < HASH_WIDTH - 1; x += 1) {
+      const offset = y * HASH_WIDTH + x;
+      hash = (hash << 1n) | (pixels[offset] < pixels[offset + 1] ? 1n : 0n);
+    }
+  }
+  return hash.toString(16).padStart(HASH_BITS / 4, '0');
+}
+
+// Set bits of a 32-bit integer
+function bitCount(value) {
+  let v = value - ((value >>> 1) & 0x55555555);
+  v = (v & 0x33333333) + ((v >>> 2) & 0x33333333);
+  return Math.imul((v + (v >>> 4)) & 0x0f0f0f0f, 0x01010101) >>> 24;
+}
+
+// Number of differing bits between two hex hashes, compared as two 32-bit
+// halves
+function hammingDistance(a, b) {
+  return bitCount(parseInt(a.slice(0, 8), 16) ^ parseInt(b.slice(0, 8), 16))
+    + bitCount(parseInt(a.slice(8), 16) ^ parseInt(b.slice(8), 16));
+}
+
+// The 16-bit band values of a hex hash
+function bandsOf(dhash) {
+  const width = BAND_BITS / 4;
+  return Array.from({ length: BANDS }, (_, band) => parseInt(dhash.slice(band * width, (band + 1) * width), 16));
+}
+
+// Every BAND_BITS-bit mask with at most `bits` bits set
+function masksWithin(bits) {
+  const masks = [];
+  for (let mask = 0; mask < 2 ** BAND_BITS; mask += 1) {
+    if (bitCount(mask) <= bits) {
+      masks.push(mask);
+    }
+  }
+  return masks;
+}
+
+// 1 for identical hashes down to 0 for hashes that differ in every bit
+function similarityScore(distance) {
+  return Number((1 - distance / HASH_BITS).toFixed(3));
+}
+
+function isEntry(value) {
+  return Boolean(value) && typeof value.id === 'string' && typeof value.sha256 === 'string'
+    && typeof value.dhash === 'string' && HASH_PATTERN.test(value.dhash);
+}
+
+// Index of fingerprinted images, keyed on the id of the result they belong
+// to. Entries are { id, sha256, dhash, createdAt }. Near duplicates are at
+// most `maxDistance` bits apart; past `maxEntries` the oldest entries go.
+// The file is compacted when the index is created.
+function createSimilarityIndex({ file, maxEntries = 100000, maxDistance = 10, logger = createLogger() }) {
+  const entries = new Map();
+  // Per band: band value -> ids of the entries with that value
+  const bands = Array.from({ length: BANDS }, () => new Map());
+  // Bucket offsets to visit in each band for a near-duplicate lookup
+  const bandMasks = masksWithin(Math.floor(maxDistance / BANDS));
+  let writes = Promise.resolve();
+
+  function index(entry) {
+    bandsOf(entry.dhash).forEach((value, band) => {
+      const ids = bands[band].get(value) || new Set();
+      ids.add(entry.id);
+      bands[band].set(value, ids);
+    });
+  }
+
+  function forget(id) {
+    const entry = entries.get(id);
+    if (!entry) {
+      return false;
+    }
+    entries.delete(id);
+    bandsOf(entry.dhash).forEach((value, band) => {
+      const ids = bands[band].get(value);
+      ids.delete(id);
+      if (ids.size === 0) {
+        bands[band].delete(value);
+      }
+    });
+    return true;
+  }
+
+  // Drop the oldest entries past `maxEntries`, also from the file, so they do
+  // not come back on the next load
+  function trim() {
+    while (entries.size > maxEntries) {
+      const id = entries.keys().next().value;
+      forget(id);
+      append({ id, removed: true });
+    }
+  }
+
+  // Lines are entries or { id, removed: true }; later lines win
+  function load() {
+    let text;
+    try {
+      text = fs.readFileSync(file, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return;
+      }
+      throw error;
+    }
+    text.split('\n').filter(Boolean).forEach(line => {
+      let value;
+      try {
+        value = JSON.parse(line);
+      } catch (error) {
+        return;
+      }
+      if (value && value.removed) {
+        entries.delete(value.id);
+      } else if (isEntry(value)) {
+        entries.delete(value.id);
+        entries.set(value.id, value);
+      }
+    });
+    while (entries.size > maxEntries) {
+      entries.delete(entries.keys().next().value);
+    }
+    entries.forEach(index);
+  }
+
+  function append(value) {
+    const line = `${JSON.stringify(value)}\n`;
+    // Appends are chained so lines never interleave
+    writes = writes
+      .then(() => fs.promises.appendFile(file, line))
+      .catch(error => logger.error('could not write similarity index', { file, error }));
+  }
+
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  load();
+  fs.writeFileSync(file, [...entries.values()].map(entry => `${JSON.stringify(entry)}\n`).join(''));
+
+  function compare(fingerprint, entry) {
+    const distance = hammingDistance(fingerprint.dhash, entry.dhash);
+    const exact = fingerprint.sha256 === entry.sha256;
+    return {
+      id: entry.id,
+      match: exact ? 'exact' : (distance <= maxDistance ? 'near' : null),
+      similarity: exact ? 1 : similarityScore(distance),
+      distance: exact ? 0 : distance,
+      createdAt: entry.createdAt,
+    };
+  }
+
+  // Matches sorted from most to least similar, exact copies first
+  function rank(candidates, fingerprint, { exclude = null } = {}) {
+    return candidates
+      .filter(entry => entry.id !== exclude)
+      .map(entry => compare(fingerprint, entry))
+      .sort((a, b) => a.distance - b.distance || (b.match === 'exact') - (a.match === 'exact'));
+  }
+
+  // Entries in the band buckets that can hold a near duplicate of `dhash`.
+  // Exact copies have the same dhash, so they are among them.
+  function nearCandidates(dhash) {
+    const ids = new Set();
+    bandsOf(dhash).forEach((value, band) => {
+      bandMasks.forEach(mask => {
+        const bucket = bands[band].get(value ^ mask);
+        if (bucket) {
+          bucket.forEach(id => ids.add(id));
+        }
+      });
+    });
+    return [...ids].map(id => entries.get(id));
+  }
+
+  return {
+    maxDistance,
+
+    get(id) {
+      return entries.get(id) || null;
+    },
+
+    add(id, { sha256, dhash }) {
+      const entry = { id, sha256, dhash, createdAt: new Date().toISOString() };
+      forget(id);
+      entries.set(id, entry);
+      index(entry);
+      trim();
+      append(entry);
+      return entry;
+    },
+
+    remove(id) {
+      if (!forget(id)) {
+        return false;
+      }
+      append({ id, removed: true });
+      return true;
+    },
+
+    // Exact and near duplicates of a fingerprint
+    duplicates(fingerprint, options) {
+      return rank(nearCandidates(fingerprint.dhash), fingerprint, options).filter(match => match.match !== null);
+    },
+
+    // The `limit` closest images to a fingerprint, duplicates or not. This
+    // compares every entry, so it serves /similar rather than each upload.
+    closest(fingerprint, { limit = 10, ...options } = {}) {
+      return rank([...entries.values()], fingerprint, options).slice(0, limit);
+    },
+  };
+}
+
+module.exports = {
+  createSimilarityIndex,
+  perceptualHash,
+};
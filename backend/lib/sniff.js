@@ -0,0 +1,63 @@
+// sniff.js
+// Detect image, document, video and archive types from their leading bytes
+// rather than file names.
+const fs = require('fs');
+
+// Bytes needed to recognise every signature below
+const SNIFF_BYTES = 64;
+
+const startsWith = (buffer, bytes, offset = 0) =>
+  bytes.every((byte, index) => buffer[offset + index] === byte);
+
+const ascii = (buffer, start, end) => buffer.toString('latin1', start, end);
+
+const isMatroska = b => startsWith(b, [0x1a, 0x45, 0xdf, 0xa3]);
+
+// Checked in order; the first match wins. Videos are marked `video: true`:
+// they are not read by ImageMagick but turned into a poster frame first.
+// Archives (`archive: true`) are only accepted by /batch.
+const SIGNATURES = [
+  { format: 'jpeg', mimeType: 'image/jpeg', extension: 'jpg', test: b => startsWith(b, [0xff, 0xd8, 0xff]) },
+  { format: 'png', mimeType: 'image/png', extension: 'png', test: b => startsWith(b, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]) },
+  { format: 'gif', mimeType: 'image/gif', extension: 'gif', test: b => /^GIF8[79]a$/.test(ascii(b, 0, 6)) },
+  { format: 'webp', mimeType: 'image/webp', extension: 'webp', test: b => ascii(b, 0, 4) === 'RIFF' && ascii(b, 8, 12) === 'WEBP' },
+  { format: 'avif', mimeType: 'image/avif', extension: 'avif', test: b => ascii(b, 4, 8) === 'ftyp' && /^avi[fs]$/.test(ascii(b, 8, 12)) },
+  { format: 'heic', mimeType: 'image/heic', extension: 'heic', test: b => ascii(b, 4, 8) === 'ftyp' && /^(heic|heix|hevc|mif1|msf1)$/.test(ascii(b, 8, 12)) },
+  { format: 'bmp', mimeType: 'image/bmp', extension: 'bmp', test: b => ascii(b, 0, 2) === 'BM' },
+  { format: 'tiff', mimeType: 'image/tiff', extension: 'tiff', test: b => startsWith(b, [0x49, 0x49, 0x2a, 0x00]) || startsWith(b, [0x4d, 0x4d, 0x00, 0x2a]) },
+  { format: 'pdf', mimeType: 'application/pdf', extension: 'pdf', test: b => ascii(b, 0, 5) === '%PDF-' },
+  { format: 'mp4', mimeType: 'video/mp4', extension: 'mp4', video: true, test: b => ascii(b, 4, 8) === 'ftyp' && /^(isom|iso[2-6]|mp4[12]|avc1|M4V |dash|3gp[4-6])$/.test(ascii(b, 8, 12)) },
+  { format: 'mov', mimeType: 'video/quicktime', extension: 'mov', video: true, test: b => ascii(b, 4, 8) === 'ftyp' && ascii(b, 8, 12) === 'qt  ' },
+  { format: 'webm', mimeType: 'video/webm', extension: 'webm', video: true, test: b => isMatroska(b) && ascii(b, 0, SNIFF_BYTES).includes('webm') },
+  { format: 'mkv', mimeType: 'video/x-matroska', extension: 'mkv', video: true, test: isMatroska },
+  { format: 'avi', mimeType: 'video/x-msvideo', extension: 'avi', video: true, test: b => ascii(b, 0, 4) === 'RIFF' && ascii(b, 8, 12) === 'AVI ' },
+  { format: 'zip', mimeType: 'application/zip', extension: 'zip', archive: true, test: b => startsWith(b, [0x50, 0x4b, 0x03, 0x04]) || startsWith(b, [0x50, 0x4b, 0x05, 0x06]) },
+];
+
+// Type of a buffer holding the start of a file, or null if unrecognised
+function sniffBuffer(buffer) {
+  const match = SIGNATURES.find(signature => signature.test(buffer));
+  if (!match) {
+    return null;
+  }
+  const { test, ...type } = match;
+  return type;
+}
+
+// Type of a file on disk, or null if unrecognised
+async function sniffFile(filePath) {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(SNIFF_BYTES);
+    const { bytesRead } = await handle.read(buffer, 0, SNIFF_BYTES, 0);
+    return sniffBuffer(buffer.subarray(0, bytesRead));
+  } finally {
+    await handle.close();
+  }
+}
+
+module.exports = {
+  SIGNATURES,
+  sniffBuffer,
+  sniffFile,
+};
@@ -0,0 +1,125 @@
+// storage.js
+// Storage layer for generated renditions.
+//
+// A storage driver is an object with these async methods:
+//   put(id, filePath, { contentType }) -> record   (moves the file into storage)
+//   stat(id)                           -> record or null
+//   createReadStream(id)               -> readable stream of the stored bytes
+//   delete(id)                         -> true if something was removed
+//   list()                             -> array of records
+//
+// A record is { id, contentType, bytes, etag, createdAt }. Drivers are picked
+// by name in createStorage so other backends (e.g. an S3-compatible store)
+// can be added next to the local disk one.
+const fs = require('fs');
+const path = require('path');
+const { hashFile } = require('./hash');
+
+const ID_PATTERN = /^[A-Za-z0-9_-]{1,128}(\.[A-Za-z0-9]{1,8})?$/;
+
+function isValidId(id) {
+  return typeof id === 'string' && ID_PATTERN.test(id);
+}
+
+// Move a file, falling back to copy + unlink across devices
+async function moveFile(from, to) {
+  try {
+    await fs.promises.rename(from, to);
+  } catch (error) {
+    if (error.code !== 'EXDEV') {
+      throw error;
+    }
+    await fs.promises.copyFile(from, to);
+    await fs.promises.unlink(from);
+  }
+}
+
+// Local disk driver: each object is stored as `<id>` with a `<id>.json`
+// sidecar holding its record.
+function createLocalStorage({ root }) {
+  fs.mkdirSync(root, { recursive: true });
+
+  const objectPath = id => {
+    if (!isValidId(id)) {
+      throw new Error(`Invalid storage id "${id}"`);
+    }
+    return path.join(root, id);
+  };
+  const recordPath = id => `${objectPath(id)}.json`;
+
+  async function stat(id) {
+    if (!isValidId(id)) {
+      return null;
+    }
+    try {
+      return JSON.parse(await fs.promises.readFile(recordPath(id), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  return {
+    root,
+
+    async put(id, filePath, { contentType }) {
+      const stats = await fs.promises.stat(filePath);
+      const record = {
+        id,
+        contentType,
+        bytes: stats.size,
+        etag: `"${await hashFile(filePath)}"`,
+        createdAt: new Date().toISOString(),
+      };
+      await moveFile(filePath, objectPath(id));
+      await fs.promises.writeFile(recordPath(id), JSON.stringify(record));
+      return record;
+    },
+
+    stat,
+
+    createReadStream(id) {
+      return fs.createReadStream(objectPath(id));
+    },
+
+    async delete(id) {
+      if (!isValidId(id)) {
+        return false;
+      }
+      const results = await Promise.allSettled([
+        fs.promises.unlink(objectPath(id)),
+        fs.promises.unlink(recordPath(id)),
+      ]);
+      return results.some(result => result.status === 'fulfilled');
+    },
+
+    async list() {
+      const names = await fs.promises.readdir(root);
+      const records = await Promise.all(
+        names
+          .filter(name => name.endsWith('.json'))
+          .map(name => stat(name.slice(0, -'.json'.length)))
+      );
+      return records.filter(Boolean);
+    },
+  };
+}
+
+const DRIVERS = {
+  local: createLocalStorage,
+};
+
+function createStorage({ driver = 'local', ...options }) {
+  const factory = DRIVERS[driver];
+  if (!factory) {
+    throw new Error(`Unknown storage driver "${driver}"`);
+  }
+  return factory(options);
+}
+
+module.exports = {
+  createStorage,
+  isValidId,
+};
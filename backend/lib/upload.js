@@ -0,0 +1,106 @@
+// upload.js
+// Checks every source file before ImageMagick decodes it: size on disk, the
+// real type from its magic bytes against an allowlist, and pixel dimensions
+// read with `identify -ping`, which only parses headers. Decompression bombs
+// (tiny files that claim huge dimensions) are refused here.
+const fs = require('fs');
+const { HttpError } = require('./errors');
+const { SIGNATURES, sniffFile } = require('./sniff');
+
+// Every sniffable image, document and video type; archives are only accepted
+// where an endpoint asks for one
+const UPLOAD_FORMATS = SIGNATURES.filter(signature => !signature.archive).map(signature => signature.format);
+
+const DEFAULT_LIMITS = {
+  maxBytes: 25 * 1024 * 1024,
+  allowedFormats: UPLOAD_FORMATS,
+  maxWidth: 16384,
+  maxHeight: 16384,
+  maxMegapixels: 100,
+};
+
+// "jpeg, png,webp" -> ['jpeg', 'png', 'webp']; unknown names are an error
+function parseFormatList(value) {
+  const formats = String(value).split(',').map(name => name.trim().toLowerCase()).filter(Boolean);
+  const unknown = formats.filter(name => !UPLOAD_FORMATS.includes(name));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown upload formats: ${unknown.join(', ')}. Known formats: ${UPLOAD_FORMATS.join(', ')}`);
+  }
+  return formats;
+}
+
+// Client-facing errors for multer failures
+function uploadError(error, { maxBytes }) {
+  switch (error.code) {
+    case 'LIMIT_FILE_SIZE':
+      return new HttpError(413, 'UPLOAD_TOO_LARGE', `Uploads are limited to ${maxBytes} bytes`);
+    case 'LIMIT_FILE_COUNT':
+      return new HttpError(413, 'TOO_MANY_FILES', 'Too many files in one request');
+    case 'LIMIT_UNEXPECTED_FILE':
+      return new HttpError(400, 'UNEXPECTED_FILE', `Unexpected file field "${error.field}"`);
+    default:
+      return new HttpError(400, 'INVALID_UPLOAD', error.message);
+  }
+}
+
+// Create a validator with the given limits. `validate(filePath)` resolves
+// with the sniffed type or rejects with a 413/415 HttpError; callers remove
+// the file.
+function createSourceValidator({ magick, ...options }) {
+  const limits = { ...DEFAULT_LIMITS, ...options };
+
+  async function checkDimensions(filePath, { signal }) {
+    // One line per frame or page
+    const { stdout } = await magick.identify(['-ping', '-format', '%w %h\n', filePath], { signal });
+    stdout.trim().split('\n').forEach(line => {
+      const [width, height] = line.trim().split(' ').map(Number);
+      if (width > limits.maxWidth || height > limits.maxHeight) {
+        throw new HttpError(
+          413,
+          'IMAGE_DIMENSIONS_TOO_LARGE',
+          `Image is ${width}x${height}; at most ${limits.maxWidth}x${limits.maxHeight} is allowed`
+        );
+      }
+      const megapixels = (width * height) / 1000000;
+      if (megapixels > limits.maxMegapixels) {
+        throw new HttpError(
+          413,
+          'IMAGE_TOO_MANY_PIXELS',
+          `Image has ${megapixels.toFixed(2)} megapixels; at most ${limits.maxMegapixels} are allowed`
+        );
+      }
+    });
+  }
+
+  async function validate(filePath, { signal } = {}) {
+    const { size } = await fs.promises.stat(filePath);
+    if (size > limits.maxBytes) {
+      throw new HttpError(413, 'UPLOAD_TOO_LARGE', `Uploads are limited to ${limits.maxBytes} bytes`);
+    }
+
+    const type = await sniffFile(filePath);
+    if (!type || !limits.allowedFormats.includes(type.format)) {
+      throw new HttpError(
+        415,
+        'UNSUPPORTED_MEDIA_TYPE',
+        `Unsupported file type${type ? ` "${type.format}"` : ''}. Accepted: ${limits.allowedFormats.join(', ')}`
+      );
+    }
+
+    // Videos are checked again as the poster frame ffmpeg produces
+    if (!type.video) {
+      await checkDimensions(filePath, { signal });
+    }
+    return type;
+  }
+
+  return { limits, validate };
+}
+
+module.exports = {
+  DEFAULT_LIMITS,
+  UPLOAD_FORMATS,
+  createSourceValidator,
+  parseFormatList,
+  uploadError,
+};
@@ -0,0 +1,216 @@
+// webhooks.js
+// Callbacks for finished jobs. Each delivery is a JSON POST signed with
+// HMAC-SHA256 so the receiver can check it came from us:
+//
+//   X-Webhook-Signature: t=<unix seconds>,v1=<hex HMAC of "<t>.<raw body>">
+//
+// Receivers should recompute the HMAC over the raw body and reject old
+// timestamps. Failed deliveries are retried with exponential backoff; after
+// the last attempt the delivery is appended to a dead-letter file (JSON
+// Lines) where it can be inspected.
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+const axios = require('axios');
+const { v4: uuidv4 } = require('uuid');
+const { HttpError } = require('./errors');
+const { guardedLookup, isBlockedAddress } = require('./download');
+const { createLogger } = require('./logger');
+
+const DEFAULT_OPTIONS = {
+  maxAttempts: 6,
+  initialDelayMs: 1000,
+  maxDelayMs: 5 * 60 * 1000,
+  timeoutMs: 10000,
+  // Allow callbacks to loopback and private networks, e.g. for local testing
+  allowPrivateAddresses: false,
+};
+
+const MAX_URL_LENGTH = 2048;
+const USER_AGENT = 'thumbnail-generator-webhooks/1.0';
+
+// Statuses worth retrying; other 4xx responses mean the receiver will never
+// accept the payload
+const RETRY_STATUSES = [408, 425, 429];
+
+// Signature header value for a raw body sent at `timestamp` (unix seconds)
+function signPayload(secret, body, timestamp) {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${digest}`;
+}
+
+// Validate the callbackUrl of a request. Returns null when there is none.
+// Hostnames are checked again when a delivery resolves them.
+function parseCallbackUrl(value, { allowPrivateAddresses = false } = {}) {
+  if (value === undefined || value === '') {
+    return null;
+  }
+  let url;
+  try {
+    url = new URL(String(value));
+  } catch (error) {
+    throw new HttpError(400, 'INVALID_CALLBACK_URL', 'callbackUrl is not a valid URL');
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    throw new HttpError(400, 'INVALID_CALLBACK_URL', `Unsupported callbackUrl protocol ${url.protocol}`);
+  }
+  if (url.href.length > MAX_URL_LENGTH || url.username || url.password) {
+    throw new HttpError(400, 'INVALID_CALLBACK_URL', 'callbackUrl must be at most 2048 characters without credentials');
+  }
+  const host = url.hostname.replace(/^\[|\]$/g, '');
+  if (!allowPrivateAddresses && net.isIP(host) && isBlockedAddress(host)) {
+    throw new HttpError(403, 'BLOCKED_ADDRESS', `Refusing to call back non-public address ${host}`);
+  }
+  return url.href;
+}
+
+// Delay before retry number `attempt` (1 for the first retry), doubling each
+// time up to `maxDelayMs`, with up to 20% jitter so retries spread out
+function backoffDelay(attempt, { initialDelayMs, maxDelayMs }) {
+  const delay = Math.min(maxDelayMs, initialDelayMs * 2 ** (attempt - 1));
+  return Math.round(delay * (0.8 + Math.random() * 0.2));
+}
+
+// Create a webhook sender. `deliver(url, event, data)` queues a delivery and
+// returns its id; it never throws, since the outcome only shows up at the
+// receiver or in the dead-letter file.
+function createWebhookSender({ secret, deadLetterFile, logger = createLogger(), ...options }) {
+  const config = { ...DEFAULT_OPTIONS, ...options };
+  const timers = new Set();
+  let inFlight = 0;
+  let deadLettered = 0;
+  let writes = Promise.resolve();
+
+  const agents = config.allowPrivateAddresses ? {} : {
+    httpAgent: new http.Agent({ lookup: guardedLookup }),
+    httpsAgent: new https.Agent({ lookup: guardedLookup }),
+  };
+
+  fs.mkdirSync(path.dirname(deadLetterFile), { recursive: true });
+
+  function deadLetter(delivery, lastError) {
+    deadLettered += 1;
+    const line = `${JSON.stringify({ ...delivery, lastError, failedAt: new Date().toISOString() })}\n`;
+    // Appends are chained so lines never interleave
+    writes = writes
+      .then(() => fs.promises.appendFile(deadLetterFile, line))
+      .catch(error => logger.error('could not write webhook dead letter', { file: deadLetterFile, error }));
+    logger.warn('webhook delivery failed', {
+      deliveryId: delivery.id,
+      url: delivery.url,
+      event: delivery.event,
+      attempts: delivery.attempts,
+      lastError,
+    });
+  }
+
+  // One POST; resolves with null on success or the error to record
+  async function post(delivery) {
+    const body = JSON.stringify({ id: delivery.id, event: delivery.event, createdAt: delivery.createdAt, data: delivery.data });
+    const timestamp = Math.floor(Date.now() / 1000);
+    try {
+      await axios({
+        method: 'POST',
+        url: delivery.url,
+        data: body,
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': USER_AGENT,
+          'X-Webhook-Id': delivery.id,
+          'X-Webhook-Event': delivery.event,
+          'X-Webhook-Attempt': String(delivery.attempts),
+          'X-Webhook-Signature': signPayload(secret, body, timestamp),
+        },
+        timeout: config.timeoutMs,
+        maxRedirects: 0,
+        proxy: false,
+        // Only the status matters; do not buffer large response bodies
+        maxContentLength: 64 * 1024,
+        ...agents,
+      });
+      return null;
+    } catch (error) {
+      if (error.response) {
+        const { status } = error.response;
+        return {
+          status,
+          message: `Receiver responded with HTTP ${status}`,
+          retry: status >= 500 || RETRY_STATUSES.includes(status),
+        };
+      }
+      return { status: null, message: error.message, retry: true };
+    }
+  }
+
+  async function attempt(delivery) {
+    delivery.attempts += 1;
+    inFlight += 1;
+    const failure = await post(delivery);
+    inFlight -= 1;
+    if (!failure) {
+      return;
+    }
+    const { retry, ...lastError } = failure;
+    if (!retry || delivery.attempts >= config.maxAttempts) {
+      deadLetter(delivery, lastError);
+      return;
+    }
+    const timer = setTimeout(() => {
+      timers.delete(timer);
+      attempt(delivery);
+    }, backoffDelay(delivery.attempts, config));
+    timer.unref();
+    timers.add(timer);
+  }
+
+  function deliver(url, event, data) {
+    const delivery = { id: uuidv4(), url, event, data, attempts: 0, createdAt: new Date().toISOString() };
+    attempt(delivery);
+    return delivery.id;
+  }
+
+  // The newest `limit` dead letters, newest first
+  async function deadLetters({ limit = 50 } = {}) {
+    await writes;
+    let text;
+    try {
+      text = await fs.promises.readFile(deadLetterFile, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+    return text
+      .split('\n')
+      .filter(Boolean)
+      .slice(-limit)
+      .reverse()
+      .map(line => {
+        try {
+          return JSON.parse(line);
+        } catch (error) {
+          return null;
+        }
+      })
+      .filter(Boolean);
+  }
+
+  return {
+    deliver,
+    deadLetters,
+
+    stats() {
+      return { inFlight, retrying: timers.size, deadLettered };
+    },
+  };
+}
+
+module.exports = {
+  createWebhookSender,
+  parseCallbackUrl,
+  signPayload,
+};
@@ -0,0 +1,138 @@
+// auth.test.js
+// API keys, their rate limits and byte quotas, and jobs belonging to the key
+// that created them.
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { once } = require('events');
+const request = require('supertest');
+const { createTestApp } = require('./helpers');
+
+const OWNER = 'tk_owner_0123456789abcdef';
+const OTHER = 'tk_other_0123456789abcdef';
+
+function appWithKeys(t, keys) {
+  const { app, cleanup } = createTestApp({ apiKeys: keys, auth: { required: true } });
+  t.after(cleanup);
+  return app;
+}
+
+test('requests need a valid API key', async t => {
+  const app = appWithKeys(t, [{ key: OWNER }]);
+
+  const missing = await request(app).get('/jobs/unknown').expect(401);
+  assert.equal(missing.body.code, 'API_KEY_REQUIRED');
+  const invalid = await request(app).get('/jobs/unknown').set('X-API-Key', 'tk_wrong_0123456789abcdef').expect(401);
+  assert.equal(invalid.body.code, 'INVALID_API_KEY');
+  await request(app).get('/jobs/unknown').set('X-API-Key', OWNER).expect(404);
+  await request(app).get('/healthz').expect(200);
+});
+
+test('keys are limited to their requests per minute', async t => {
+  const app = appWithKeys(t, [{ key: OWNER, requestsPerMinute: 2 }]);
+
+  const first = await request(app).get('/jobs/unknown').set('X-API-Key', OWNER).expect(404);
+  assert.equal(first.headers['ratelimit-remaining'], '1');
+  await request(app).get('/jobs/unknown').set('X-API-Key', OWNER).expect(404);
+  const limited = await request(app).get('/jobs/unknown').set('X-API-Key', OWNER).expect(429);
+  assert.equal(limited.body.code, 'RATE_LIMITED');
+  assert.ok(Number(limited.headers['retry-after']) > 0);
+});
+
+test('keys are limited to their daily bytes', async t => {
+  const app = appWithKeys(t, [{ key: OWNER, dailyBytes: 100 }]);
+
+  const res = await request(app)
+    .post('/jobs')
+    .set('X-API-Key', OWNER)
+    .send({ imageUrl: `https://example.com/${'x'.repeat(200)}.png` })
+    .expect(429);
+  assert.equal(res.body.code, 'QUOTA_EXCEEDED');
+});
+
+// POST a multipart upload of `bytes` to /thumbnail in chunks, without a
+// Content-Length
+async function uploadChunked(app, key, bytes) {
+  const server = app.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  try {
+    const boundary = 'chunked-upload-boundary';
+    const req = http.request({
+      host: '127.0.0.1',
+      port: server.address().port,
+      method: 'POST',
+      path: '/thumbnail',
+      headers: {
+        'X-API-Key': key,
+        'Content-Type': `multipart/form-data; boundary=${boundary}`,
+        'Transfer-Encoding': 'chunked',
+      },
+    });
+    req.write(`--${boundary}\r\nContent-Disposition: form-data; name="image"; filename="image.png"\r\n\r\n`);
+    for (let sent = 0; sent < bytes; sent += 100) {
+      req.write(Buffer.alloc(Math.min(100, bytes - sent)));
+    }
+    req.end(`\r\n--${boundary}--\r\n`);
+    const [res] = await once(req, 'response');
+    let body = '';
+    for await (const chunk of res) {
+      body += chunk;
+    }
+    return { status: res.statusCode, body: JSON.parse(body) };
+  } finally {
+    server.close();
+  }
+}
+
+test('chunked uploads count the bytes received', async t => {
+  const app = appWithKeys(t, [{ key: OWNER, dailyBytes: 1000 }]);
+
+  // The upload is no image, but its bytes were still received
+  const first = await uploadChunked(app, OWNER, 600);
+  assert.equal(first.status, 415);
+  const second = await uploadChunked(app, OWNER, 600);
+  assert.equal(second.status, 415);
+  const third = await uploadChunked(app, OWNER, 600);
+  assert.equal(third.status, 429);
+  assert.equal(third.body.code, 'QUOTA_EXCEEDED');
+});
+
+test('jobs are only visible to the key that created them', async t => {
+  const app = appWithKeys(t, [{ key: OWNER }, { key: OTHER }]);
+
+  // The download is refused inside the job, which still belongs to OWNER
+  const accepted = await request(app)
+    .post('/jobs')
+    .set('X-API-Key', OWNER)
+    .send({ imageUrl: 'http://127.0.0.1/image.png' })
+    .expect(202);
+  const { id } = accepted.body;
+
+  await request(app).get(`/jobs/${id}`).set('X-API-Key', OWNER).expect(200);
+  const hidden = await request(app).get(`/jobs/${id}`).set('X-API-Key', OTHER).expect(404);
+  assert.equal(hidden.body.code, 'JOB_NOT_FOUND');
+  await request(app).delete(`/jobs/${id}`).set('X-API-Key', OTHER).expect(404);
+  await request(app).get(`/jobs/${id}/events`).set('X-API-Key', OTHER).expect(404);
+});
+
+test('event streams open with the token from the job links', async t => {
+  const app = appWithKeys(t, [{ key: OWNER }]);
+
+  const accepted = await request(app)
+    .post('/jobs')
+    .set('X-API-Key', OWNER)
+    .send({ imageUrl: 'http://127.0.0.1/image.png' })
+    .expect(202);
+  const { id, links } = accepted.body;
+  assert.match(links.events, /^\/jobs\/[^/]+\/events\?token=\d+\.[\w-]+$/);
+
+  const stream = await request(app).get(links.events).expect(200).expect('Content-Type', /text\/event-stream/);
+  assert.match(stream.text, /event: failed/);
+  assert.match(stream.text, /BLOCKED_ADDRESS/);
+
+  await request(app).get(`/jobs/${id}/events`).expect(401);
+  const forged = links.events.replace(/token=\d+/, 'token=9999999999');
+  await request(app).get(forged).expect(401);
+  // A token opens only the stream of its own job
+  await request(app).get(`/jobs/${id}`).query({ token: links.events.split('token=')[1] }).expect(401);
+});
@@ -0,0 +1,112 @@
+// batch.test.js
+// POST /batch: files that fail are recorded in the manifest instead of
+// failing the whole batch, and archives expand only to their declared sizes.
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const request = require('supertest');
+const AdmZip = require('adm-zip');
+const { extractArchive } = require('../lib/batch');
+const { PNG, binary, createTestApp, filesIn, needsImageMagick } = require('./helpers');
+
+const { app, dir, cleanup } = createTestApp();
+after(cleanup);
+
+function manifestOf(body) {
+  return JSON.parse(new AdmZip(body).readAsText('manifest.json'));
+}
+
+test('a file that is not an image fails only its own manifest entry', async () => {
+  const res = await request(app)
+    .post('/batch')
+    .attach('images', Buffer.from('not an image'), 'notes.txt')
+    .attach('images', Buffer.from('neither is this'), 'more-notes.txt')
+    .buffer(true)
+    .parse(binary)
+    .expect(200)
+    .expect('Content-Type', 'application/zip');
+
+  const manifest = manifestOf(res.body);
+  assert.deepEqual(manifest.files.map(file => file.original), ['notes.txt', 'more-notes.txt']);
+  manifest.files.forEach(file => {
+    assert.equal(file.error.code, 'UNSUPPORTED_MEDIA_TYPE');
+    assert.deepEqual(file.outputs, []);
+  });
+  assert.deepEqual(filesIn(path.join(dir, 'uploads')), []);
+});
+
+test('images next to a bad file are still rendered', { skip: needsImageMagick }, async () => {
+  const res = await request(app)
+    .post('/batch')
+    .field('width', '4')
+    .attach('images', PNG, 'gradient.png')
+    .attach('images', Buffer.from('not an image'), 'notes.txt')
+    .buffer(true)
+    .parse(binary)
+    .expect(200);
+
+  const [image, notes] = manifestOf(res.body).files;
+  assert.equal(image.error, null);
+  assert.equal(image.outputs.length, 1);
+  assert.equal(notes.error.code, 'UNSUPPORTED_MEDIA_TYPE');
+});
+
+test('an archive field that is not a ZIP is rejected up front', async () => {
+  const res = await request(app)
+    .post('/batch')
+    .attach('archive', PNG, 'images.zip')
+    .expect(415);
+  assert.equal(res.body.code, 'UNSUPPORTED_MEDIA_TYPE');
+});
+
+// A ZIP whose single entry inflates to `bytes` zeros but whose local and
+// central headers both declare size 0
+function forgedArchive(bytes) {
+  const zip = new AdmZip();
+  zip.addFile('bomb.png', Buffer.alloc(bytes));
+  const archive = zip.toBuffer();
+  for (let offset = 0; offset < archive.length - 4; offset += 1) {
+    const signature = archive.readUInt32LE(offset);
+    if (signature === 0x04034b50) {
+      archive.writeUInt32LE(0, offset + 22);
+    } else if (signature === 0x02014b50) {
+      archive.writeUInt32LE(0, offset + 24);
+    }
+  }
+  return archive;
+}
+
+test('archive entries are extracted up to their declared size', () => {
+  const zip = new AdmZip();
+  zip.addFile('images/a.png', PNG);
+  zip.addFile('__MACOSX/._a.png', Buffer.from('resource fork'));
+  const archivePath = path.join(dir, 'valid.zip');
+  zip.writeZip(archivePath);
+  const destDir = fs.mkdtempSync(path.join(dir, 'valid-'));
+
+  const extracted = extractArchive(archivePath, destDir, { maxFiles: 10, maxBytes: 1024 * 1024 });
+  assert.deepEqual(extracted.map(file => file.originalName), ['images/a.png']);
+  assert.deepEqual(fs.readFileSync(extracted[0].path), PNG);
+});
+
+test('entries that inflate past their declared size are refused', () => {
+  const archivePath = path.join(dir, 'forged.zip');
+  fs.writeFileSync(archivePath, forgedArchive(8 * 1024 * 1024));
+  const destDir = fs.mkdtempSync(path.join(dir, 'forged-'));
+
+  assert.throws(
+    () => extractArchive(archivePath, destDir, { maxFiles: 10, maxBytes: 1024 * 1024 }),
+    { code: 'BATCH_TOO_LARGE', message: /bomb\.png is larger than declared/ }
+  );
+  assert.deepEqual(filesIn(destDir), []);
+});
+
+test('a forged archive is rejected by /batch', async () => {
+  const res = await request(app)
+    .post('/batch')
+    .attach('archive', forgedArchive(1024 * 1024), 'images.zip')
+    .expect(413);
+  assert.equal(res.body.code, 'BATCH_TOO_LARGE');
+  assert.deepEqual(filesIn(path.join(dir, 'uploads')), []);
+});
@@ -0,0 +1,67 @@
+// cache.test.js
+// Result cache keys and eviction, and repeat /thumbnail requests.
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { cacheKey, createResultCache } = require('../lib/cache');
+const { PNG, createTestApp, needsImageMagick } = require('./helpers');
+
+const rendition = { name: 'default', width: 4, height: 3, format: 'auto' };
+
+function result(id, bytes) {
+  return { renditions: [{ id, bytes }] };
+}
+
+test('auto formats are keyed on the formats the client accepts', () => {
+  const avif = cacheKey('hash', [rendition], { accept: 'image/avif,image/*' });
+  const plain = cacheKey('hash', [rendition], { accept: 'image/*' });
+  assert.notEqual(avif, plain);
+  assert.equal(plain, cacheKey('hash', [rendition], { accept: 'text/html,image/*' }));
+  assert.equal(
+    cacheKey('hash', [{ ...rendition, format: 'png' }], { accept: 'image/avif' }),
+    cacheKey('hash', [{ ...rendition, format: 'png' }], { accept: 'image/webp' })
+  );
+});
+
+test('the cache drops its least recently used entries past its limits', () => {
+  const cache = createResultCache({ maxEntries: 2, maxBytes: 100 });
+  cache.set('a', result('a.png', 10));
+  cache.set('b', result('b.png', 10));
+  cache.get('a');
+  cache.set('c', result('c.png', 10));
+  assert.equal(cache.get('b'), undefined);
+  assert.ok(cache.get('a'));
+
+  cache.set('d', result('d.png', 95));
+  assert.deepEqual(cache.stats(), { entries: 1, bytes: 95, maxEntries: 2, maxBytes: 100 });
+  cache.set('e', result('e.png', 101));
+  assert.equal(cache.get('e'), undefined);
+});
+
+test('evicted results stay downloadable', { skip: needsImageMagick }, async t => {
+  const { app, cleanup } = createTestApp({ cache: { maxEntries: 1 } });
+  t.after(cleanup);
+
+  const first = await request(app)
+    .post('/thumbnail')
+    .field('width', '4')
+    .attach('image', PNG, 'gradient.png')
+    .expect(200);
+  assert.equal(first.headers['x-cache'], 'MISS');
+
+  const repeat = await request(app)
+    .post('/thumbnail')
+    .field('width', '4')
+    .attach('image', PNG, 'gradient.png')
+    .expect(200);
+  assert.equal(repeat.headers['x-cache'], 'HIT');
+  assert.equal(new URL(repeat.body.thumbnailUrl).pathname, new URL(first.body.thumbnailUrl).pathname);
+
+  // A different size evicts the only entry
+  await request(app)
+    .post('/thumbnail')
+    .field('width', '5')
+    .attach('image', PNG, 'gradient.png')
+    .expect(200);
+  await request(app).get(new URL(first.body.thumbnailUrl).pathname).expect(200);
+});
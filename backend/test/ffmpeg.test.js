@@ -0,0 +1,63 @@
+// ffmpeg.test.js
+// Poster frames taken from videos, and ffmpeg failures turned into
+// HttpErrors. Stand-in scripts play ffmpeg so no real install is needed.
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createFfmpeg } = require('../lib/ffmpeg');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'thumbnail-ffmpeg-'));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+const videoPath = path.join(dir, 'clip.mp4');
+const posterPath = path.join(dir, 'poster.png');
+
+// An executable that runs `script` in sh, standing in for ffmpeg. The output
+// path is its last argument.
+function fakeFfmpeg(name, script) {
+  const toolPath = path.join(dir, name);
+  fs.writeFileSync(toolPath, `#!/bin/sh\nfor last; do :; done\n${script}\n`, { mode: 0o755 });
+  return toolPath;
+}
+
+test('the frame at the timestamp is written to the output path', async () => {
+  const runs = [];
+  const ffmpeg = createFfmpeg({
+    ffmpegPath: fakeFfmpeg('ok', 'echo "$@" > "$last"'),
+    onRun: (seconds, error) => runs.push(error),
+  });
+  assert.equal(await ffmpeg.posterFrame(videoPath, posterPath, { timestamp: 12.5 }), posterPath);
+  const args = fs.readFileSync(posterPath, 'utf8').trim().split(' ');
+  assert.deepEqual(args.slice(args.indexOf('-ss'), args.indexOf('-ss') + 4), ['-ss', '12.5', '-i', videoPath]);
+  assert.deepEqual(runs, [null]);
+  fs.unlinkSync(posterPath);
+
+  await assert.rejects(ffmpeg.posterFrame('clip.mp4', posterPath), /must be absolute/);
+});
+
+test('seeking past the end of the video is an invalid timestamp', async () => {
+  const ffmpeg = createFfmpeg({ ffmpegPath: fakeFfmpeg('empty', 'exit 0') });
+  await assert.rejects(ffmpeg.posterFrame(videoPath, posterPath, { timestamp: 600 }), {
+    status: 422,
+    code: 'INVALID_TIMESTAMP',
+    message: 'The video has no frame at 600s',
+  });
+});
+
+test('failures become HttpErrors without local paths', async () => {
+  const broken = createFfmpeg({
+    ffmpegPath: fakeFfmpeg('broken', `echo "${videoPath}: Invalid data found when processing input" >&2; echo "moov atom not found" >&2; exit 1`),
+  });
+  await assert.rejects(broken.posterFrame(videoPath, posterPath), {
+    status: 422,
+    code: 'VIDEO_DECODE_FAILED',
+    message: 'Could not read the video: moov atom not found',
+  });
+
+  const missing = createFfmpeg({ ffmpegPath: path.join(dir, 'not-installed') });
+  await assert.rejects(missing.posterFrame(videoPath, posterPath), { status: 500, code: 'FFMPEG_MISSING' });
+
+  const slow = createFfmpeg({ ffmpegPath: fakeFfmpeg('slow', 'exec sleep 5'), timeoutMs: 100 });
+  await assert.rejects(slow.posterFrame(videoPath, posterPath), { status: 504, code: 'FFMPEG_TIMEOUT' });
+});
@@ -0,0 +1,36 @@
+// frames.test.js
+// Frame, page and animation options for multi-frame sources, and poster
+// frame timestamps for videos.
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { checkFrame, parseFrameOptions } = require('../lib/frames');
+
+test('the first frame is rendered still unless a request says otherwise', () => {
+  assert.deepEqual(parseFrameOptions({}), { frame: 0, animate: false, timestamp: 0 });
+  assert.deepEqual(parseFrameOptions({ frame: '3' }), { frame: 3, animate: false, timestamp: 0 });
+  assert.deepEqual(parseFrameOptions({ page: 2 }), { frame: 2, animate: false, timestamp: 0 });
+  assert.deepEqual(parseFrameOptions({ animate: 'true' }), { frame: 0, animate: true, timestamp: 0 });
+});
+
+test('frames must be whole numbers and cannot be combined with animate', () => {
+  ['-1', '1.5', 'first', 10000].forEach(frame => {
+    assert.throws(() => parseFrameOptions({ frame }), { status: 400, code: 'INVALID_FRAME' }, String(frame));
+  });
+  assert.throws(() => parseFrameOptions({ frame: 2, animate: true }), { code: 'INVALID_FRAME', message: /either animate/ });
+  assert.throws(() => parseFrameOptions({ animate: 'sometimes' }), { code: 'INVALID_OPTION' });
+});
+
+test('timestamps are seconds or [hh:]mm:ss', () => {
+  [['90', 90], ['1.5', 1.5], ['01:30', 90], ['00:01:30.250', 90.25], ['1:00:00', 3600]].forEach(([timestamp, seconds]) => {
+    assert.equal(parseFrameOptions({ timestamp }).timestamp, seconds, timestamp);
+  });
+  ['-1', '1:2:3:4', 'soon', '25:00:00', '86401'].forEach(timestamp => {
+    assert.throws(() => parseFrameOptions({ timestamp }), { status: 400, code: 'INVALID_TIMESTAMP' }, timestamp);
+  });
+});
+
+test('frames past the end of the source are refused', () => {
+  assert.doesNotThrow(() => checkFrame(2, 3));
+  assert.throws(() => checkFrame(3, 3), { status: 400, code: 'INVALID_FRAME', message: 'frame 3 does not exist: the source has 3 frames' });
+  assert.throws(() => checkFrame(1, 1), { message: /has 1 frame$/ });
+});
@@ -0,0 +1,74 @@
+// helpers.js
+// Shared setup for the API tests: an app on throwaway directories, a small
+// PNG to upload, and whether ImageMagick is installed for the tests that
+// render images.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { createApp } = require('../app');
+
+// 8x6 RGB gradient
+const PNG = Buffer.from(
+  'iVBORw0KGgoAAAANSUhEUgAAAAgAAAAGCAIAAABxZ0isAAAAX0lEQVR42g3JMQHAQAgEQaRQIgMJSHgZlCvlpFAiAynJtGNmuJHGMzBkjHGGWeBBBi8gUDDBxR+FF1m8gkLFFFd/NN5k8xoaNdNc/yFcpHgCITHi9MfiSy5vYdEyyy0fKmY/wenicVkAAAAASUVORK5CYII=',
+  'base64'
+);
+
+function commandWorks(command) {
+  try {
+    execFileSync(command, ['-version'], { stdio: 'ignore' });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+const hasImageMagick = commandWorks('convert') && commandWorks('identify');
+
+// Skip reason for tests that render, or false when they can run
+const needsImageMagick = hasImageMagick ? false : 'ImageMagick (convert, identify) is not installed';
+
+// An app whose uploads, storage and API key file live in a temporary
+// directory. `cleanup()` removes it; it is removed right away when createApp
+// throws.
+function createTestApp(overrides = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'thumbnail-test-'));
+  const cleanup = () => fs.rmSync(dir, { recursive: true, force: true });
+  let app;
+  try {
+    app = createApp({
+      uploadDir: path.join(dir, 'uploads'),
+      storageDir: path.join(dir, 'storage'),
+      apiKeyFile: path.join(dir, 'api-keys.json'),
+      imageUrlSecret: 'test-image-url-secret',
+      log: { level: 'error' },
+      ...overrides,
+      auth: { required: false, ...overrides.auth },
+    });
+  } catch (error) {
+    // Tests of configuration errors get no app to clean up after
+    cleanup();
+    throw error;
+  }
+  return { app, dir, cleanup };
+}
+
+// Files left in a directory, e.g. uploads a request should have removed
+function filesIn(dir) {
+  return fs.existsSync(dir) ? fs.readdirSync(dir) : [];
+}
+
+// supertest parser that keeps a binary response body as a Buffer
+function binary(res, callback) {
+  const chunks = [];
+  res.on('data', chunk => chunks.push(chunk));
+  res.on('end', () => callback(null, Buffer.concat(chunks)));
+}
+
+module.exports = {
+  PNG,
+  binary,
+  createTestApp,
+  filesIn,
+  needsImageMagick,
+};
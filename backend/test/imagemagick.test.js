@@ -0,0 +1,96 @@
+// imagemagick.test.js
+// Arguments are checked against the option allowlist before ImageMagick is
+// spawned, and its failures become HttpErrors. Stand-in scripts play
+// ImageMagick so no real install is needed.
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createImageMagick, parseDiagnostics, validateArgs } = require('../lib/imagemagick');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'thumbnail-imagemagick-'));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+// An executable that runs `script` in sh, standing in for convert
+function fakeTool(name, script) {
+  const toolPath = path.join(dir, name);
+  fs.writeFileSync(toolPath, `#!/bin/sh\n${script}\n`, { mode: 0o755 });
+  return toolPath;
+}
+
+test('the arguments the pipeline builds are allowed', () => {
+  assert.doesNotThrow(() => validateArgs('convert', [
+    '/tmp/uploads/a.png[0]', '-auto-orient', '-write', 'mpr:source', '-delete', '0--1',
+    'mpr:source', '-thumbnail', '300x200^', '-gravity', 'Center', '-extent', '300x200',
+    '+profile', '!icc,*', '-set', 'comment', '(c) Jane', '-quality', '82', 'jpeg:/tmp/uploads/thumbnail-a.jpg',
+  ]));
+  assert.doesNotThrow(() => validateArgs('convert', ['/tmp/uploads/a.png[0]', 'xmp:-']));
+  assert.doesNotThrow(() => validateArgs('identify', ['-ping', '-format', '%w %h', '/tmp/uploads/a.png[0]']));
+});
+
+test('options, files and values outside the allowlist are refused', () => {
+  [
+    ['/tmp/a.png', '-fx', 'u*2', '/tmp/b.png'],
+    ['/tmp/a.png', '-resize', '100x100;rm', '/tmp/b.png'],
+    ['/tmp/a.png', '-set', 'comment', '@/etc/passwd', '/tmp/b.png'],
+    ['/tmp/a.png', '-set', 'label', 'x', '/tmp/b.png'],
+    ['/tmp/a.png', '-profile', '/etc/passwd', '/tmp/b.png'],
+    ['/tmp/a.png', '-limit', 'memory', 'lots', '/tmp/b.png'],
+    ['/tmp/a.png', '-write', 'msl:/tmp/x.msl', '/tmp/b.png'],
+    ['msl:/tmp/script.msl', '/tmp/b.png'],
+    ['@/tmp/list.txt', '/tmp/b.png'],
+    ['a.png', '/tmp/b.png'],
+    ['/tmp/../etc/a.png', '/tmp/b.png'],
+    ['/tmp/a.png', 'txt:/tmp/b.txt'],
+    ['/tmp/a.png', '|ls'],
+    ['/tmp/a.png', '-quality'],
+  ].forEach(args => {
+    assert.throws(() => validateArgs('convert', args), { status: 400, code: 'INVALID_OPTION' }, args.join(' '));
+  });
+});
+
+test('diagnostics are split into severity, message and module', () => {
+  assert.deepEqual(parseDiagnostics([
+    "convert: improper image header `/tmp/x.png' @ error/png.c/ReadPNGImage/4092.",
+    "convert: profile 'icc': invalid @ warning/profile.c/SetImageProfileInternal/1.",
+    'something unexpected',
+  ].join('\n')), [
+    { severity: 'error', message: 'improper image header', module: 'png.c/ReadPNGImage/4092' },
+    { severity: 'warning', message: "profile 'icc': invalid", module: 'profile.c/SetImageProfileInternal/1' },
+    { severity: 'error', message: 'something unexpected', module: null },
+  ]);
+});
+
+test('failures become HttpErrors with client-facing codes', async () => {
+  const corrupt = createImageMagick({
+    convertPath: fakeTool('corrupt', "echo \"convert: improper image header \\`/tmp/x.png' @ error/png.c/ReadPNGImage/4092.\" >&2; exit 1"),
+  });
+  await assert.rejects(corrupt.convert(['/tmp/x.png', '/tmp/y.png']), {
+    name: 'ImageMagickError',
+    status: 422,
+    code: 'CORRUPT_IMAGE',
+    message: 'convert: improper image header',
+    exitCode: 1,
+  });
+
+  const missing = createImageMagick({ convertPath: path.join(dir, 'not-installed') });
+  await assert.rejects(missing.convert(['/tmp/x.png', '/tmp/y.png']), { status: 500, code: 'IMAGEMAGICK_MISSING' });
+
+  const slow = createImageMagick({ convertPath: fakeTool('slow', 'exec sleep 5'), timeoutMs: 100 });
+  await assert.rejects(slow.convert(['/tmp/x.png', '/tmp/y.png']), { status: 504, code: 'IMAGEMAGICK_TIMEOUT' });
+});
+
+test('resource limits are passed first and runs are reported', async () => {
+  const runs = [];
+  const echo = createImageMagick({
+    identifyPath: fakeTool('echo-args', 'echo "$@"; echo "identify: minor issue @ warning/x.c/Y/1." >&2'),
+    limits: { memory: '64MiB', map: null, disk: null, area: null, time: null },
+    onRun: (tool, seconds, error) => runs.push([tool, error]),
+  });
+  const { stdout, warnings } = await echo.identify(['-ping', '/tmp/x.png']);
+  assert.equal(stdout.trim(), '-limit memory 64MiB -ping /tmp/x.png');
+  assert.deepEqual(warnings, ['minor issue']);
+  assert.deepEqual(runs, [['identify', null]]);
+  assert.throws(() => createImageMagick({ limits: { memory: '1; rm -rf /' } }), { code: 'INVALID_OPTION' });
+});
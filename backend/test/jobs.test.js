@@ -0,0 +1,111 @@
+// jobs.test.js
+// The job queue: bounded concurrency, progress updates, timeouts and
+// cancellation, and following a job through /jobs and its event stream.
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { createJobQueue } = require('../lib/jobs');
+const { createTestApp } = require('./helpers');
+
+// A task that runs until the test settles it, or until its signal aborts
+function createControlledTask() {
+  const control = { started: false, signal: null };
+  const task = ({ signal, progress }) => new Promise((resolve, reject) => {
+    Object.assign(control, { started: true, signal, progress, resolve });
+    signal.addEventListener('abort', () => reject(signal.reason));
+  });
+  task.discard = () => {
+    control.discarded = true;
+  };
+  return { task, control };
+}
+
+function tick() {
+  return new Promise(resolve => setImmediate(resolve));
+}
+
+test('no more than `concurrency` jobs run at once', async () => {
+  const queue = createJobQueue({ concurrency: 1 });
+  const first = createControlledTask();
+  const second = createControlledTask();
+  const a = queue.enqueue(first.task);
+  const b = queue.enqueue(second.task);
+
+  assert.equal(queue.get(a.id).status, 'running');
+  assert.equal(queue.get(b.id).status, 'queued');
+  assert.deepEqual(queue.stats(), { queued: 1, running: 1, concurrency: 1 });
+
+  first.control.resolve('done');
+  assert.equal(await queue.wait(a.id), 'done');
+  await tick();
+  assert.equal(second.control.started, true);
+  second.control.resolve('also done');
+  assert.equal(await queue.wait(b.id), 'also done');
+  assert.deepEqual(queue.stats(), { queued: 0, running: 0, concurrency: 1 });
+});
+
+test('subscribers see progress and the final state', async () => {
+  const queue = createJobQueue();
+  const { task, control } = createControlledTask();
+  const job = queue.enqueue(task);
+  const updates = [];
+  queue.subscribe(job.id, update => updates.push([update.status, update.stage, update.progress]));
+
+  control.progress('rendering', 0.5);
+  control.resolve({ ok: true });
+  await queue.wait(job.id);
+  assert.deepEqual(updates, [['running', 'rendering', 0.5], ['completed', 'done', 1]]);
+  assert.deepEqual(queue.get(job.id).result, { ok: true });
+  assert.equal('owner' in queue.get(job.id), false);
+});
+
+test('jobs that run too long fail and have their signal aborted', async () => {
+  const queue = createJobQueue({ timeoutMs: 20 });
+  const { task, control } = createControlledTask();
+  const job = queue.enqueue(task);
+
+  await assert.rejects(queue.wait(job.id), { code: 'JOB_TIMEOUT' });
+  assert.equal(control.signal.aborted, true);
+  assert.equal(queue.get(job.id).status, 'failed');
+  assert.equal(queue.get(job.id).error.code, 'JOB_TIMEOUT');
+});
+
+test('cancelling stops running jobs and discards queued ones', async () => {
+  const queue = createJobQueue({ concurrency: 1 });
+  const running = createControlledTask();
+  const queued = createControlledTask();
+  const a = queue.enqueue(running.task, { owner: 'key-1' });
+  const b = queue.enqueue(queued.task, { owner: 'key-1' });
+
+  assert.equal(queue.cancel(b.id, { owner: 'key-2' }), null);
+  assert.equal(queue.cancel(b.id, { owner: 'key-1' }).status, 'cancelled');
+  assert.equal(queued.control.discarded, true);
+  assert.equal(queued.control.started, false);
+
+  assert.equal(queue.cancel(a.id).status, 'cancelled');
+  assert.equal(running.control.signal.aborted, true);
+  await assert.rejects(queue.wait(a.id), { code: 'JOB_CANCELLED' });
+  assert.throws(() => queue.cancel(a.id), { code: 'JOB_FINISHED' });
+  assert.equal(queue.cancel('unknown'), null);
+});
+
+test('a job is followed through /jobs and its event stream', async t => {
+  const { app, cleanup } = createTestApp();
+  t.after(cleanup);
+
+  // The download is refused inside the job, so it fails quickly
+  const accepted = await request(app).post('/jobs').send({ imageUrl: 'http://127.0.0.1/image.png' }).expect(202);
+  assert.equal(accepted.headers.location, `/jobs/${accepted.body.id}`);
+  assert.ok(['queued', 'running'].includes(accepted.body.status));
+
+  const stream = await request(app).get(accepted.body.links.events).expect(200).expect('Content-Type', /text\/event-stream/);
+  const events = stream.text.trim().split('\n\n').map(block => block.match(/^event: (\w+)/)[1]);
+  assert.equal(events[events.length - 1], 'failed');
+
+  const job = await request(app).get(`/jobs/${accepted.body.id}`).expect(200);
+  assert.equal(job.body.status, 'failed');
+  assert.equal(job.body.error.code, 'BLOCKED_ADDRESS');
+  const cancelled = await request(app).delete(`/jobs/${accepted.body.id}`).expect(409);
+  assert.equal(cancelled.body.code, 'JOB_FINISHED');
+  await request(app).get('/jobs/unknown').expect(404);
+});
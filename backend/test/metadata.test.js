@@ -0,0 +1,131 @@
+// metadata.test.js
+// The metadata shape built from `identify -verbose` output and XMP packets.
+// ImageMagick is replaced by a runner that answers with recorded output.
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { extractMetadata, parseVerbose, parseXmp } = require('../lib/metadata');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'thumbnail-metadata-'));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+const imagePath = path.join(dir, 'photo.jpg');
+fs.writeFileSync(imagePath, Buffer.alloc(1234));
+
+const VERBOSE = `Image: ${imagePath}
+  Format: JPEG (Joint Photographic Experts Group JFIF format)
+  Mime type: image/jpeg
+  Geometry: 4000x3000+0+0
+  Resolution: 72x72
+  Colorspace: sRGB
+  Type: TrueColor
+  Depth: 8-bit
+  Properties:
+    exif:BodySerialNumber: 0123
+    exif:DateTimeOriginal: 2024:05:01 12:00:00
+    exif:ExifVersion: 0232
+    exif:ExposureTime: 1/120
+    exif:FNumber: 9/5
+    exif:GPSLatitude: 52/1, 31/1, 1200/100
+    exif:GPSLatitudeRef: N
+    exif:GPSLongitude: 13/1, 24/1, 1800/100
+    exif:GPSLongitudeRef: E
+    exif:ISOSpeedRatings: 100
+    exif:OffsetTimeOriginal: +02:00
+    exif:Orientation: 6
+    exif:Software: 17.10
+    exif:SubjectArea: 2009, 1509, 2318, 1390
+    icc:description: Display P3
+  Profiles:
+    Profile-exif: 2048 bytes
+    Profile-icc: 548 bytes
+    Profile-iptc: 40 bytes
+      City[2,90]: Berlin
+      Keyword[2,25]: street
+      Keyword[2,25]: night
+      unknown[2,0]: 
+`;
+
+function createStubMagick() {
+  return {
+    async identify(args) {
+      return { stdout: args.includes('-verbose') ? VERBOSE : '1\n' };
+    },
+    async convert() {
+      throw new Error('no XMP profile to read');
+    },
+  };
+}
+
+test('verbose output is parsed into nested nodes by indentation', () => {
+  const tree = parseVerbose('Image: a.png\n  Properties:\n    date:create: 2024\n  Keyword: a\n  Keyword: b\n');
+  const image = tree.children.Image;
+  assert.equal(image.value, 'a.png');
+  assert.equal(image.children.Properties.children['date:create'].value, '2024');
+  assert.deepEqual(image.children.Keyword.values, ['a', 'b']);
+});
+
+test('EXIF numbers and rationals are typed, text tags stay strings', async () => {
+  const metadata = await extractMetadata(createStubMagick(), imagePath);
+  assert.deepEqual(metadata.exif, {
+    BodySerialNumber: '0123',
+    DateTimeOriginal: '2024-05-01T12:00:00+02:00',
+    ExifVersion: '0232',
+    ExposureTime: '1/120',
+    FNumber: 1.8,
+    ISOSpeedRatings: 100,
+    OffsetTimeOriginal: '+02:00',
+    Orientation: 6,
+    Software: '17.10',
+    SubjectArea: [2009, 1509, 2318, 1390],
+  });
+  assert.deepEqual(metadata.gps, {
+    latitude: 52.52,
+    longitude: 13.405,
+    altitude: null,
+    tags: {
+      GPSLatitude: '52/1, 31/1, 1200/100',
+      GPSLatitudeRef: 'N',
+      GPSLongitude: '13/1, 24/1, 1800/100',
+      GPSLongitudeRef: 'E',
+    },
+  });
+});
+
+test('image, IPTC and ICC sections are filled in', async () => {
+  const metadata = await extractMetadata(createStubMagick(), imagePath);
+  assert.deepEqual(metadata.image, {
+    width: 4000,
+    height: 3000,
+    aspectRatio: 1.33,
+    format: 'JPEG',
+    mimeType: 'image/jpeg',
+    colorspace: 'sRGB',
+    type: 'TrueColor',
+    depth: 8,
+    hasAlpha: false,
+    frames: 1,
+    orientation: 6,
+    resolution: '72x72',
+    fileSize: 1234,
+  });
+  assert.deepEqual(metadata.iptc, { City: 'Berlin', Keyword: ['street', 'night'] });
+  assert.deepEqual(metadata.icc, { description: 'Display P3', bytes: 548 });
+  assert.deepEqual(metadata.xmp, {});
+});
+
+test('XMP attributes, elements and containers are flattened', () => {
+  const xmp = parseXmp(`<x:xmpmeta xmlns:x="adobe:ns:meta/"><rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">
+    <rdf:Description rdf:about="" xmp:CreatorTool="Camera &amp; Co" xmlns:xmp="http://ns.adobe.com/xap/1.0/">
+      <photoshop:City>Berlin</photoshop:City>
+      <dc:creator><rdf:Seq><rdf:li>Jane Doe</rdf:li><rdf:li>John Roe</rdf:li></rdf:Seq></dc:creator>
+      <dc:rights><rdf:Alt><rdf:li xml:lang="x-default">(c) Jane Doe</rdf:li></rdf:Alt></dc:rights>
+    </rdf:Description></rdf:RDF></x:xmpmeta>`);
+  assert.deepEqual(xmp, {
+    'xmp:CreatorTool': 'Camera & Co',
+    'photoshop:City': 'Berlin',
+    'dc:creator': ['Jane Doe', 'John Roe'],
+    'dc:rights': '(c) Jane Doe',
+  });
+});
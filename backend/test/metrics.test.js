@@ -0,0 +1,102 @@
+// metrics.test.js
+// Prometheus metrics on /metrics and the JSON request log: every request
+// gets an id, one log line and a count under its route pattern.
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { HttpError } = require('../lib/errors');
+const { createLogger } = require('../lib/logger');
+const { createMetrics } = require('../lib/metrics');
+const { createTestApp } = require('./helpers');
+
+// A log stream that keeps the parsed lines
+function captureLog() {
+  const lines = [];
+  return { lines, write: line => lines.push(JSON.parse(line)) };
+}
+
+const log = captureLog();
+const { app, cleanup } = createTestApp({ log: { level: 'info', stream: log } });
+after(cleanup);
+
+test('counters, gauges and histograms are rendered in the text format', () => {
+  const metrics = createMetrics();
+  const requests = metrics.counter('requests_total', 'Requests', ['route']);
+  metrics.gauge('queue', 'Queued jobs', () => 3);
+  const duration = metrics.histogram('duration_seconds', 'Durations', ['stage'], [0.1, 1]);
+  requests.inc({ route: '/a "b"\n' });
+  requests.inc({ route: '/a "b"\n' }, 2);
+  duration.observe({ stage: 'convert' }, 0.5);
+  duration.observe({ stage: 'convert' }, 2);
+
+  assert.equal(metrics.render(), [
+    '# HELP requests_total Requests',
+    '# TYPE requests_total counter',
+    'requests_total{route="/a \\"b\\"\\n"} 3',
+    '# HELP queue Queued jobs',
+    '# TYPE queue gauge',
+    'queue 3',
+    '# HELP duration_seconds Durations',
+    '# TYPE duration_seconds histogram',
+    'duration_seconds_bucket{stage="convert",le="0.1"} 0',
+    'duration_seconds_bucket{stage="convert",le="1"} 1',
+    'duration_seconds_bucket{stage="convert",le="+Inf"} 2',
+    'duration_seconds_sum{stage="convert"} 2.5',
+    'duration_seconds_count{stage="convert"} 2',
+    '',
+  ].join('\n'));
+  assert.throws(() => metrics.counter('queue', 'Again'), /already registered/);
+});
+
+test('log lines are JSON at or above the level, with child fields and errors', () => {
+  const lines = captureLog();
+  const logger = createLogger({ level: 'info', stream: lines }).child({ requestId: 'abc' });
+  logger.debug('hidden');
+  logger.warn('client error', { error: new HttpError(404, 'NOT_FOUND', 'No such thumbnail'), skipped: undefined });
+  logger.error('crash', { error: new Error('boom') });
+
+  assert.deepEqual(lines.lines.map(line => [line.level, line.msg, line.requestId]), [
+    ['warn', 'client error', 'abc'],
+    ['error', 'crash', 'abc'],
+  ]);
+  assert.deepEqual(lines.lines[0].error, { name: 'HttpError', message: 'No such thumbnail', code: 'NOT_FOUND' });
+  assert.equal('skipped' in lines.lines[0], false);
+  assert.match(lines.lines[1].error.stack, /^Error: boom/);
+  assert.throws(() => createLogger({ level: 'verbose' }), /Unknown log level "verbose"/);
+});
+
+test('requests are logged once under their id', async () => {
+  const presented = await request(app).get('/thumbnails/missing.png').set('X-Request-Id', 'trace-123').expect(404);
+  assert.equal(presented.headers['x-request-id'], 'trace-123');
+  const generated = await request(app).get('/thumbnails/missing.png').set('X-Request-Id', 'not a valid id').expect(404);
+  assert.match(generated.headers['x-request-id'], /^[0-9a-f-]{36}$/);
+
+  const finished = log.lines.filter(line => line.msg === 'request finished' && line.requestId === 'trace-123');
+  assert.equal(finished.length, 1);
+  assert.equal(finished[0].level, 'info');
+  assert.equal(finished[0].method, 'GET');
+  assert.equal(finished[0].route, '/thumbnails/:id');
+  assert.equal(finished[0].status, 404);
+  assert.equal(typeof finished[0].durationMs, 'number');
+
+  // Probes only log at debug
+  const probes = log.lines.length;
+  await request(app).get('/healthz').expect(200);
+  assert.equal(log.lines.length, probes);
+});
+
+test('/metrics counts requests by route pattern and errors by code', async () => {
+  await request(app).get('/thumbnails/other.png').expect(404);
+  await request(app).get('/no-such-path').expect(404);
+  const res = await request(app).get('/metrics').expect(200);
+  assert.match(res.headers['content-type'], /^text\/plain;.*version=0\.0\.4/);
+  assert.equal(res.headers['cache-control'], 'no-store');
+  assert.match(res.text, /^thumbnail_http_requests_total\{method="GET",route="\/thumbnails\/:id",status="404"\} [1-9]\d*$/m);
+  assert.match(res.text, /^thumbnail_http_requests_total\{method="GET",route="other",status="404"\} [1-9]\d*$/m);
+  assert.match(res.text, /^thumbnail_errors_total\{code="NOT_FOUND"\} [1-9]\d*$/m);
+  assert.match(res.text, /^thumbnail_http_request_duration_seconds_count\{method="GET",route="\/thumbnails\/:id"\} [1-9]\d*$/m);
+  assert.match(res.text, /^thumbnail_jobs\{state="queued"\} 0$/m);
+  assert.match(res.text, /^process_resident_memory_bytes \d+$/m);
+  // Ids and URLs never become labels
+  assert.doesNotMatch(res.text, /other\.png|no-such-path/);
+});
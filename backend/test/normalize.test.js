@@ -0,0 +1,65 @@
+// normalize.test.js
+// Which source corrections apply: EXIF orientation and conversion of
+// embedded ICC profiles to sRGB, and the flags that turn them off.
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { findSrgbProfile, parseNormalizeOptions, planCorrections } = require('../lib/normalize');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'thumbnail-normalize-'));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const SRGB = '/usr/share/color/icc/sRGB.icc';
+
+function metadataWith({ orientation = null, icc = {} } = {}) {
+  return { image: { orientation }, icc };
+}
+
+test('both corrections are on unless a request turns them off', () => {
+  assert.deepEqual(parseNormalizeOptions({}), { autoOrient: true, convertToSrgb: true });
+  assert.deepEqual(parseNormalizeOptions({ autoOrient: 'false', convertToSrgb: '0' }), { autoOrient: false, convertToSrgb: false });
+  assert.deepEqual(parseNormalizeOptions({ autoOrient: false, convertToSrgb: true }), { autoOrient: false, convertToSrgb: true });
+  assert.throws(() => parseNormalizeOptions({ autoOrient: 'sideways' }), { code: 'INVALID_OPTION', message: /autoOrient/ });
+});
+
+test('orientations other than 1 are reported as applied', () => {
+  const options = parseNormalizeOptions({});
+  assert.deepEqual(planCorrections(options, metadataWith({ orientation: 6 }), { srgbProfile: SRGB }), {
+    autoOrient: true,
+    colorProfile: null,
+    corrections: { orientationApplied: 6, convertedFrom: null },
+  });
+  assert.equal(planCorrections(options, metadataWith({ orientation: 1 }), { srgbProfile: SRGB }).corrections.orientationApplied, null);
+  const off = planCorrections({ ...options, autoOrient: false }, metadataWith({ orientation: 6 }), { srgbProfile: SRGB });
+  assert.equal(off.autoOrient, false);
+  assert.equal(off.corrections.orientationApplied, null);
+});
+
+test('embedded profiles other than sRGB are converted when a profile is available', () => {
+  const options = parseNormalizeOptions({});
+  const p3 = metadataWith({ icc: { description: 'Display P3', bytes: 536 } });
+
+  const converted = planCorrections(options, p3, { srgbProfile: SRGB });
+  assert.equal(converted.colorProfile, SRGB);
+  assert.equal(converted.corrections.convertedFrom, 'Display P3');
+  assert.equal(planCorrections(options, metadataWith({ icc: { bytes: 536 } }), { srgbProfile: SRGB }).corrections.convertedFrom,
+    'embedded ICC profile');
+
+  [
+    [options, metadataWith({ icc: { description: 'sRGB IEC61966-2.1', bytes: 3144 } }), SRGB],
+    [options, metadataWith(), SRGB],
+    [options, p3, null],
+    [{ ...options, convertToSrgb: false }, p3, SRGB],
+  ].forEach(([planOptions, metadata, srgbProfile]) => {
+    assert.equal(planCorrections(planOptions, metadata, { srgbProfile }).colorProfile, null);
+  });
+});
+
+test('the first installed sRGB profile is used', () => {
+  const installed = path.join(dir, 'sRGB.icc');
+  fs.writeFileSync(installed, '');
+  assert.equal(findSrgbProfile([path.join(dir, 'missing.icc'), installed]), installed);
+  assert.equal(findSrgbProfile([path.join(dir, 'missing.icc')]), null);
+});
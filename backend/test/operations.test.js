@@ -0,0 +1,33 @@
+// operations.test.js
+// Parsing of the `operations` list: rotate and flip turn the source before
+// resizing, so they must come first.
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildRenditionOperationArgs, buildSourceOperationArgs, parseOperations } = require('../lib/operations');
+
+test('operations are parsed in the given order with defaults filled in', () => {
+  const operations = parseOperations({
+    operations: JSON.stringify([{ op: 'rotate', angle: 90 }, { op: 'flip', direction: 'vertical' }, { op: 'sharpen' }]),
+  });
+  assert.deepEqual(operations.map(operation => operation.op), ['rotate', 'flip', 'sharpen']);
+  assert.deepEqual(buildSourceOperationArgs(operations), ['-background', 'white', '-rotate', '90', '+repage', '-flip']);
+  assert.deepEqual(buildRenditionOperationArgs(operations), ['-unsharp', '0x0.75+0.75+0.008']);
+});
+
+test('rotate and flip after another operation are rejected', () => {
+  assert.throws(
+    () => parseOperations({ operations: [{ op: 'grayscale' }, { op: 'rotate', angle: 45 }] }),
+    { code: 'INVALID_OPERATION', message: /rotate must come before grayscale/ }
+  );
+  assert.throws(
+    () => parseOperations({ operations: [{ op: 'flip', direction: 'horizontal' }, { op: 'blur' }, { op: 'flip', direction: 'vertical' }] }),
+    { code: 'INVALID_OPERATION', message: /flip must come before blur/ }
+  );
+});
+
+test('invalid operations are rejected', () => {
+  assert.throws(() => parseOperations({ operations: 'not json' }), { code: 'INVALID_OPERATION' });
+  assert.throws(() => parseOperations({ operations: [{ op: 'explode' }] }), { message: /Unknown operation "explode"/ });
+  assert.throws(() => parseOperations({ operations: [{ op: 'rotate' }] }), { message: /rotate needs an angle/ });
+  assert.throws(() => parseOperations({ operations: [{ op: 'blur', sigma: 100 }] }), { message: /blur sigma/ });
+});
@@ -0,0 +1,87 @@
+// overlay.test.js
+// Watermark options and the ImageMagick arguments that draw them: sized
+// relative to each rendition, placed by gravity and offset, or tiled.
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { validateArgs } = require('../lib/imagemagick');
+const { buildOverlayArgs, buildOverlaySourceArgs, parseOverlayOptions } = require('../lib/overlay');
+
+const logos = { brand: '/srv/logos/brand.png' };
+
+test('requests without an overlay have none', () => {
+  assert.equal(parseOverlayOptions({}), null);
+  assert.equal(parseOverlayOptions({ overlay: '' }), null);
+});
+
+test('overlays come from an upload, a configured logo or text', () => {
+  assert.deepEqual(parseOverlayOptions({}, { overlayImage: '/tmp/uploads/logo.png' }), {
+    gravity: 'southeast', offsetX: 0.02, offsetY: 0.02, opacity: 1, scale: 0.25, tile: false,
+    font: null, fontSize: 72, color: 'white', image: '/tmp/uploads/logo.png',
+  });
+  const logo = parseOverlayOptions({ overlay: '{"logo":"brand","gravity":"NorthWest","opacity":"0.5","tile":"true"}' }, { logos });
+  assert.equal(logo.image, '/srv/logos/brand.png');
+  assert.equal(logo.gravity, 'northwest');
+  assert.equal(logo.opacity, 0.5);
+  assert.equal(logo.tile, true);
+  const text = parseOverlayOptions({ overlay: { text: '© Jane', font: 'DejaVu Sans', fontSize: 24, color: '#ffffff80' } });
+  assert.deepEqual([text.text, text.font, text.fontSize, text.color], ['© Jane', 'DejaVu Sans', 24, '#ffffff80']);
+});
+
+test('invalid overlays are refused', () => {
+  [
+    [{ overlay: 'not json' }],
+    [{ overlay: '[1]' }],
+    [{ overlay: {} }],
+    [{ overlay: { logo: 'brand', text: 'both' } }, { logos }],
+    [{ overlay: { logo: 'brand' } }, { overlayImage: '/tmp/uploads/logo.png', logos }],
+    [{ overlay: { logo: 'toString' } }, { logos }],
+    [{ overlay: { text: '@/etc/passwd' } }],
+    [{ overlay: { text: 'two\nlines' } }],
+    [{ overlay: { text: 'x'.repeat(201) } }],
+    [{ overlay: { text: 'x', font: '../fonts/evil' } }],
+    [{ overlay: { text: 'x', fontSize: 5 } }],
+    [{ overlay: { text: 'x', color: 'rgb(0,0,0)' } }],
+    [{ overlay: { text: 'x', gravity: 'up' } }],
+    [{ overlay: { text: 'x', offsetX: 0.6 } }],
+    [{ overlay: { text: 'x', opacity: 0 } }],
+    [{ overlay: { text: 'x', scale: '' } }],
+  ].forEach(([body, options]) => {
+    assert.throws(() => parseOverlayOptions(body, options), { status: 400, code: 'INVALID_OVERLAY' }, JSON.stringify(body));
+  });
+  assert.throws(() => parseOverlayOptions({ overlay: { logo: 'other' } }, { logos }), { message: 'Unknown logo "other". Available logos: brand' });
+});
+
+test('the overlay is prepared once, faded and escaped', () => {
+  assert.deepEqual(buildOverlaySourceArgs(parseOverlayOptions({ overlay: { logo: 'brand', opacity: 0.25 } }, { logos })), [
+    '/srv/logos/brand.png[0]', '-alpha', 'set', '-channel', 'A', '-evaluate', 'multiply', '0.2500', '+channel',
+    '-write', 'mpr:overlay', '-delete', '0--1',
+  ]);
+  const args = buildOverlaySourceArgs(parseOverlayOptions({ overlay: { text: '100% C:\\', font: 'Arial' } }));
+  assert.deepEqual(args.slice(0, 7), ['-background', 'none', '-fill', 'white', '-font', 'Arial', '-pointsize']);
+  assert.equal(args[8], 'label:100%% C:\\\\');
+  assert.doesNotThrow(() => validateArgs('convert', ['/tmp/a.png', ...args, '/tmp/b.png']));
+});
+
+test('the overlay is scaled and placed relative to each rendition', () => {
+  const overlay = parseOverlayOptions({ overlay: { logo: 'brand', gravity: 'south', offsetY: 0.1, scale: 0.5 } }, { logos });
+  const args = buildOverlayArgs(overlay, { width: 400, height: 200, fit: 'cover' });
+  assert.deepEqual(args, [
+    'null:', '(', 'mpr:overlay', '-resize', '200x100', ')',
+    '-gravity', 'South', '-geometry', '+8+20',
+    '-compose', 'over', '-layers', 'composite', '+gravity',
+  ]);
+  assert.doesNotThrow(() => validateArgs('convert', ['/tmp/a.png', ...args, '/tmp/b.png']));
+
+  // `inside` renditions are measured as they will come out
+  const inside = buildOverlayArgs(overlay, { width: 400, height: 400, fit: 'inside' }, { width: 200, height: 100 });
+  assert.equal(inside[4], '100x50');
+  assert.equal(buildOverlayArgs({ ...overlay, scale: 0.001 }, { width: 400, height: 200, fit: 'cover' })[4], '1x1');
+});
+
+test('tiled overlays cover the whole rendition', () => {
+  const overlay = parseOverlayOptions({ overlay: { text: 'draft', tile: true } });
+  const args = buildOverlayArgs(overlay, { width: 400, height: 200, fit: 'fill' });
+  assert.ok(args.includes('tile:mpr:overlay-tile'));
+  assert.deepEqual(args.slice(args.indexOf('-size'), args.indexOf('-size') + 2), ['-size', '400x200']);
+  assert.doesNotThrow(() => validateArgs('convert', ['/tmp/a.png', ...args, '/tmp/b.png']));
+});
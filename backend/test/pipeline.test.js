@@ -0,0 +1,149 @@
+// pipeline.test.js
+// The convert call built for a set of renditions: the frames read, source
+// corrections, the output formats picked (transparency must survive `auto`)
+// and the metadata written (copyright notices in every format). ImageMagick
+// is replaced by a runner that describes an opaque source and writes empty
+// outputs.
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { generateRenditions } = require('../lib/pipeline');
+const { buildMetadataArgs, buildRightsXmp } = require('../lib/privacy');
+const { resolveRenditions } = require('../lib/renditions');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'thumbnail-pipeline-'));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+const imagePath = path.join(dir, 'source.jpg');
+fs.writeFileSync(imagePath, '');
+
+const quietLogger = { debug() {}, info() {}, warn() {}, error() {} };
+
+// An opaque 100x80 source, stored with the given EXIF orientation
+function createStubMagick({ orientation = 'TopLeft' } = {}) {
+  return {
+    calls: [],
+    async identify(args) {
+      if (args.includes('%w %h %A %[orientation]')) {
+        return { stdout: `100 80 False ${orientation}` };
+      }
+      return { stdout: args.slice(3).map(() => '10 8').join('\n') };
+    },
+    async convert(args) {
+      // The XMP profile only exists while convert runs
+      const profile = args.find(arg => arg.endsWith('.xmp'));
+      this.calls.push({ args, profile: profile ? fs.readFileSync(profile, 'utf8') : null });
+      // Outputs are written as "<format>:<path>"; mpr: images stay in memory
+      args.forEach((arg, index) => {
+        const output = arg.replace(/^[a-z0-9]+:/, '');
+        if ((args[index - 1] === '-write' || index === args.length - 1) && output.startsWith(dir)) {
+          fs.writeFileSync(output, '');
+        }
+      });
+      return { stdout: '' };
+    },
+  };
+}
+
+async function render(body, options = {}) {
+  const renditions = resolveRenditions(body);
+  const outputs = await generateRenditions(imagePath, renditions, {
+    magick: createStubMagick(),
+    accept: 'image/*',
+    logger: quietLogger,
+    ...options,
+  });
+  outputs.forEach(output => fs.unlinkSync(output.path));
+  return outputs;
+}
+
+async function formatsFor(body, options = {}) {
+  return (await render(body, options)).map(output => output.format);
+}
+
+// The arguments of the single convert call for `body`
+async function convertArgsFor(body, options = {}) {
+  const magick = options.magick || createStubMagick();
+  await render(body, { ...options, magick });
+  return magick.calls[0].args;
+}
+
+test('opaque sources become JPEG unless padding or rotation adds transparency', async () => {
+  assert.deepEqual(await formatsFor({ width: 10, height: 8 }), ['jpeg']);
+  assert.deepEqual(await formatsFor({ width: 10, height: 8, fit: 'contain', background: 'transparent' }), ['png']);
+  assert.deepEqual(await formatsFor({ width: 10, height: 8, fit: 'contain', background: 'white' }), ['jpeg']);
+  assert.deepEqual(await formatsFor({ width: 10, height: 8 }, {
+    operations: [{ op: 'rotate', angle: 30, background: 'none' }],
+  }), ['png']);
+  assert.deepEqual(await formatsFor({ width: 10, height: 8 }, {
+    operations: [{ op: 'rotate', angle: 90, background: 'none' }],
+  }), ['jpeg']);
+});
+
+test('strip-private copyrights do not change the format', async () => {
+  const options = { accept: 'image/avif,image/webp', metadataPolicy: 'strip-private', copyright: '(c) Jane Doe' };
+  assert.deepEqual(await formatsFor({ width: 10, height: 8 }, options), ['avif']);
+  assert.deepEqual(await formatsFor({ width: 10, height: 8, format: 'webp' }, options), ['webp']);
+  assert.deepEqual(await formatsFor({ width: 10, height: 8, format: 'webp' }, { ...options, animate: true }), ['webp']);
+});
+
+test('the copyright is attached as XMP and removed afterwards', async () => {
+  const magick = createStubMagick();
+  await formatsFor({ width: 10, height: 8, format: 'avif' }, {
+    magick,
+    metadataPolicy: 'strip-private',
+    copyright: '(c) Jane & <Co>',
+  });
+  assert.match(magick.calls[0].profile, /<dc:rights><rdf:Alt><rdf:li xml:lang="x-default">\(c\) Jane &#38; &#60;Co&#62;<\/rdf:li>/);
+  assert.deepEqual(fs.readdirSync(dir), ['source.jpg']);
+
+  await formatsFor({ width: 10, height: 8 }, { magick, metadataPolicy: 'strip-private' });
+  assert.equal(magick.calls[1].profile, null);
+});
+
+test('the copyright is written as the image comment and an XMP profile', () => {
+  assert.deepEqual(buildMetadataArgs('strip-private', { copyright: '100% @Jane' }), [
+    '+profile', '!icc,*', '-set', 'comment', '100%% @Jane',
+  ]);
+  assert.deepEqual(buildMetadataArgs('strip-private', { copyright: '@/etc/passwd' }).slice(-1), [' @/etc/passwd']);
+  assert.deepEqual(buildMetadataArgs('strip-private', { copyright: '(c)', rightsProfile: '/tmp/rights.xmp' }).slice(-2), [
+    '-profile', '/tmp/rights.xmp',
+  ]);
+  assert.doesNotMatch(buildRightsXmp('a\nb'), /a\nb/);
+  assert.deepEqual(buildMetadataArgs('strip-all'), ['-strip']);
+});
+
+test('the EXIF orientation is applied first and crops are planned on the turned source', async () => {
+  const body = { width: 10, height: 10, fit: 'cover', focalPoint: '0.5,0.5' };
+  const upright = await convertArgsFor(body);
+  assert.deepEqual(upright.slice(0, 4), [`${imagePath}[0]`, '-auto-orient', '-write', 'mpr:source']);
+  assert.ok(upright.includes('13x10!'));
+
+  // RightTop (6) is stored on its side: 100x80 shows as 80x100
+  const turned = await convertArgsFor(body, { magick: createStubMagick({ orientation: 'RightTop' }) });
+  assert.ok(turned.includes('10x13!'));
+
+  const unturned = await convertArgsFor(body, { magick: createStubMagick({ orientation: 'RightTop' }), autoOrient: false });
+  assert.equal(unturned.includes('-auto-orient'), false);
+  assert.ok(unturned.includes('13x10!'));
+});
+
+test('embedded colour profiles are converted to the given profile once', async () => {
+  const args = await convertArgsFor({ renditions: [{ name: 'a', width: 10, height: 8 }, { name: 'b', width: 20, height: 16 }] }, {
+    colorProfile: '/usr/share/color/icc/sRGB.icc',
+  });
+  assert.deepEqual(args.slice(0, 6), [`${imagePath}[0]`, '-auto-orient', '-profile', '/usr/share/color/icc/sRGB.icc', '-write', 'mpr:source']);
+  assert.equal(args.filter(arg => arg === '/usr/share/color/icc/sRGB.icc').length, 1);
+  assert.equal((await convertArgsFor({ width: 10, height: 8 })).includes('-profile'), false);
+});
+
+test('a single frame is read from its index, or every frame is coalesced for animation', async () => {
+  const still = await convertArgsFor({ width: 10, height: 8 }, { frame: 3 });
+  assert.equal(still[0], `${imagePath}[3]`);
+  assert.equal(still.includes('-coalesce'), false);
+
+  const animated = await convertArgsFor({ width: 10, height: 8, format: 'gif' }, { animate: true });
+  assert.deepEqual(animated.slice(0, 3), [imagePath, '-coalesce', '-auto-orient']);
+  assert.equal((await render({ width: 10, height: 8, format: 'gif' }, { animate: true }))[0].animated, true);
+});
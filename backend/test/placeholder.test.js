@@ -0,0 +1,77 @@
+// placeholder.test.js
+// BlurHash, LQIP, dominant colour and palette computed from the pixels
+// ImageMagick reads back from a rendition.
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildPalette, createPlaceholder, encodeBlurhash } = require('../lib/placeholder');
+
+const BASE83 = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz#$%*+,-.:;=?@[]^_{|}~';
+const decode83 = text => [...text].reduce((value, char) => value * 83 + BASE83.indexOf(char), 0);
+
+// `width` x `height` RGB pixels, each coloured by `colorAt(x, y)`
+function pixelsOf(width, height, colorAt) {
+  const pixels = [];
+  for (let y = 0; y < height; y += 1) {
+    for (let x = 0; x < width; x += 1) {
+      pixels.push(...colorAt(x, y));
+    }
+  }
+  return Buffer.from(pixels);
+}
+
+test('hashes carry the component counts and the average colour', () => {
+  const hash = encodeBlurhash(pixelsOf(8, 6, () => [255, 0, 0]), 8, 6);
+  assert.equal(hash.length, 6 + 2 * (4 * 3 - 1));
+  assert.equal(decode83(hash[0]), (4 - 1) + (3 - 1) * 9);
+  assert.equal(decode83(hash.slice(2, 6)), 0xff0000);
+  assert.equal(encodeBlurhash(pixelsOf(8, 6, () => [255, 0, 0]), 8, 6, 1, 1), `00${hash.slice(2, 6)}`);
+});
+
+test('the direction of detail shows up in the AC components', () => {
+  const horizontal = encodeBlurhash(pixelsOf(8, 8, x => [x * 32, x * 32, x * 32]), 8, 8);
+  const vertical = encodeBlurhash(pixelsOf(8, 8, (x, y) => [y * 32, y * 32, y * 32]), 8, 8);
+  assert.equal(horizontal.slice(0, 6), vertical.slice(0, 6));
+  assert.notEqual(horizontal.slice(6), vertical.slice(6));
+});
+
+test('palettes list the main colours by share', () => {
+  const pixels = pixelsOf(4, 4, x => (x < 2 ? [0, 0, 255] : [255, 0, 0]));
+  assert.deepEqual(buildPalette(pixels, 2), [
+    { color: '#0000ff', share: 0.5 },
+    { color: '#ff0000', share: 0.5 },
+  ]);
+  const shares = buildPalette(pixelsOf(4, 4, x => (x < 1 ? [0, 0, 255] : [255, 0, 0]))).map(entry => entry.share);
+  assert.deepEqual(shares, [...shares].sort((a, b) => b - a));
+  assert.equal(shares.reduce((sum, share) => sum + share, 0), 1);
+  assert.deepEqual(buildPalette(pixelsOf(2, 2, () => [16, 32, 48])), [{ color: '#102030', share: 1 }]);
+  assert.deepEqual(buildPalette(Buffer.alloc(0)), []);
+  assert.ok(buildPalette(pixelsOf(16, 16, (x, y) => [x * 16, y * 16, 0])).length <= 5);
+});
+
+test('placeholders are read from a small sample of the rendition', async () => {
+  const calls = [];
+  const magick = {
+    async convert(args) {
+      calls.push(args);
+      const [width, height] = args[args.indexOf('-resize') + 1].slice(0, -1).split('x').map(Number);
+      return { stdout: args[args.length - 1] === 'rgb:-' ? pixelsOf(width, height, () => [0, 128, 0]) : Buffer.from('jpeg') };
+    },
+  };
+
+  const placeholder = await createPlaceholder(magick, '/tmp/thumbnail.png', { width: 100, height: 200 });
+  assert.deepEqual(calls.map(args => args[args.indexOf('-resize') + 1]), ['16x32!', '8x16!']);
+  assert.equal(calls[0][0], '/tmp/thumbnail.png[0]');
+  assert.equal(placeholder.lqip, `data:image/jpeg;base64,${Buffer.from('jpeg').toString('base64')}`);
+  assert.equal(placeholder.dominantColor, '#008000');
+  assert.deepEqual(placeholder.palette, [{ color: '#008000', share: 1 }]);
+  // Portrait renditions get more vertical components
+  assert.equal(decode83(placeholder.blurhash[0]), (3 - 1) + (4 - 1) * 9);
+});
+
+test('short pixel reads are an error', async () => {
+  const magick = { convert: async () => ({ stdout: Buffer.alloc(5) }) };
+  await assert.rejects(createPlaceholder(magick, '/tmp/thumbnail.png', { width: 10, height: 10 }), {
+    status: 500,
+    code: 'PLACEHOLDER_FAILED',
+  });
+});
@@ -0,0 +1,47 @@
+// renditions.test.js
+// Renditions from presets, explicit lists and width/height, and the 400s for
+// requests that name something else.
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { resolveRenditions } = require('../lib/renditions');
+const { createTestApp } = require('./helpers');
+
+test('presets and scales expand into named renditions', () => {
+  const renditions = resolveRenditions({ preset: 'social' });
+  assert.deepEqual(renditions.map(rendition => rendition.name), ['avatar', 'avatar@2x', 'card', 'card@2x', 'hero']);
+  assert.deepEqual(renditions.slice(0, 2).map(rendition => [rendition.width, rendition.height]), [[150, 150], [300, 300]]);
+
+  const listed = resolveRenditions({ renditions: JSON.stringify([{ name: 'icon', width: 32, height: 32, scales: [1, 3] }]) });
+  assert.deepEqual(listed.map(rendition => [rendition.name, rendition.width]), [['icon', 32], ['icon@3x', 96]]);
+  assert.deepEqual(resolveRenditions({ width: '40' }).map(rendition => [rendition.name, rendition.width, rendition.height]), [
+    ['default', 40, 200],
+  ]);
+});
+
+test('unknown presets are rejected, including inherited property names', () => {
+  ['constructor', 'toString', '__proto__', 'poster'].forEach(preset => {
+    assert.throws(() => resolveRenditions({ preset }), { code: 'INVALID_RENDITION', message: /Unknown preset/ }, preset);
+  });
+});
+
+test('scales must be a list of factors from 1 to 4', () => {
+  const withScales = scales => ({ renditions: [{ name: 'icon', width: 32, height: 32, scales }] });
+  [2, '12', {}, []].forEach(scales => {
+    assert.throws(() => resolveRenditions(withScales(scales)), { code: 'INVALID_RENDITION' }, JSON.stringify(scales));
+  });
+  assert.throws(() => resolveRenditions(withScales([1, 5])), { message: /invalid scale "5"/ });
+});
+
+test('bad presets and scales answer 400', async t => {
+  const { app, cleanup } = createTestApp();
+  t.after(cleanup);
+
+  const preset = await request(app).post('/thumbnail').send({ imageUrl: 'https://example.com/a.png', preset: 'constructor' }).expect(400);
+  assert.equal(preset.body.code, 'INVALID_RENDITION');
+  const scales = await request(app)
+    .post('/thumbnail')
+    .send({ imageUrl: 'https://example.com/a.png', renditions: [{ name: 'icon', width: 32, height: 32, scales: '12' }] })
+    .expect(400);
+  assert.equal(scales.body.code, 'INVALID_RENDITION');
+});
@@ -0,0 +1,79 @@
+// responsive.test.js
+// Responsive sets: parsing the `responsive` field, the renditions it asks
+// for, and the srcset and <picture> markup built from them.
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { resolveRenditions } = require('../lib/renditions');
+const { buildResponsiveMarkup, parseResponsiveOptions, responsiveRenditions } = require('../lib/responsive');
+const { createTestApp } = require('./helpers');
+
+const widths = count => Array.from({ length: count }, (value, index) => 100 * (index + 1));
+
+test('options are parsed from JSON strings with defaults filled in', () => {
+  assert.equal(parseResponsiveOptions({}), null);
+  assert.deepEqual(parseResponsiveOptions({ responsive: JSON.stringify({ widths: [640, 320, 640], formats: ['JPG', 'avif'] }) }), {
+    widths: [320, 640],
+    formats: ['jpeg', 'avif'],
+    sizes: null,
+    alt: '',
+  });
+  assert.deepEqual(parseResponsiveOptions({ responsive: { widths: [320] } }).formats, ['webp', 'jpeg']);
+  assert.throws(() => parseResponsiveOptions({ responsive: { widths: [320] }, preset: 'social' }), { code: 'INVALID_RESPONSIVE' });
+  assert.throws(() => parseResponsiveOptions({ responsive: { widths: [0] } }), { message: /Invalid width "0"/ });
+  assert.throws(() => parseResponsiveOptions({ responsive: { widths: [320], formats: ['gif'] } }), { message: /Unknown format "gif"/ });
+});
+
+test('widths times formats are held to the rendition limit', () => {
+  const options = parseResponsiveOptions({ responsive: { widths: widths(5), formats: ['avif', 'webp', 'jpeg', 'png'] } });
+  assert.equal(resolveRenditions({}, { variants: responsiveRenditions(options) }).length, 20);
+
+  assert.throws(
+    () => parseResponsiveOptions({ responsive: { widths: widths(10), formats: ['avif', 'webp', 'jpeg'] } }),
+    { code: 'INVALID_RESPONSIVE', message: '10 widths in 3 formats make 30 renditions; at most 20 are allowed per request' }
+  );
+});
+
+test('too many renditions answer 400 before anything is downloaded', async t => {
+  const { app, cleanup } = createTestApp();
+  t.after(cleanup);
+
+  const res = await request(app)
+    .post('/thumbnail')
+    .send({ imageUrl: 'https://example.com/image.png', responsive: { widths: widths(10), formats: ['avif', 'webp', 'jpeg', 'png'] } })
+    .expect(400);
+  assert.equal(res.body.code, 'INVALID_RESPONSIVE');
+  assert.match(res.body.error, /40 renditions/);
+});
+
+test('variants are named by width and format and only bounded by width', () => {
+  assert.deepEqual(responsiveRenditions({ widths: [320, 640], formats: ['webp', 'jpeg'] }).map(spec => [spec.name, spec.fit]), [
+    ['w320-webp', 'inside'],
+    ['w640-webp', 'inside'],
+    ['w320-jpeg', 'inside'],
+    ['w640-jpeg', 'inside'],
+  ]);
+});
+
+test('markup lists modern formats as sources and falls back to JPEG', () => {
+  const rendition = (format, width, height) => ({ format, width, height, url: `https://cdn.test/${width}.${format}?a=1&b=2` });
+  // A 500px source: the 640 variant is not enlarged, so both are 500px wide
+  const markup = buildResponsiveMarkup({ formats: ['webp', 'jpeg'], sizes: null, alt: 'A "quoted" <alt>' }, [
+    rendition('webp', 320, 240), rendition('webp', 500, 375), rendition('webp', 500, 375),
+    rendition('jpeg', 320, 240), rendition('jpeg', 500, 375), rendition('jpeg', 500, 375),
+  ]);
+
+  assert.equal(markup.srcset, 'https://cdn.test/320.jpeg?a=1&b=2 320w, https://cdn.test/500.jpeg?a=1&b=2 500w');
+  assert.equal(markup.sizes, '(max-width: 500px) 100vw, 500px');
+  assert.deepEqual(markup.sources.map(source => source.type), ['image/webp']);
+  assert.equal(markup.picture, [
+    '<picture>',
+    '  <source type="image/webp" srcset="https://cdn.test/320.webp?a=1&amp;b=2 320w, https://cdn.test/500.webp?a=1&amp;b=2 500w"'
+      + ' sizes="(max-width: 500px) 100vw, 500px">',
+    '  <img src="https://cdn.test/500.jpeg?a=1&amp;b=2"'
+      + ' srcset="https://cdn.test/320.jpeg?a=1&amp;b=2 320w, https://cdn.test/500.jpeg?a=1&amp;b=2 500w"'
+      + ' sizes="(max-width: 500px) 100vw, 500px" width="500" height="375" alt="A &quot;quoted&quot; &lt;alt&gt;"'
+      + ' loading="lazy" decoding="async">',
+    '</picture>',
+  ].join('\n'));
+});
@@ -0,0 +1,132 @@
+// retention.test.js
+// The sweeper removes temporary files past their age and keeps stored
+// renditions within their age and size limits, oldest first.
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const { createSweeper } = require('../lib/retention');
+const { createStorage } = require('../lib/storage');
+const { PNG, createTestApp, filesIn } = require('./helpers');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'thumbnail-retention-'));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const HOUR = 60 * 60 * 1000;
+const quietLogger = { debug() {}, info() {}, warn() {}, error() {} };
+
+// A file last modified `ageMs` ago
+function writeAged(folder, name, bytes, ageMs) {
+  fs.mkdirSync(folder, { recursive: true });
+  const filePath = path.join(folder, name);
+  fs.writeFileSync(filePath, Buffer.alloc(bytes));
+  const modified = new Date(Date.now() - ageMs);
+  fs.utimesSync(filePath, modified, modified);
+  return filePath;
+}
+
+// A storage driver holding objects created `ageMs` ago
+function memoryStorage(objects) {
+  const records = new Map(objects.map(({ id, bytes, ageMs }) => [
+    id, { id, bytes, createdAt: new Date(Date.now() - ageMs).toISOString() },
+  ]));
+  return {
+    async list() {
+      return [...records.values()];
+    },
+    async delete(id) {
+      return records.delete(id);
+    },
+    ids: () => [...records.keys()].sort(),
+  };
+}
+
+test('files older than the directory limit are removed', async () => {
+  const uploads = path.join(dir, 'uploads');
+  writeAged(uploads, 'stale', 10, 2 * HOUR);
+  writeAged(uploads, 'fresh', 20, 0);
+  writeAged(uploads, '.keep', 5, 2 * HOUR);
+  fs.mkdirSync(path.join(uploads, 'nested'));
+  const unlimited = path.join(dir, 'unlimited');
+  writeAged(unlimited, 'stale', 10, 2 * HOUR);
+
+  const sweeper = createSweeper({
+    directories: [
+      { name: 'uploads', path: uploads, maxAgeMs: HOUR },
+      { name: 'unlimited', path: unlimited },
+      { name: 'missing', path: path.join(dir, 'missing'), maxAgeMs: HOUR },
+    ],
+    logger: quietLogger,
+  });
+  const { removed } = await sweeper.sweep();
+  assert.deepEqual(removed, {
+    uploads: { files: 1, bytes: 10 },
+    unlimited: { files: 0, bytes: 0 },
+    missing: { files: 0, bytes: 0 },
+  });
+  assert.deepEqual(filesIn(uploads).sort(), ['.keep', 'fresh', 'nested']);
+  assert.deepEqual(filesIn(unlimited), ['stale']);
+});
+
+test('stores drop expired objects, then the oldest until under their size limit', async () => {
+  const storage = memoryStorage([
+    { id: 'expired', bytes: 50, ageMs: 3 * HOUR },
+    { id: 'old', bytes: 40, ageMs: 2 * HOUR },
+    { id: 'older', bytes: 30, ageMs: 2.5 * HOUR },
+    { id: 'new', bytes: 40, ageMs: 0 },
+  ]);
+  const sweeper = createSweeper({
+    stores: [{ name: 'thumbnails', storage, maxAgeMs: 2.75 * HOUR, maxBytes: 80 }],
+    logger: quietLogger,
+  });
+  const { removed } = await sweeper.sweep();
+  assert.deepEqual(removed, { thumbnails: { files: 2, bytes: 80 } });
+  assert.deepEqual(storage.ids(), ['new', 'old']);
+
+  const usage = (await sweeper.usage()).thumbnails;
+  assert.equal(usage.files, 2);
+  assert.equal(usage.bytes, 80);
+  assert.equal(usage.maxAgeMs, 2.75 * HOUR);
+  assert.equal(usage.maxBytes, 80);
+  assert.ok(Date.parse(usage.oldest) < Date.parse(usage.newest));
+});
+
+test('sweeps never overlap', async () => {
+  const storage = memoryStorage([{ id: 'a', bytes: 1, ageMs: 2 * HOUR }]);
+  let lists = 0;
+  const counted = { ...storage, list: () => { lists += 1; return storage.list(); } };
+  const sweeper = createSweeper({ stores: [{ name: 'store', storage: counted, maxAgeMs: HOUR }], logger: quietLogger });
+  const [first, second] = await Promise.all([sweeper.sweep(), sweeper.sweep()]);
+  assert.equal(first, second);
+  assert.equal(lists, 1);
+  assert.deepEqual(first.removed.store, { files: 1, bytes: 1 });
+});
+
+test('admins can read storage usage and purge on demand', async t => {
+  const { app, dir: appDir, cleanup } = createTestApp({
+    adminToken: 'admin-secret',
+    retention: { uploadMaxAgeMs: HOUR, thumbnailMaxBytes: PNG.length },
+  });
+  t.after(cleanup);
+  writeAged(path.join(appDir, 'uploads'), 'abandoned', 10, 2 * HOUR);
+  const storage = createStorage({ root: path.join(appDir, 'storage') });
+  for (const id of ['first.png', 'second.png']) {
+    const filePath = path.join(appDir, `${id}.upload`);
+    fs.writeFileSync(filePath, PNG);
+    await storage.put(id, filePath, { contentType: 'image/png' });
+  }
+
+  await request(app).get('/admin/storage').expect(401);
+  await request(app).get('/admin/storage').set('Authorization', 'Bearer wrong').expect(403);
+  const usage = await request(app).get('/admin/storage').set('Authorization', 'Bearer admin-secret').expect(200);
+  assert.equal(usage.body.uploads.files, 1);
+  assert.equal(usage.body.thumbnails.files, 2);
+
+  const purged = await request(app).post('/admin/storage/purge').set('Authorization', 'Bearer admin-secret').expect(200);
+  assert.deepEqual(purged.body.removed.uploads, { files: 1, bytes: 10 });
+  assert.deepEqual(purged.body.removed.thumbnails, { files: 1, bytes: PNG.length });
+  assert.equal(purged.body.usage.thumbnails.files, 1);
+  assert.deepEqual(filesIn(path.join(appDir, 'uploads')), []);
+});
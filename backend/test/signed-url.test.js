@@ -0,0 +1,83 @@
+// signed-url.test.js
+// POST /sources signs only allowlisted transforms, and GET /img serves
+// signed URLs from the cache once rendered.
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const request = require('supertest');
+const { canonicalTransformParams, signedPath } = require('../lib/signed-url');
+const { PNG, createTestApp, filesIn, needsImageMagick } = require('./helpers');
+
+const { app, dir, cleanup } = createTestApp({ imageTransforms: ['w_8,h_6,fit_cover', 'w_4,h_3'] });
+after(cleanup);
+
+test('transform parameters have one canonical spelling', () => {
+  assert.equal(canonicalTransformParams('fit_cover,h_6,w_8'), 'w_8,h_6,fit_cover');
+  assert.throws(() => canonicalTransformParams('w_8,w_9'), { code: 'INVALID_TRANSFORM' });
+  assert.throws(() => canonicalTransformParams('x_1'), { code: 'INVALID_TRANSFORM' });
+});
+
+test('allowlisted transforms that would not render fail startup', () => {
+  [
+    ['w_320', /Invalid imageTransforms entry "w_320": .*invalid height/],
+    ['w_9999,h_10', /invalid width/],
+    ['w_10,h_10,fit_stretch', /fit/],
+    ['w_10,h_10,x_1', /Invalid transform parameter "x_1"/],
+  ].forEach(([transform, message]) => {
+    assert.throws(() => createTestApp({ imageTransforms: [transform] }), { message }, transform);
+  });
+});
+
+test('transforms outside the allowlist are not signed', async () => {
+  const res = await request(app)
+    .post('/sources')
+    .field('transforms', JSON.stringify(['h_3,w_4', 'w_4000,h_3']))
+    .expect(403);
+  assert.equal(res.body.code, 'TRANSFORM_NOT_ALLOWED');
+  assert.match(res.body.error, /w_4000/);
+});
+
+test('URLs with a wrong signature are refused', async () => {
+  const forged = signedPath('w_4000', 'missing.png', 'another-secret');
+  const res = await request(app).get(forged).expect(403);
+  assert.equal(res.body.code, 'INVALID_SIGNATURE');
+});
+
+test('signed URLs for a missing source answer 404', async () => {
+  const res = await request(app).get(signedPath('w_4,h_3', 'missing.png', 'test-image-url-secret')).expect(404);
+  assert.equal(res.body.code, 'SOURCE_NOT_FOUND');
+});
+
+test('a source may not be both uploaded and downloaded', { skip: needsImageMagick }, async () => {
+  const res = await request(app)
+    .post('/sources')
+    .field('imageUrl', 'https://example.com/image.png')
+    .attach('image', PNG, 'gradient.png')
+    .expect(400);
+  assert.equal(res.body.code, 'CONFLICTING_SOURCE');
+  assert.deepEqual(filesIn(path.join(dir, 'uploads')), []);
+});
+
+test('repeat and conditional /img requests are answered from the cache', { skip: needsImageMagick }, async () => {
+  const created = await request(app)
+    .post('/sources')
+    .field('transforms', JSON.stringify(['h_6,fit_cover,w_8']))
+    .attach('image', PNG, 'gradient.png')
+    .expect(201);
+  const url = new URL(created.body.urls['h_6,fit_cover,w_8']);
+  assert.match(url.pathname, /\/w_8,h_6,fit_cover\//);
+
+  const first = await request(app).get(url.pathname).set('Accept', 'image/png').expect(200);
+  assert.equal(first.headers['x-cache'], 'MISS');
+
+  const second = await request(app).get(url.pathname).set('Accept', 'image/png').expect(200);
+  assert.equal(second.headers['x-cache'], 'HIT');
+  assert.equal(second.headers.etag, first.headers.etag);
+
+  await request(app)
+    .get(url.pathname)
+    .set('Accept', 'image/png')
+    .set('If-None-Match', first.headers.etag)
+    .expect(304);
+  assert.deepEqual(filesIn(path.join(dir, 'uploads')), []);
+});
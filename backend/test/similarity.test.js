@@ -0,0 +1,85 @@
+// similarity.test.js
+// The similarity index finds the same duplicates through its band buckets
+// as a comparison with every entry would.
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createSimilarityIndex } = require('../lib/similarity');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'thumbnail-similarity-'));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const quietLogger = { debug() {}, info() {}, warn() {}, error() {} };
+
+// Deterministic pseudo-random hashes, so failures can be reproduced
+function createRandom(seed) {
+  let state = seed;
+  return () => {
+    state = (Math.imul(state, 1664525) + 1013904223) >>> 0;
+    return state;
+  };
+}
+
+function randomHash(random) {
+  return [random(), random()].map(word => word.toString(16).padStart(8, '0')).join('');
+}
+
+// `hash` with `bits` distinct bits flipped
+function flipBits(hash, bits, random) {
+  let value = BigInt(`0x${hash}`);
+  const flipped = new Set();
+  while (flipped.size < bits) {
+    flipped.add(random() % 64);
+  }
+  flipped.forEach(bit => {
+    value ^= 1n << BigInt(bit);
+  });
+  return value.toString(16).padStart(16, '0');
+}
+
+function waitForWrites() {
+  return new Promise(resolve => setTimeout(resolve, 50));
+}
+
+test('near duplicates match a full comparison', () => {
+  const random = createRandom(42);
+  const index = createSimilarityIndex({ file: path.join(dir, 'random.jsonl'), maxDistance: 10, logger: quietLogger });
+  const hashes = Array.from({ length: 2000 }, () => randomHash(random));
+  hashes.forEach((dhash, i) => index.add(`image-${i}`, { sha256: `sha-${i}`, dhash }));
+
+  for (let bits = 0; bits <= 14; bits += 1) {
+    const fingerprint = { sha256: 'other', dhash: flipBits(hashes[bits * 100], bits, random) };
+    // Equally distant matches may come in either order
+    const byId = matches => [...matches].sort((a, b) => a.id.localeCompare(b.id));
+    const expected = index.closest(fingerprint, { limit: hashes.length }).filter(match => match.match !== null);
+    assert.deepEqual(byId(index.duplicates(fingerprint)), byId(expected), `${bits} bits apart`);
+    assert.equal(expected.some(match => match.id === `image-${bits * 100}`), bits <= 10);
+  }
+});
+
+test('exact copies are reported before near ones', () => {
+  const index = createSimilarityIndex({ file: path.join(dir, 'exact.jsonl'), logger: quietLogger });
+  index.add('near', { sha256: 'b', dhash: '00000000000000f0' });
+  index.add('copy', { sha256: 'a', dhash: '00000000000000ff' });
+  assert.deepEqual(
+    index.duplicates({ sha256: 'a', dhash: '00000000000000ff' }).map(match => [match.id, match.match, match.distance]),
+    [['copy', 'exact', 0], ['near', 'near', 4]]
+  );
+});
+
+test('removed and trimmed entries are no longer found, also after a restart', async () => {
+  const file = path.join(dir, 'restart.jsonl');
+  const index = createSimilarityIndex({ file, maxEntries: 2, logger: quietLogger });
+  index.add('oldest', { sha256: 'a', dhash: '000000000000000f' });
+  index.add('removed', { sha256: 'b', dhash: '000000000000001f' });
+  index.add('kept', { sha256: 'c', dhash: '000000000000003f' });
+  index.remove('removed');
+  await waitForWrites();
+
+  const fingerprint = { sha256: 'd', dhash: '000000000000007f' };
+  assert.deepEqual(index.duplicates(fingerprint).map(match => match.id), ['kept']);
+  const reloaded = createSimilarityIndex({ file, maxEntries: 2, logger: quietLogger });
+  assert.deepEqual(reloaded.duplicates(fingerprint).map(match => match.id), ['kept']);
+});
@@ -0,0 +1,43 @@
+// ssrf.test.js
+// imageUrl downloads and callbackUrls never reach loopback, private or
+// link-local addresses.
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const request = require('supertest');
+const { isBlockedAddress } = require('../lib/download');
+const { createTestApp, filesIn } = require('./helpers');
+
+const { app, dir, cleanup } = createTestApp({ webhookSecret: 'test-webhook-secret' });
+after(cleanup);
+
+test('internal addresses are blocked', () => {
+  ['127.0.0.1', '10.1.2.3', '172.16.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0',
+    '::1', 'fd00::1', 'fe80::1', '::ffff:10.0.0.1'].forEach(address => {
+    assert.equal(isBlockedAddress(address), true, address);
+  });
+  ['93.184.216.34', '2606:2800:220:1:248:1893:25c8:1946'].forEach(address => {
+    assert.equal(isBlockedAddress(address), false, address);
+  });
+});
+
+for (const imageUrl of ['http://127.0.0.1/image.png', 'http://169.254.169.254/latest/meta-data', 'http://localhost:9/image.png']) {
+  test(`downloads from ${imageUrl} are refused`, async () => {
+    const res = await request(app).post('/thumbnail').send({ imageUrl }).expect(403);
+    assert.equal(res.body.code, 'BLOCKED_ADDRESS');
+    assert.deepEqual(filesIn(path.join(dir, 'uploads')), []);
+  });
+}
+
+test('only http and https URLs are downloaded', async () => {
+  const res = await request(app).post('/thumbnail').send({ imageUrl: 'file:///etc/passwd' }).expect(400);
+  assert.equal(res.body.code, 'INVALID_URL');
+});
+
+test('callbacks to internal addresses are refused before the job starts', async () => {
+  const res = await request(app)
+    .post('/jobs')
+    .send({ imageUrl: 'https://example.com/image.png', callbackUrl: 'http://10.0.0.5/hook' })
+    .expect(403);
+  assert.equal(res.body.code, 'BLOCKED_ADDRESS');
+});
@@ -0,0 +1,64 @@
+// thumbnails.test.js
+// Stored renditions are served from GET /thumbnails/:id with long-lived
+// caching headers and answer conditional requests with 304.
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const request = require('supertest');
+const { createStorage } = require('../lib/storage');
+const { PNG, binary, createTestApp } = require('./helpers');
+
+const { app, dir, cleanup } = createTestApp();
+after(cleanup);
+
+// The app's rendition storage, written to directly so no rendering is needed
+const storage = createStorage({ root: path.join(dir, 'storage') });
+
+async function storeThumbnail(id) {
+  const filePath = path.join(dir, `${id}.upload`);
+  fs.writeFileSync(filePath, PNG);
+  return storage.put(id, filePath, { contentType: 'image/png' });
+}
+
+test('stored renditions are served with caching headers', async () => {
+  const record = await storeThumbnail('served.png');
+  assert.match(record.etag, /^"[0-9a-f]{64}"$/);
+  assert.deepEqual((await storage.list()).map(stored => stored.id), ['served.png']);
+
+  const res = await request(app).get('/thumbnails/served.png').buffer(true).parse(binary).expect(200);
+  assert.deepEqual(res.body, PNG);
+  assert.equal(res.headers['content-type'], 'image/png');
+  assert.equal(res.headers['content-length'], String(PNG.length));
+  assert.equal(res.headers.etag, record.etag);
+  assert.equal(res.headers['cache-control'], 'public, max-age=31536000, immutable');
+  assert.equal(res.headers['last-modified'], new Date(record.createdAt).toUTCString());
+});
+
+test('conditional requests are answered with 304', async () => {
+  const record = await storeThumbnail('conditional.png');
+
+  const matched = await request(app).get('/thumbnails/conditional.png').set('If-None-Match', record.etag).expect(304);
+  assert.equal(matched.headers.etag, record.etag);
+  assert.ok(!matched.text);
+  await request(app)
+    .get('/thumbnails/conditional.png')
+    .set('If-Modified-Since', new Date(Date.now() + 60000).toUTCString())
+    .expect(304);
+  await request(app).get('/thumbnails/conditional.png').set('If-None-Match', '"something-else"').expect(200);
+});
+
+test('unknown and malformed ids answer 404', async () => {
+  for (const id of ['missing.png', '..%2Fapi-keys.json', 'a.b.c']) {
+    const res = await request(app).get(`/thumbnails/${id}`).expect(404);
+    assert.equal(res.body.code, 'NOT_FOUND', id);
+  }
+});
+
+test('deleted renditions are gone', async () => {
+  await storeThumbnail('deleted.png');
+  assert.equal(await storage.delete('deleted.png'), true);
+  assert.equal(await storage.stat('deleted.png'), null);
+  assert.equal(await storage.delete('deleted.png'), false);
+  await request(app).get('/thumbnails/deleted.png').expect(404);
+});
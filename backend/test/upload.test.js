@@ -0,0 +1,121 @@
+// upload.test.js
+// Every source is checked before ImageMagick decodes it: the type comes from
+// its magic bytes rather than its name, and size and pixel limits are
+// enforced from headers alone.
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const { sniffBuffer } = require('../lib/sniff');
+const { createSourceValidator, parseFormatList, uploadError } = require('../lib/upload');
+const { PNG, createTestApp, filesIn } = require('./helpers');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'thumbnail-upload-'));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+function fileWith(name, contents) {
+  const filePath = path.join(dir, name);
+  fs.writeFileSync(filePath, contents);
+  return filePath;
+}
+
+// identify reporting one "<width> <height>" line per frame
+function stubMagick(...frames) {
+  return {
+    async identify() {
+      return { stdout: frames.map(frame => `${frame}\n`).join('') };
+    },
+  };
+}
+
+test('types are recognised from their leading bytes', () => {
+  const sniffed = contents => {
+    const type = sniffBuffer(Buffer.from(contents, 'latin1'));
+    return type && type.format;
+  };
+  assert.equal(sniffed('\xff\xd8\xff\xe0\x00\x10JFIF'), 'jpeg');
+  assert.equal(sniffBuffer(PNG).format, 'png');
+  assert.equal(sniffed('GIF89a'), 'gif');
+  assert.equal(sniffed('RIFF\x00\x00\x00\x00WEBPVP8 '), 'webp');
+  assert.equal(sniffed('\x00\x00\x00\x1cftypavif'), 'avif');
+  assert.equal(sniffed('\x00\x00\x00\x18ftypheic'), 'heic');
+  assert.equal(sniffed('%PDF-1.7'), 'pdf');
+  assert.deepEqual(sniffBuffer(Buffer.from('\x00\x00\x00\x20ftypisom', 'latin1')), {
+    format: 'mp4', mimeType: 'video/mp4', extension: 'mp4', video: true,
+  });
+  assert.equal(sniffed('\x1a\x45\xdf\xa3\x9f\x42\x82\x84webm'), 'webm');
+  assert.equal(sniffed('PK\x03\x04'), 'zip');
+  assert.equal(sniffed('<svg xmlns="http://www.w3.org/2000/svg"/>'), null);
+  assert.equal(sniffed(''), null);
+});
+
+test('files are refused by type, size and dimensions', async () => {
+  const validator = createSourceValidator({ magick: stubMagick('800 600'), maxBytes: 1024 });
+  assert.equal((await validator.validate(fileWith('ok.bin', PNG))).format, 'png');
+
+  await assert.rejects(validator.validate(fileWith('script.png', '<?php echo 1;')), {
+    status: 415,
+    code: 'UNSUPPORTED_MEDIA_TYPE',
+    message: /^Unsupported file type\. Accepted: jpeg, png/,
+  });
+  await assert.rejects(validator.validate(fileWith('large.png', Buffer.concat([PNG, Buffer.alloc(1024)]))), {
+    status: 413,
+    code: 'UPLOAD_TOO_LARGE',
+  });
+
+  const pngOnly = createSourceValidator({ magick: stubMagick('8 6'), allowedFormats: ['png'] });
+  await assert.rejects(pngOnly.validate(fileWith('doc.pdf', '%PDF-1.7')), { code: 'UNSUPPORTED_MEDIA_TYPE', message: /"pdf"/ });
+
+  // Every page counts, not only the first
+  const tall = createSourceValidator({ magick: stubMagick('800 600', '100 20000') });
+  await assert.rejects(tall.validate(fileWith('pages.png', PNG)), { status: 413, code: 'IMAGE_DIMENSIONS_TOO_LARGE' });
+  const bomb = createSourceValidator({ magick: stubMagick('15000 15000') });
+  await assert.rejects(bomb.validate(fileWith('bomb.png', PNG)), {
+    status: 413,
+    code: 'IMAGE_TOO_MANY_PIXELS',
+    message: 'Image has 225.00 megapixels; at most 100 are allowed',
+  });
+});
+
+test('videos are not measured until their poster frame exists', async () => {
+  const validator = createSourceValidator({
+    magick: { identify: () => assert.fail('identify should not run for videos') },
+  });
+  assert.equal((await validator.validate(fileWith('clip.mp4', '\x00\x00\x00\x20ftypisom'))).video, true);
+});
+
+test('format lists and multer errors are checked', () => {
+  assert.deepEqual(parseFormatList(' JPEG, png,,webp '), ['jpeg', 'png', 'webp']);
+  assert.throws(() => parseFormatList('png,svg,zip'), /Unknown upload formats: svg, zip/);
+  assert.deepEqual(
+    [{ code: 'LIMIT_FILE_SIZE' }, { code: 'LIMIT_FILE_COUNT' }, { code: 'LIMIT_UNEXPECTED_FILE', field: 'x' }, { message: 'oops' }]
+      .map(error => [uploadError(error, { maxBytes: 10 }).status, uploadError(error, { maxBytes: 10 }).code]),
+    [[413, 'UPLOAD_TOO_LARGE'], [413, 'TOO_MANY_FILES'], [400, 'UNEXPECTED_FILE'], [400, 'INVALID_UPLOAD']]
+  );
+});
+
+test('uploads that fail validation are refused and removed', async t => {
+  const { app, dir: appDir, cleanup } = createTestApp({ upload: { maxBytes: 1024 } });
+  t.after(cleanup);
+  const uploads = path.join(appDir, 'uploads');
+
+  const renamed = await request(app)
+    .post('/thumbnail')
+    .attach('image', Buffer.from('<html><script>alert(1)</script></html>'), 'photo.png')
+    .expect(415);
+  assert.equal(renamed.body.code, 'UNSUPPORTED_MEDIA_TYPE');
+  assert.deepEqual(filesIn(uploads), []);
+
+  const large = await request(app)
+    .post('/thumbnail')
+    .attach('image', Buffer.concat([PNG, Buffer.alloc(2048)]), 'large.png')
+    .expect(413);
+  assert.equal(large.body.code, 'UPLOAD_TOO_LARGE');
+  assert.deepEqual(filesIn(uploads), []);
+
+  const unexpected = await request(app).post('/thumbnail').attach('other', PNG, 'a.png').expect(400);
+  assert.equal(unexpected.body.code, 'UNEXPECTED_FILE');
+  assert.deepEqual(filesIn(uploads), []);
+});
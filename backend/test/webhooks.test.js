@@ -0,0 +1,135 @@
+// webhooks.test.js
+// Signed webhook deliveries, retries with backoff and the dead-letter file,
+// against a throwaway receiver, and callbacks for finished jobs.
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { once } = require('events');
+const request = require('supertest');
+const { createWebhookSender, signPayload } = require('../lib/webhooks');
+const { createTestApp } = require('./helpers');
+
+const SECRET = 'test-webhook-secret';
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'thumbnail-webhooks-'));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const quietLogger = { debug() {}, info() {}, warn() {}, error() {} };
+
+// A receiver that answers with `statuses` in turn (the last one repeats) and
+// records every request
+async function startReceiver(t, statuses) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      requests.push({ headers: req.headers, body, at: Date.now() });
+      res.statusCode = statuses[Math.min(requests.length, statuses.length) - 1];
+      res.end();
+    });
+  });
+  server.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  t.after(() => server.close());
+  return { url: `http://127.0.0.1:${server.address().port}/hook`, requests };
+}
+
+function createSender(name, options = {}) {
+  return createWebhookSender({
+    secret: SECRET,
+    deadLetterFile: path.join(dir, `${name}.jsonl`),
+    logger: quietLogger,
+    allowPrivateAddresses: true,
+    initialDelayMs: 50,
+    maxDelayMs: 1000,
+    ...options,
+  });
+}
+
+async function waitFor(condition, timeoutMs = 5000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!(await condition())) {
+    if (Date.now() > deadline) {
+      throw new Error('Timed out waiting for the webhook');
+    }
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+}
+
+test('a failed delivery is retried and signed each time', async t => {
+  const receiver = await startReceiver(t, [500, 200]);
+  const sender = createSender('retried', { maxAttempts: 3 });
+
+  const id = sender.deliver(receiver.url, 'job.completed', { id: 'job-1' });
+  await waitFor(() => receiver.requests.length === 2);
+
+  const [first, second] = receiver.requests;
+  assert.ok(second.at - first.at >= 40, 'the retry waits for the backoff delay');
+  assert.deepEqual([first.headers['x-webhook-attempt'], second.headers['x-webhook-attempt']], ['1', '2']);
+  receiver.requests.forEach(({ headers, body }) => {
+    const timestamp = headers['x-webhook-signature'].match(/^t=(\d+),/)[1];
+    assert.equal(headers['x-webhook-signature'], signPayload(SECRET, body, timestamp));
+    assert.equal(headers['x-webhook-id'], id);
+    assert.deepEqual(JSON.parse(body).data, { id: 'job-1' });
+  });
+
+  await waitFor(() => sender.stats().inFlight === 0);
+  assert.deepEqual(sender.stats(), { inFlight: 0, retrying: 0, deadLettered: 0 });
+  assert.deepEqual(await sender.deadLetters(), []);
+});
+
+test('a delivery that fails every attempt is dead-lettered', async t => {
+  const receiver = await startReceiver(t, [500]);
+  const sender = createSender('dead', { maxAttempts: 2 });
+
+  const id = sender.deliver(receiver.url, 'job.failed', { id: 'job-2' });
+  await waitFor(() => sender.stats().deadLettered === 1);
+
+  assert.equal(receiver.requests.length, 2);
+  // deadLetters() waits for the file write, which the counter does not
+  const [letter, ...others] = await sender.deadLetters();
+  assert.deepEqual(others, []);
+  assert.deepEqual(JSON.parse(fs.readFileSync(path.join(dir, 'dead.jsonl'), 'utf8')), letter);
+  assert.equal(letter.id, id);
+  assert.equal(letter.event, 'job.failed');
+  assert.equal(letter.attempts, 2);
+  assert.deepEqual(letter.lastError, { status: 500, message: 'Receiver responded with HTTP 500' });
+});
+
+test('client errors other than timeouts and rate limits are not retried', async t => {
+  const receiver = await startReceiver(t, [410]);
+  const sender = createSender('gone', { maxAttempts: 5 });
+
+  sender.deliver(receiver.url, 'job.completed', { id: 'job-3' });
+  await waitFor(() => sender.stats().deadLettered === 1);
+  assert.equal(receiver.requests.length, 1);
+});
+
+test('finished jobs are posted to their callbackUrl', async t => {
+  const receiver = await startReceiver(t, [200]);
+  const { app, cleanup } = createTestApp({
+    webhookSecret: SECRET,
+    webhooks: { allowPrivateAddresses: true },
+  });
+  t.after(cleanup);
+
+  // The job fails on its download, which is enough to be reported
+  const accepted = await request(app)
+    .post('/jobs')
+    .send({ imageUrl: 'http://127.0.0.1/image.png', callbackUrl: receiver.url })
+    .expect(202);
+  await waitFor(() => receiver.requests.length === 1);
+
+  const { headers, body } = receiver.requests[0];
+  const timestamp = headers['x-webhook-signature'].match(/^t=(\d+),/)[1];
+  assert.equal(headers['x-webhook-signature'], signPayload(SECRET, body, timestamp));
+  const payload = JSON.parse(body);
+  assert.equal(payload.event, 'job.failed');
+  assert.equal(payload.data.id, accepted.body.id);
+  assert.equal(payload.data.error.code, 'BLOCKED_ADDRESS');
+});
@@ -1,5 +1,5 @@
 import React, { useState, useCallback } from 'react';
-import { RotateCw, ImagePlus, X, Info, ZoomIn, Maximize2 } from 'lucide-react';
+import { RotateCw, ImagePlus, X, Info, ZoomIn, Maximize2, SlidersHorizontal, Plus, Trash2, Code, Copy, Check, KeyRound } from 'lucide-react';
 import { motion, AnimatePresence } from 'framer-motion';
 
 // Simplified versions of the missing UI components
@@ -21,15 +21,106 @@ const cn = (...args) => args.filter(Boolean).join(' ');
 // Define the backend URL - adjust port if needed
 const BACKEND_URL = 'http://localhost:5001/thumbnail';
 
+// The API key is kept in the browser so it survives reloads
+const API_KEY_STORAGE_KEY = 'thumbnailApiKey';
+
+// Metadata policies offered by the backend
+const METADATA_POLICIES = [
+    { value: 'strip-private', label: 'Remove private data (keep copyright and color profile)' },
+    { value: 'strip-all', label: 'Remove all metadata' },
+    { value: 'keep', label: 'Keep all metadata' },
+];
+
+// Adjustment operations offered by the backend, with the controls for their
+// parameters. Sliders start at the value given here.
+const OPERATION_TYPES = {
+    sharpen: {
+        label: 'Sharpen',
+        fields: [
+            { name: 'sigma', label: 'Sigma', min: 0.1, max: 10, step: 0.05, value: 0.75 },
+            { name: 'amount', label: 'Amount', min: 0, max: 5, step: 0.05, value: 0.75 },
+        ],
+    },
+    blur: {
+        label: 'Blur',
+        fields: [{ name: 'sigma', label: 'Sigma', min: 0.1, max: 50, step: 0.1, value: 2 }],
+    },
+    grayscale: { label: 'Grayscale', fields: [] },
+    sepia: {
+        label: 'Sepia',
+        fields: [{ name: 'threshold', label: 'Strength %', min: 0, max: 100, step: 1, value: 80 }],
+    },
+    adjust: {
+        label: 'Brightness / Contrast / Saturation',
+        fields: [
+            { name: 'brightness', label: 'Brightness', min: -100, max: 100, step: 1, value: 10 },
+            { name: 'contrast', label: 'Contrast', min: -100, max: 100, step: 1, value: 0 },
+            { name: 'saturation', label: 'Saturation', min: -100, max: 100, step: 1, value: 0 },
+        ],
+    },
+    rotate: {
+        label: 'Rotate',
+        fields: [{ name: 'angle', label: 'Angle', min: -360, max: 360, step: 15, value: 90 }],
+    },
+    flip: {
+        label: 'Flip',
+        fields: [],
+        choice: { name: 'direction', values: ['horizontal', 'vertical'] },
+    },
+};
+
+// Operations the backend applies to the source before resizing
+const SOURCE_OPERATIONS = ['rotate', 'flip'];
+
+// Formats offered for responsive image sets; AVIF and WebP become <source>
+// elements and JPEG or PNG the <img> fallback
+const RESPONSIVE_FORMATS = ['avif', 'webp', 'jpeg', 'png'];
+
+const DEFAULT_RESPONSIVE = { enabled: false, widths: '320, 640, 1280', formats: ['webp', 'jpeg'] };
+
+// "320, 640 1280" -> [320, 640, 1280]
+const parseWidths = (text) => text
+    .split(/[\s,]+/)
+    .filter(Boolean)
+    .map(Number);
+
+// A new operation with its default parameters
+const createOperation = (op) => {
+    const { fields, choice } = OPERATION_TYPES[op];
+    const operation = { op };
+    fields.forEach(({ name, value }) => {
+        operation[name] = value;
+    });
+    if (choice) {
+        operation[choice.name] = choice.values[0];
+    }
+    return operation;
+};
+
+// "sharpen (sigma 0.75, amount 0.75)" for the list of applied operations
+const describeOperation = ({ op, ...params }) => {
+    const details = Object.entries(params)
+        .filter(([, value]) => value !== 0 && value !== null && value !== undefined)
+        .map(([name, value]) => `${name} ${value}`);
+    return details.length > 0 ? `${op} (${details.join(', ')})` : op;
+};
+
 const useThumbnailGenerator = () => {
     const [state, setState] = useState({
+        apiKey: window.localStorage.getItem(API_KEY_STORAGE_KEY) || '',
         imageUrl: '',
         imageFile: null,
+        metadataPolicy: 'strip-private',
+        operations: [],
+        responsive: DEFAULT_RESPONSIVE,
         loading: false,
         thumbnailUrl: '',
         originalImageUrl: '',
         error: '',
         metadata: null,
+        appliedOperations: [],
+        placeholder: null,
+        markup: null,
     });
 
     const handleInputChange = useCallback((field, value) => {
@@ -40,12 +131,15 @@ const useThumbnailGenerator = () => {
             thumbnailUrl: '',
             originalImageUrl: '',
             metadata: null,
+            appliedOperations: [],
+            placeholder: null,
+            markup: null,
         }));
     }, []);
 
     const generateThumbnail = useCallback(async () => {
-        setState(prevState => ({ ...prevState, loading: true, error: '', metadata: null }));
-        const { imageUrl, imageFile } = state;
+        setState(prevState => ({ ...prevState, loading: true, error: '', metadata: null, appliedOperations: [], placeholder: null, markup: null }));
+        const { apiKey, imageUrl, imageFile, metadataPolicy, operations, responsive } = state;
 
         if (!imageUrl && !imageFile) {
             setState(prevState => ({ 
@@ -63,12 +157,23 @@ const useThumbnailGenerator = () => {
         } else if (imageUrl) {
             formData.append('imageUrl', imageUrl);
         }
+        formData.append('metadata', metadataPolicy);
+        if (operations.length > 0) {
+            formData.append('operations', JSON.stringify(operations));
+        }
+        if (responsive.enabled) {
+            formData.append('responsive', JSON.stringify({
+                widths: parseWidths(responsive.widths),
+                formats: responsive.formats,
+            }));
+        }
 
         try {
             console.log('Sending request to:', BACKEND_URL);
             
             const response = await fetch(BACKEND_URL, {
                 method: 'POST',
+                headers: apiKey ? { 'X-API-Key': apiKey } : {},
                 body: formData,
             });
 
@@ -78,7 +183,7 @@ const useThumbnailGenerator = () => {
             }
 
             const data = await response.json();
-            const { thumbnailUrl, originalImageUrl, metadata } = data;
+            const { thumbnailUrl, originalImageUrl, metadata, operations: appliedOperations, blurhash, lqip, dominantColor, palette, responsive: markup } = data;
 
             setState(prevState => ({
                 ...prevState,
@@ -86,6 +191,9 @@ const useThumbnailGenerator = () => {
                 thumbnailUrl: thumbnailUrl,
                 originalImageUrl: originalImageUrl || (imageFile ? URL.createObjectURL(imageFile) : imageUrl),
                 metadata,
+                appliedOperations: appliedOperations || [],
+                placeholder: lqip ? { blurhash, lqip, dominantColor, palette: palette || [] } : null,
+                markup: markup || null,
             }));
         } catch (error) {
             console.error('Error generating thumbnail:', error);
@@ -98,15 +206,22 @@ const useThumbnailGenerator = () => {
     }, [state]);
 
     const resetForm = () => {
-        setState({
+        setState(prevState => ({
+            apiKey: prevState.apiKey,
             imageUrl: '',
             imageFile: null,
+            metadataPolicy: 'strip-private',
+            operations: [],
+            responsive: DEFAULT_RESPONSIVE,
             loading: false,
             thumbnailUrl: '',
             originalImageUrl: '',
             error: '',
             metadata: null,
-        });
+            appliedOperations: [],
+            placeholder: null,
+            markup: null,
+        }));
     };
 
     return { state, handleInputChange, generateThumbnail, resetForm };
@@ -114,9 +229,64 @@ const useThumbnailGenerator = () => {
 
 const ThumbnailGenerator = () => {
     const { state, handleInputChange, generateThumbnail, resetForm } = useThumbnailGenerator();
-    const { imageUrl, imageFile, loading, thumbnailUrl, originalImageUrl, error, metadata } = state;
+    const { apiKey, imageUrl, imageFile, metadataPolicy, operations, loading, thumbnailUrl, originalImageUrl, error, metadata, appliedOperations, placeholder, responsive, markup } = state;
     const [isOriginalModalOpen, setIsOriginalModalOpen] = useState(false);
     const [isThumbnailModalOpen, setIsThumbnailModalOpen] = useState(false);
+    const [newOperation, setNewOperation] = useState('sharpen');
+    // The placeholder shows until the thumbnail at this URL has loaded
+    const [loadedThumbnailUrl, setLoadedThumbnailUrl] = useState('');
+    const thumbnailLoaded = loadedThumbnailUrl === thumbnailUrl;
+    // The markup copied last, for the check mark on its button
+    const [copiedText, setCopiedText] = useState('');
+
+    // Rotate and flip must come before the other operations, so they are
+    // added after the last rotate or flip rather than at the end
+    const addOperation = () => {
+        const operation = createOperation(newOperation);
+        if (!SOURCE_OPERATIONS.includes(operation.op)) {
+            handleInputChange('operations', [...operations, operation]);
+            return;
+        }
+        const index = operations.findIndex(({ op }) => !SOURCE_OPERATIONS.includes(op));
+        const at = index === -1 ? operations.length : index;
+        handleInputChange('operations', [...operations.slice(0, at), operation, ...operations.slice(at)]);
+    };
+
+    const updateOperation = (index, name, value) => {
+        handleInputChange('operations', operations.map((operation, i) => (
+            i === index ? { ...operation, [name]: value } : operation
+        )));
+    };
+
+    const removeOperation = (index) => {
+        handleInputChange('operations', operations.filter((operation, i) => i !== index));
+    };
+
+    const updateApiKey = (value) => {
+        window.localStorage.setItem(API_KEY_STORAGE_KEY, value);
+        handleInputChange('apiKey', value);
+    };
+
+    const updateResponsive = (changes) => {
+        handleInputChange('responsive', { ...responsive, ...changes });
+    };
+
+    const toggleResponsiveFormat = (format) => {
+        updateResponsive({
+            formats: responsive.formats.includes(format)
+                ? responsive.formats.filter(value => value !== format)
+                : RESPONSIVE_FORMATS.filter(value => value === format || responsive.formats.includes(value)),
+        });
+    };
+
+    const copyMarkup = async (field) => {
+        try {
+            await navigator.clipboard.writeText(markup[field]);
+            setCopiedText(markup[field]);
+        } catch (error) {
+            console.error('Error copying markup:', error);
+        }
+    };
 
     const toggleOriginalModal = () => {
         setIsOriginalModalOpen(!isOriginalModalOpen);
@@ -126,29 +296,50 @@ const ThumbnailGenerator = () => {
         setIsThumbnailModalOpen(!isThumbnailModalOpen);
     };
 
+    // Sections of the structured metadata, in display order
+    const metadataSections = [
+        { key: 'image', title: 'Image' },
+        { key: 'exif', title: 'EXIF' },
+        { key: 'gps', title: 'Location' },
+        { key: 'iptc', title: 'IPTC' },
+        { key: 'xmp', title: 'XMP' },
+        { key: 'icc', title: 'Color Profile' },
+    ];
+
+    const formatMetadataValue = (value) => {
+        if (Array.isArray(value)) return value.join(', ');
+        if (value && typeof value === 'object') return JSON.stringify(value);
+        return String(value);
+    };
+
+    const originalSize = metadata && metadata.image && metadata.image.width && metadata.image.height
+        ? `${metadata.image.width}×${metadata.image.height}`
+        : '';
+
     const renderMetadata = (data) => {
-        if (!data || Object.keys(data).length === 0) {
+        const sections = metadataSections
+            .map(({ key, title }) => ({
+                title,
+                entries: Object.entries((data && data[key]) || {})
+                    .filter(([field, value]) => field !== 'tags' && value !== null && value !== ''),
+            }))
+            .filter(({ entries }) => entries.length > 0);
+
+        if (sections.length === 0) {
             return <p className="text-gray-400">No metadata available.</p>;
         }
 
-        // Sort metadata to show important info first
-        const sortedEntries = Object.entries(data).sort(([keyA], [keyB]) => {
-            const priorityKeys = ['originalSize', 'thumbnailSize', 'originalWidth', 'originalHeight', 'aspectRatio'];
-            const priorityA = priorityKeys.indexOf(keyA);
-            const priorityB = priorityKeys.indexOf(keyB);
-            
-            if (priorityA !== -1 && priorityB !== -1) return priorityA - priorityB;
-            if (priorityA !== -1) return -1;
-            if (priorityB !== -1) return 1;
-            return keyA.localeCompare(keyB);
-        });
-
         return (
-            <div className="space-y-2">
-                {sortedEntries.map(([key, value]) => (
-                    <div key={key} className="grid grid-cols-2 gap-4">
-                        <span className="text-gray-300 font-medium break-words">{key}:</span>
-                        <span className="text-gray-200 break-words">{String(value)}</span>
+            <div className="space-y-6">
+                {sections.map(({ title, entries }) => (
+                    <div key={title} className="space-y-2">
+                        <h3 className="text-lg font-semibold text-gray-300">{title}</h3>
+                        {entries.map(([key, value]) => (
+                            <div key={key} className="grid grid-cols-2 gap-4">
+                                <span className="text-gray-300 font-medium break-words">{key}:</span>
+                                <span className="text-gray-200 break-words">{formatMetadataValue(value)}</span>
+                            </div>
+                        ))}
                     </div>
                 ))}
             </div>
@@ -169,6 +360,22 @@ const ThumbnailGenerator = () => {
 
                 {/* Input Section */}
                 <div className="space-y-6">
+                    <div className="space-y-3">
+                        <Label htmlFor="apiKey" className="text-gray-300 text-lg flex items-center gap-2">
+                            <KeyRound className="w-5 h-5" />
+                            API Key
+                        </Label>
+                        <Input
+                            id="apiKey"
+                            type="password"
+                            placeholder="Enter your API key"
+                            value={apiKey}
+                            onChange={(e) => updateApiKey(e.target.value)}
+                            className="bg-gray-800/80 border-gray-700 text-white placeholder:text-gray-400 text-base"
+                            autoComplete="off"
+                        />
+                    </div>
+
                     <div className="space-y-3">
                         <Label htmlFor="imageUrl" className="text-gray-300 text-lg flex items-center gap-2">
                             <ImagePlus className="w-5 h-5" />
@@ -199,6 +406,132 @@ const ThumbnailGenerator = () => {
                             disabled={!!imageUrl}
                         />
                     </div>
+
+                    <div className="space-y-3">
+                        <Label htmlFor="metadataPolicy" className="text-gray-300 text-lg flex items-center gap-2">
+                            <Info className="w-5 h-5" />
+                            Metadata
+                        </Label>
+                        <select
+                            id="metadataPolicy"
+                            value={metadataPolicy}
+                            onChange={(e) => handleInputChange('metadataPolicy', e.target.value)}
+                            className="w-full bg-gray-800/80 border border-gray-700 text-white rounded-md px-3 py-2 text-base"
+                        >
+                            {METADATA_POLICIES.map(({ value, label }) => (
+                                <option key={value} value={value}>{label}</option>
+                            ))}
+                        </select>
+                    </div>
+
+                    <div className="space-y-3">
+                        <Label htmlFor="newOperation" className="text-gray-300 text-lg flex items-center gap-2">
+                            <SlidersHorizontal className="w-5 h-5" />
+                            Adjustments
+                        </Label>
+                        {operations.map((operation, index) => {
+                            const { label, fields, choice } = OPERATION_TYPES[operation.op];
+                            return (
+                                <div key={index} className="bg-gray-800/80 border border-gray-700 rounded-md p-3 space-y-2">
+                                    <div className="flex items-center justify-between">
+                                        <span className="text-gray-200 font-medium">{index + 1}. {label}</span>
+                                        <Button
+                                            onClick={() => removeOperation(index)}
+                                            className="text-gray-400 hover:text-red-400 p-1"
+                                            title="Remove"
+                                        >
+                                            <Trash2 className="w-4 h-4" />
+                                        </Button>
+                                    </div>
+                                    {fields.map(({ name, label: fieldLabel, min, max, step }) => (
+                                        <div key={name} className="grid grid-cols-[8rem_1fr_3rem] items-center gap-3 text-sm">
+                                            <label htmlFor={`operation-${index}-${name}`} className="text-gray-300">{fieldLabel}</label>
+                                            <input
+                                                id={`operation-${index}-${name}`}
+                                                type="range"
+                                                min={min}
+                                                max={max}
+                                                step={step}
+                                                value={operation[name]}
+                                                onChange={(e) => updateOperation(index, name, Number(e.target.value))}
+                                            />
+                                            <span className="text-gray-400 text-right">{operation[name]}</span>
+                                        </div>
+                                    ))}
+                                    {choice && (
+                                        <select
+                                            value={operation[choice.name]}
+                                            onChange={(e) => updateOperation(index, choice.name, e.target.value)}
+                                            className="w-full bg-gray-900/80 border border-gray-700 text-white rounded-md px-3 py-1 text-sm"
+                                        >
+                                            {choice.values.map(value => (
+                                                <option key={value} value={value}>{value}</option>
+                                            ))}
+                                        </select>
+                                    )}
+                                </div>
+                            );
+                        })}
+                        <div className="flex gap-3">
+                            <select
+                                id="newOperation"
+                                value={newOperation}
+                                onChange={(e) => setNewOperation(e.target.value)}
+                                className="flex-1 bg-gray-800/80 border border-gray-700 text-white rounded-md px-3 py-2 text-base"
+                            >
+                                {Object.entries(OPERATION_TYPES).map(([value, { label }]) => (
+                                    <option key={value} value={value}>{label}</option>
+                                ))}
+                            </select>
+                            <Button
+                                onClick={addOperation}
+                                disabled={operations.length >= 20}
+                                className="bg-gray-700 hover:bg-gray-600 text-gray-200 px-4 py-2 rounded-md flex items-center gap-2 disabled:opacity-50"
+                            >
+                                <Plus className="w-4 h-4" />
+                                Add
+                            </Button>
+                        </div>
+                    </div>
+
+                    <div className="space-y-3">
+                        <label className="text-gray-300 text-lg flex items-center gap-2">
+                            <input
+                                type="checkbox"
+                                checked={responsive.enabled}
+                                onChange={(e) => updateResponsive({ enabled: e.target.checked })}
+                            />
+                            <Code className="w-5 h-5" />
+                            Responsive Image Set
+                        </label>
+                        {responsive.enabled && (
+                            <div className="bg-gray-800/80 border border-gray-700 rounded-md p-3 space-y-3">
+                                <div className="space-y-1">
+                                    <Label htmlFor="responsiveWidths" className="text-gray-300 text-sm">Widths (px)</Label>
+                                    <Input
+                                        id="responsiveWidths"
+                                        type="text"
+                                        placeholder="320, 640, 1280"
+                                        value={responsive.widths}
+                                        onChange={(e) => updateResponsive({ widths: e.target.value })}
+                                        className="w-full bg-gray-900/80 border border-gray-700 text-white rounded-md px-3 py-1 text-sm"
+                                    />
+                                </div>
+                                <div className="flex flex-wrap gap-4 text-sm text-gray-300">
+                                    {RESPONSIVE_FORMATS.map(format => (
+                                        <label key={format} className="flex items-center gap-2">
+                                            <input
+                                                type="checkbox"
+                                                checked={responsive.formats.includes(format)}
+                                                onChange={() => toggleResponsiveFormat(format)}
+                                            />
+                                            {format.toUpperCase()}
+                                        </label>
+                                    ))}
+                                </div>
+                            </div>
+                        )}
+                    </div>
                 </div>
 
                 {/* Generate and Reset Buttons */}
@@ -263,11 +596,23 @@ const ThumbnailGenerator = () => {
                                 </h2>
                                 <div className="flex justify-center">
                                     <div className="relative inline-block">
-                                        <div className="h-[150px] w-[150px] flex items-center justify-center border-2 border-blue-500 rounded-xl overflow-hidden group">
+                                        <div
+                                            className="relative h-[150px] w-[150px] flex items-center justify-center border-2 border-blue-500 rounded-xl overflow-hidden group"
+                                            style={placeholder && placeholder.dominantColor ? { backgroundColor: placeholder.dominantColor } : undefined}
+                                        >
+                                            {placeholder && (
+                                                <img
+                                                    src={placeholder.lqip}
+                                                    alt=""
+                                                    aria-hidden="true"
+                                                    className={`absolute inset-0 w-full h-full object-contain blur-md scale-110 transition-opacity duration-500 ${thumbnailLoaded ? 'opacity-0' : 'opacity-100'}`}
+                                                />
+                                            )}
                                             <img
                                                 src={thumbnailUrl}
                                                 alt="Generated Thumbnail"
-                                                className="max-w-full max-h-full transition-transform duration-300 group-hover:scale-105"
+                                                onLoad={() => setLoadedThumbnailUrl(thumbnailUrl)}
+                                                className={`relative max-w-full max-h-full transition duration-500 group-hover:scale-105 ${thumbnailLoaded ? 'opacity-100' : 'opacity-0'}`}
                                             />
                                             <div className="absolute inset-0 bg-black bg-opacity-0 group-hover:bg-opacity-30 transition-all duration-300 flex items-center justify-center opacity-0 group-hover:opacity-100">
                                                 <Button
@@ -283,6 +628,40 @@ const ThumbnailGenerator = () => {
                                         </div>
                                     </div>
                                 </div>
+                                {appliedOperations.length > 0 && (
+                                    <div className="mt-4 flex flex-wrap justify-center gap-2">
+                                        {appliedOperations.map((operation, index) => (
+                                            <span key={index} className="text-xs bg-gray-700 text-gray-200 px-3 py-1 rounded-full">
+                                                {describeOperation(operation)}
+                                            </span>
+                                        ))}
+                                    </div>
+                                )}
+                                {placeholder && placeholder.palette.length > 0 && (
+                                    <div className="mt-4 flex flex-col items-center gap-2">
+                                        <div className="flex rounded-lg overflow-hidden border border-gray-700">
+                                            {placeholder.palette.map(({ color, share }) => (
+                                                <div
+                                                    key={color}
+                                                    title={`${color} (${Math.round(share * 100)}%)`}
+                                                    className="h-8"
+                                                    style={{ backgroundColor: color, width: `${Math.max(24, Math.round(share * 240))}px` }}
+                                                />
+                                            ))}
+                                        </div>
+                                        <div className="flex flex-wrap justify-center gap-2 text-xs text-gray-400">
+                                            {placeholder.palette.map(({ color, share }) => (
+                                                <span key={color} className="flex items-center gap-1">
+                                                    <span className="inline-block w-3 h-3 rounded-full" style={{ backgroundColor: color }} />
+                                                    {color} {Math.round(share * 100)}%
+                                                </span>
+                                            ))}
+                                        </div>
+                                        {placeholder.blurhash && (
+                                            <code className="text-xs text-gray-500 break-all">BlurHash: {placeholder.blurhash}</code>
+                                        )}
+                                    </div>
+                                )}
                             </div>
                             
                             {/* Original Image with click to zoom */}
@@ -291,9 +670,9 @@ const ThumbnailGenerator = () => {
                                     <h2 className="text-2xl font-semibold text-gray-200 mb-4 flex items-center justify-center gap-2">
                                         <ImagePlus className="w-6 h-6" />
                                         Original Image
-                                        {metadata && metadata.originalSize && (
+                                        {originalSize && (
                                             <span className="text-sm bg-gray-700 px-3 py-1 rounded-full ml-2">
-                                                {metadata.originalSize}
+                                                {originalSize}
                                             </span>
                                         )}
                                     </h2>
@@ -325,8 +704,41 @@ const ThumbnailGenerator = () => {
                     )}
                 </AnimatePresence>
 
+                {/* Responsive Markup */}
+                {markup && (
+                    <div className="mt-8">
+                        <h2 className="text-2xl font-semibold text-gray-200 mb-4 flex items-center gap-2">
+                            <Code className="w-6 h-6" />
+                            Responsive Markup
+                        </h2>
+                        <div className="bg-gray-800/80 p-4 rounded-xl border border-gray-700 space-y-4">
+                            {[
+                                { field: 'picture', label: '<picture>' },
+                                { field: 'srcset', label: 'srcset' },
+                                { field: 'sizes', label: 'sizes' },
+                            ].map(({ field, label }) => (
+                                <div key={field} className="space-y-2">
+                                    <div className="flex items-center justify-between">
+                                        <span className="text-gray-300 font-medium">{label}</span>
+                                        <Button
+                                            onClick={() => copyMarkup(field)}
+                                            className="bg-gray-700 hover:bg-gray-600 text-gray-200 px-3 py-1 rounded-md text-sm flex items-center gap-2"
+                                        >
+                                            {copiedText === markup[field] ? <Check className="w-4 h-4" /> : <Copy className="w-4 h-4" />}
+                                            {copiedText === markup[field] ? 'Copied' : 'Copy'}
+                                        </Button>
+                                    </div>
+                                    <pre className="bg-gray-900/80 text-gray-200 text-xs p-3 rounded-md overflow-x-auto whitespace-pre-wrap break-all">
+                                        {markup[field]}
+                                    </pre>
+                                </div>
+                            ))}
+                        </div>
+                    </div>
+                )}
+
                 {/* Metadata Display */}
-                {metadata && Object.keys(metadata).length > 0 && (
+                {metadata && (
                     <div className="mt-8">
                         <h2 className="text-2xl font-semibold text-gray-200 mb-4 flex items-center gap-2">
                             <Info className="w-6 h-6" />
@@ -366,8 +778,8 @@ const ThumbnailGenerator = () => {
                                     style={{ maxHeight: '90vh', maxWidth: '90vw' }}
                                 />
                                 <div className="absolute top-4 left-4 bg-black bg-opacity-75 text-white px-3 py-1 rounded-lg z-10">
-                                    {metadata && metadata.originalSize ? (
-                                        <span>Original Size: {metadata.originalSize}</span>
+                                    {originalSize ? (
+                                        <span>Original Size: {originalSize}</span>
                                     ) : (
                                         <span>Original Image</span>
                                     )}